@@ -36,14 +36,6 @@ function showToast(message, type = "info", duration = 5000) {
   console.log(`[${type.toUpperCase()}] ${message}`);
 }
 
-// Track device information
-let currentDeviceInfo = {
-  deviceId: null,
-  deviceVersion: null,
-  mqttStatus: "disconnected",
-  lastUpdateTime: null,
-};
-
 // Track last detected update version
 let lastDetectedUpdateVersion = null;
 
@@ -62,6 +54,647 @@ function showModal(title, content) {
 function closeModal() {
   const modal = document.getElementById("modal");
   modal.style.display = "none";
+
+  // Closing the conflict dialog without applying aborts the manifest write
+  if (pendingConflictResolution) {
+    pendingConflictResolution.reject(
+      new Error("Manifest conflict resolution cancelled")
+    );
+    pendingConflictResolution = null;
+  }
+}
+
+// ====================================
+// MANIFEST CONFLICT RESOLUTION
+// ====================================
+
+let pendingConflictResolution = null;
+
+// Short description of one side of a manifest conflict
+function describeConflictSide(conflict, value) {
+  if (value === null || value === undefined) {
+    return "<em>Đã xóa</em>";
+  }
+  if (conflict.type === "setting") {
+    return `<code>${JSON.stringify(value)}</code>`;
+  }
+  return `${value.name} – ${value.active ? "Active" : "Inactive"}, Priority ${
+    value.priority
+  }`;
+}
+
+// Ask the user to settle manifest merge conflicts, resolves to choices map
+function resolveManifestConflicts(conflicts) {
+  return new Promise((resolve, reject) => {
+    const rows = conflicts
+      .map((conflict) => {
+        const key = `${conflict.type}:${conflict.id}`;
+        const label =
+          conflict.type === "setting"
+            ? `Setting <strong>${conflict.id}</strong>`
+            : `Banner <strong>${
+                (conflict.local || conflict.remote || conflict.base).name
+              }</strong>`;
+
+        return `
+          <div class="conflict-item">
+            <p>${label}</p>
+            <label>
+              <input type="radio" name="${key}" value="local" checked />
+              Của bạn: ${describeConflictSide(conflict, conflict.local)}
+            </label>
+            <label>
+              <input type="radio" name="${key}" value="remote" />
+              Trên CDN: ${describeConflictSide(conflict, conflict.remote)}
+            </label>
+          </div>
+        `;
+      })
+      .join("");
+
+    showModal(
+      "⚠️ Xung đột manifest",
+      `
+        <p>Manifest đã được người khác thay đổi trong lúc bạn chỉnh sửa.
+        Các thay đổi không trùng nhau đã được gộp tự động; chọn phiên bản
+        giữ lại cho các mục bên dưới:</p>
+        <form id="conflictForm" class="conflict-list">${rows}</form>
+        <button class="btn btn-primary" onclick="applyManifestConflictChoices()">
+          Áp dụng & Lưu
+        </button>
+      `
+    );
+
+    pendingConflictResolution = { conflicts, resolve, reject };
+  });
+}
+
+// Collect choices from the conflict dialog and continue the manifest write
+function applyManifestConflictChoices() {
+  if (!pendingConflictResolution) return;
+
+  const form = document.getElementById("conflictForm");
+  const resolutions = {};
+  pendingConflictResolution.conflicts.forEach((conflict) => {
+    const key = `${conflict.type}:${conflict.id}`;
+    const checked = form.querySelector(`input[name="${key}"]:checked`);
+    resolutions[key] = checked ? checked.value : "local";
+  });
+
+  const { resolve } = pendingConflictResolution;
+  pendingConflictResolution = null;
+  closeModal();
+  resolve(resolutions);
+}
+
+// ====================================
+// MANIFEST HISTORY
+// ====================================
+
+let manifestHistoryVersions = [];
+
+// Show commits of manifest.json with diff and restore actions
+async function showManifestHistory() {
+  if (!window.GitHubUploadService?.isAuthenticated) {
+    showToast("Cần xác thực GitHub để xem lịch sử manifest", "warning");
+    return;
+  }
+
+  showModal("🕘 Lịch sử Manifest", "<p>⏳ Đang tải lịch sử...</p>");
+
+  try {
+    manifestHistoryVersions = await window.ManifestHistory.listVersions();
+
+    const rows = manifestHistoryVersions
+      .map(
+        (version, index) => `
+          <div class="history-item">
+            <div class="history-header">
+              <div>
+                <code>${version.sha.slice(0, 7)}</code>
+                <strong>${version.message}</strong>
+                <p class="history-meta">
+                  ${version.author} –
+                  ${new Date(version.date).toLocaleString("vi-VN")}
+                  ${index === 0 ? " · <em>Hiện tại</em>" : ""}
+                </p>
+              </div>
+              <div class="history-actions">
+                <button class="btn btn-small btn-secondary"
+                        onclick="showManifestVersionDiff(${index})">
+                  Chi tiết
+                </button>
+                ${
+                  index === 0
+                    ? ""
+                    : `<button class="btn btn-small btn-warning"
+                               onclick="restoreManifestVersion(${index})">
+                         Khôi phục
+                       </button>`
+                }
+              </div>
+            </div>
+            <div class="history-diff" id="historyDiff${index}"></div>
+          </div>
+        `
+      )
+      .join("");
+
+    document.getElementById("modalBody").innerHTML = `
+      <div class="history-list">
+        ${rows || "<p>Chưa có thay đổi nào cho manifest.json</p>"}
+      </div>
+    `;
+  } catch (error) {
+    console.error("Failed to load manifest history:", error);
+    document.getElementById(
+      "modalBody"
+    ).innerHTML = `<p>❌ Không thể tải lịch sử: ${error.message}</p>`;
+  }
+}
+
+// Render the changes a manifest commit made, compared to its parent
+function describeManifestDiff(diff) {
+  const logoLine = (icon, logos, suffix = () => "") =>
+    logos.map((logo) => `<li>${icon} ${logo.name}${suffix(logo)}</li>`);
+
+  const lines = [
+    ...logoLine("➕", diff.added),
+    ...logoLine("➖", diff.removed),
+    ...logoLine("🔁", diff.toggled, (logo) =>
+      logo.active ? " → Active" : " → Inactive"
+    ),
+    ...logoLine("✏️", diff.modified, () => " (metadata)"),
+    ...diff.settings.map(
+      (change) =>
+        `<li>⚙️ ${change.key}: <code>${JSON.stringify(
+          change.from
+        )}</code> → <code>${JSON.stringify(change.to)}</code></li>`
+    ),
+  ];
+
+  return lines.length > 0
+    ? `<ul>${lines.join("")}</ul>`
+    : "<p>Không có thay đổi về banner hoặc cài đặt</p>";
+}
+
+async function showManifestVersionDiff(index) {
+  const version = manifestHistoryVersions[index];
+  const diffContainer = document.getElementById(`historyDiff${index}`);
+  if (!version || !diffContainer) return;
+
+  if (diffContainer.innerHTML) {
+    diffContainer.innerHTML = "";
+    return;
+  }
+
+  diffContainer.innerHTML = "<p>⏳ Đang so sánh...</p>";
+  try {
+    const diff = await window.ManifestHistory.getVersionDiff(version);
+    diffContainer.innerHTML = describeManifestDiff(diff);
+  } catch (error) {
+    console.error("Failed to diff manifest version:", error);
+    diffContainer.innerHTML = `<p>❌ ${error.message}</p>`;
+  }
+}
+
+// Re-publish an old manifest version as a new commit
+async function restoreManifestVersion(index) {
+  const version = manifestHistoryVersions[index];
+  if (!version) return;
+
+  const confirmed = confirm(
+    `Khôi phục manifest về phiên bản ${version.sha.slice(0, 7)}?\n\n` +
+      `"${version.message}"\n\nBillboard sẽ được yêu cầu tải lại ngay.`
+  );
+  if (!confirmed) return;
+
+  try {
+    showToast("⏳ Đang khôi phục manifest...", "info");
+    const result = await window.ManifestHistory.restoreVersion(version.sha);
+
+    if (window.logoManifest) {
+      window.logoManifest.currentManifest = result.manifest;
+      window.logoManifest.updateManifestDisplay();
+      window.logoManifest.displayLogos();
+    }
+
+    showToast(`✅ Đã khôi phục phiên bản ${version.sha.slice(0, 7)}`, "success");
+    if (!result.refreshSent) {
+      showToast(
+        "Đã khôi phục manifest nhưng không gửi được tín hiệu MQTT tới billboard",
+        "warning"
+      );
+    }
+
+    closeModal();
+  } catch (error) {
+    console.error("Failed to restore manifest version:", error);
+    showToast("❌ Khôi phục thất bại: " + error.message, "error");
+  }
+}
+
+// ====================================
+// CAMPAIGNS
+// ====================================
+
+const CAMPAIGN_STATUS_LABELS = {
+  running: "🟢 Đang chạy",
+  upcoming: "🕒 Sắp chạy",
+  expired: "⚫ Đã kết thúc",
+};
+
+let campaignManifest = null;
+
+// Value for <input type="datetime-local"> in local time
+function toDateTimeLocal(isoString) {
+  if (!isoString) return "";
+  const date = new Date(isoString);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+}
+
+// Show upcoming, running and expired campaigns
+async function showCampaigns() {
+  if (!window.GitHubUploadService?.isAuthenticated) {
+    showToast("Cần xác thực GitHub để quản lý chiến dịch", "warning");
+    return;
+  }
+
+  showModal("📣 Chiến dịch quảng cáo", "<p>⏳ Đang tải chiến dịch...</p>");
+
+  try {
+    campaignManifest = await window.GitHubUploadService.getCurrentManifest();
+    renderCampaignList();
+  } catch (error) {
+    console.error("Failed to load campaigns:", error);
+    document.getElementById(
+      "modalBody"
+    ).innerHTML = `<p>❌ Không thể tải chiến dịch: ${error.message}</p>`;
+  }
+}
+
+function renderCampaignList() {
+  const service = window.CampaignService;
+  const groups = service.groupByStatus(campaignManifest);
+  const logoNames = new Map(
+    campaignManifest.logos.map((logo) => [logo.id, logo.name])
+  );
+
+  const renderCampaign = (campaign, status) => {
+    const booked = service.bookedShare(campaignManifest, campaign);
+    return `
+      <div class="campaign-item ${status}">
+        <div class="history-header">
+          <div>
+            <strong>${campaign.name}</strong>
+            ${campaign.client ? `<span class="history-meta">– ${campaign.client}</span>` : ""}
+            <p class="history-meta">
+              ${new Date(campaign.startAt).toLocaleString("vi-VN")} →
+              ${new Date(campaign.endAt).toLocaleString("vi-VN")}
+              ${campaign.expiredAt ? " · banner đã tắt tự động" : ""}
+            </p>
+            <p class="history-meta">
+              Thời lượng: ${campaign.targetShare ?? 0}%
+              ${
+                status !== "expired" && booked > 100
+                  ? `<span class="campaign-overbooked">⚠️ Tổng đặt chỗ ${booked}%</span>`
+                  : ""
+              }
+              · Banner: ${
+                campaign.logoIds
+                  .map((logoId) => logoNames.get(logoId) || logoId)
+                  .join(", ") || "—"
+              }
+            </p>
+          </div>
+          <div class="history-actions">
+            <button class="btn btn-small btn-secondary"
+                    onclick="showCampaignForm('${campaign.id}')">Sửa</button>
+            <button class="btn btn-small btn-danger"
+                    onclick="deleteCampaign('${campaign.id}')">Xóa</button>
+          </div>
+        </div>
+      </div>
+    `;
+  };
+
+  const sections = ["running", "upcoming", "expired"]
+    .map(
+      (status) => `
+        <h4>${CAMPAIGN_STATUS_LABELS[status]} (${groups[status].length})</h4>
+        ${
+          groups[status].map((campaign) => renderCampaign(campaign, status)).join("") ||
+          '<p class="history-meta">Không có</p>'
+        }
+      `
+    )
+    .join("");
+
+  document.getElementById("modalBody").innerHTML = `
+    <button class="btn btn-primary" onclick="showCampaignForm()">
+      ➕ Chiến dịch mới
+    </button>
+    <div class="history-list">${sections}</div>
+  `;
+}
+
+function showCampaignForm(campaignId = null) {
+  if (!campaignManifest) return;
+
+  const campaign = (campaignManifest.campaigns || []).find(
+    (item) => item.id === campaignId
+  ) || {
+    name: "",
+    client: "",
+    startAt: new Date().toISOString(),
+    endAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+    targetShare: 10,
+    logoIds: [],
+  };
+
+  const logos = campaignManifest.logos
+    .map(
+      (logo) => `
+        <label class="replace-logo-item">
+          <input type="checkbox" class="campaign-logo" value="${logo.id}"
+            ${campaign.logoIds.includes(logo.id) ? "checked" : ""} />
+          ${logo.name}${logo.active === false ? " (đã tắt)" : ""}
+        </label>
+      `
+    )
+    .join("");
+
+  document.getElementById("modalBody").innerHTML = `
+    <div class="settings-form campaign-form">
+      <label class="form-label">Tên chiến dịch</label>
+      <input type="text" class="form-input" id="campaignName" value="${campaign.name}" />
+      <label class="form-label">Khách hàng</label>
+      <input type="text" class="form-input" id="campaignClient" value="${campaign.client || ""}" />
+      <label class="form-label">Bắt đầu</label>
+      <input type="datetime-local" class="form-input" id="campaignStart"
+        value="${toDateTimeLocal(campaign.startAt)}" />
+      <label class="form-label">Kết thúc</label>
+      <input type="datetime-local" class="form-input" id="campaignEnd"
+        value="${toDateTimeLocal(campaign.endAt)}" />
+      <label class="form-label">Tỷ lệ thời lượng phát (%)</label>
+      <input type="number" class="form-input" id="campaignShare" min="0" max="100"
+        value="${campaign.targetShare ?? 0}" />
+      <label class="form-label">Banner</label>
+      <div class="replace-logo-list">
+        ${logos || '<div class="input-hint">Chưa có banner nào trên CDN</div>'}
+      </div>
+      <div class="history-actions">
+        <button class="btn btn-secondary" onclick="renderCampaignList()">Quay lại</button>
+        <button class="btn btn-primary"
+                onclick="saveCampaignForm(${campaignId ? `'${campaignId}'` : "null"})">
+          💾 Lưu chiến dịch
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+async function saveCampaignForm(campaignId) {
+  const existing = (campaignManifest.campaigns || []).find(
+    (item) => item.id === campaignId
+  );
+  const name = document.getElementById("campaignName").value.trim();
+  const start = document.getElementById("campaignStart").value;
+  const end = document.getElementById("campaignEnd").value;
+
+  if (!name || !start || !end) {
+    showToast("Cần nhập tên, thời gian bắt đầu và kết thúc", "warning");
+    return;
+  }
+  if (new Date(end) <= new Date(start)) {
+    showToast("Thời gian kết thúc phải sau thời gian bắt đầu", "warning");
+    return;
+  }
+
+  const campaign = {
+    ...existing,
+    id: campaignId || undefined,
+    name,
+    client: document.getElementById("campaignClient").value.trim(),
+    startAt: new Date(start).toISOString(),
+    endAt: new Date(end).toISOString(),
+    targetShare: Number(document.getElementById("campaignShare").value) || 0,
+    logoIds: [...document.querySelectorAll(".campaign-logo:checked")].map(
+      (input) => input.value
+    ),
+  };
+
+  try {
+    showToast("⏳ Đang lưu chiến dịch...", "info");
+    const result = await window.CampaignService.saveCampaign(campaign);
+    await applyCampaignResult(result);
+    showToast(`✅ Đã lưu chiến dịch ${name}`, "success");
+  } catch (error) {
+    console.error("Failed to save campaign:", error);
+    showToast("❌ Lưu chiến dịch thất bại: " + error.message, "error");
+  }
+}
+
+async function deleteCampaign(campaignId) {
+  const campaign = (campaignManifest?.campaigns || []).find(
+    (item) => item.id === campaignId
+  );
+  if (!campaign) return;
+
+  if (
+    !confirm(
+      `Xóa chiến dịch "${campaign.name}"?\n\nCác banner của chiến dịch vẫn được giữ trong playlist.`
+    )
+  ) {
+    return;
+  }
+
+  try {
+    const result = await window.CampaignService.deleteCampaign(campaignId);
+    await applyCampaignResult(result);
+    showToast(`✅ Đã xóa chiến dịch ${campaign.name}`, "success");
+  } catch (error) {
+    console.error("Failed to delete campaign:", error);
+    showToast("❌ Xóa chiến dịch thất bại: " + error.message, "error");
+  }
+}
+
+// Show the published manifest and tell billboards about it
+async function applyCampaignResult(result) {
+  campaignManifest = result.manifest;
+  renderCampaignList();
+
+  if (window.logoManifest) {
+    window.logoManifest.currentManifest = result.manifest;
+    window.logoManifest.updateManifestDisplay();
+    window.logoManifest.displayLogos();
+    await window.logoManifest.publishManifestUpdate("campaign-updated");
+  }
+}
+
+// ====================================
+// ROTATION PLANNER
+// ====================================
+
+// Show per-banner duration/weight with the resulting loop-mode rotation
+function showRotationPlanner() {
+  const manifest = window.logoManifest?.currentManifest;
+  if (!manifest?.logos?.length) {
+    showToast("Chưa có banner nào trong manifest", "warning");
+    return;
+  }
+
+  const defaultDuration = manifest.settings?.logoLoopDuration || 10;
+  const rows = manifest.logos
+    .filter((logo) => logo.active !== false)
+    .map(
+      (logo) => `
+        <tr>
+          <td>${logo.name}</td>
+          <td>
+            <input type="number" class="form-input rotation-duration" min="1" max="3600"
+              data-logo-id="${logo.id}" value="${logo.durationSeconds || ""}"
+              placeholder="${defaultDuration}" oninput="updateRotationPreview()" />
+          </td>
+          <td>
+            <input type="number" class="form-input rotation-weight" min="1" max="100"
+              data-logo-id="${logo.id}" value="${logo.weight || ""}"
+              placeholder="1" oninput="updateRotationPreview()" />
+          </td>
+          <td class="rotation-share" data-logo-id="${logo.id}"></td>
+        </tr>
+      `
+    )
+    .join("");
+
+  showModal(
+    "🎞️ Rotation",
+    `
+      <p class="input-hint">
+        Áp dụng cho chế độ Loop. Để trống để dùng mặc định
+        (${defaultDuration} giây, 1 lần mỗi vòng).
+      </p>
+      <table class="rotation-table">
+        <thead>
+          <tr><th>Banner</th><th>Giây / lần</th><th>Lần / vòng</th><th>Thời lượng</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <div id="rotationSummary"></div>
+      <button class="btn btn-primary" onclick="saveRotationSettings()">
+        💾 Lưu rotation
+      </button>
+    `
+  );
+
+  updateRotationPreview();
+}
+
+// Per-logo { durationSeconds, weight } from the planner inputs (null = default)
+function readRotationInputs() {
+  const overrides = {};
+  const read = (selector, field) =>
+    document.querySelectorAll(selector).forEach((input) => {
+      const value = parseInt(input.value, 10);
+      overrides[input.dataset.logoId] = {
+        ...overrides[input.dataset.logoId],
+        [field]: value > 0 ? value : null,
+      };
+    });
+
+  read(".rotation-duration", "durationSeconds");
+  read(".rotation-weight", "weight");
+  return overrides;
+}
+
+function updateRotationPreview() {
+  const manifest = window.logoManifest?.currentManifest;
+  const summary = document.getElementById("rotationSummary");
+  if (!manifest || !summary) return;
+
+  const planner = window.RotationPlanner;
+  const plan = planner.plan(manifest, readRotationInputs());
+  const colors = new Map(
+    plan.shares.map((entry, index) => [
+      entry.logoId,
+      `hsl(${(index * 137) % 360}, 65%, 55%)`,
+    ])
+  );
+
+  plan.shares.forEach((entry) => {
+    const cell = document.querySelector(
+      `.rotation-share[data-logo-id="${entry.logoId}"]`
+    );
+    if (cell) cell.textContent = `${entry.share.toFixed(0)}%`;
+  });
+
+  const strip = plan.slots
+    .map((slot) => {
+      const name = plan.shares.find((entry) => entry.logoId === slot.logoId).name;
+      return `<div class="rotation-slot"
+        style="flex: ${slot.duration}; background: ${colors.get(slot.logoId)}"
+        title="${slot.start}s–${slot.start + slot.duration}s: ${name}"></div>`;
+    })
+    .join("");
+
+  const underBooked = planner
+    .checkCampaignTargets(manifest, plan)
+    .map(
+      (result) =>
+        `<li>⚠️ Chiến dịch ${result.campaign.name}: đặt ${
+          result.targetShare
+        }%, thực tế ${result.actualShare.toFixed(0)}%</li>`
+    )
+    .join("");
+
+  summary.innerHTML = `
+    <p><strong>Một vòng: ${plan.cycleSeconds} giây, ${plan.slots.length} lượt</strong></p>
+    <div class="rotation-strip">${strip}</div>
+    <ul class="rotation-summary">
+      ${planner
+        .describe(plan)
+        .map((line) => `<li>${line}</li>`)
+        .join("")}
+    </ul>
+    ${underBooked ? `<ul class="schedule-errors">${underBooked}</ul>` : ""}
+  `;
+}
+
+async function saveRotationSettings() {
+  const manifest = window.logoManifest?.currentManifest;
+  if (!manifest || !window.logoManifest.canPersistChanges()) return;
+
+  const changes = Object.entries(readRotationInputs())
+    .filter(([logoId, values]) => {
+      const logo = manifest.logos.find((item) => item.id === logoId);
+      return (
+        (logo.durationSeconds || null) !== values.durationSeconds ||
+        (logo.weight || null) !== values.weight
+      );
+    })
+    .map(([logoId, values]) => ({ type: "rotation", logoId, ...values }));
+
+  if (changes.length === 0) {
+    closeModal();
+    return;
+  }
+
+  try {
+    showToast("⏳ Đang lưu rotation...", "info");
+    const result = await window.GitHubUploadService.commitLogoChanges(changes);
+
+    window.logoManifest.currentManifest = result.manifest;
+    window.logoManifest.updateManifestDisplay();
+    window.logoManifest.displayLogos();
+    await window.logoManifest.publishManifestUpdate("rotation-updated");
+
+    closeModal();
+    showToast(`✅ Đã cập nhật rotation cho ${changes.length} banner`, "success");
+  } catch (error) {
+    console.error("Failed to save rotation:", error);
+    showToast("❌ Lưu rotation thất bại: " + error.message, "error");
+  }
 }
 
 // Update connection status in UI
@@ -122,11 +755,16 @@ async function loadSettings() {
   }
 }
 
-// Sync settings (local storage + MQTT)
-async function syncSettings() {
+// Sync settings (local storage + MQTT) to a device target
+async function syncSettings(target = getCommandTarget()) {
   try {
-    const displayModeEl = document.getElementById("displayMode");
-    const loopDurationEl = document.getElementById("loopDuration");
+    // Fall back to the display settings modal when there is no main form
+    const displayModeEl =
+      document.getElementById("displayMode") ||
+      document.getElementById("modalDisplayMode");
+    const loopDurationEl =
+      document.getElementById("loopDuration") ||
+      document.getElementById("modalLoopDuration");
 
     const displayMode = displayModeEl ? displayModeEl.value : "loop";
     const loopDuration = loopDurationEl ? parseInt(loopDurationEl.value) : 10;
@@ -137,6 +775,13 @@ async function syncSettings() {
       lastUpdated: new Date().toISOString(),
     };
 
+    // Billboards need the dayparting rules to run scheduled mode
+    if (displayMode === "scheduled" && window.ScheduleEditor) {
+      const { intervals, defaultLogo } = window.ScheduleEditor.getSchedule();
+      settings.scheduling = { intervals };
+      settings.defaultLogo = defaultLogo;
+    }
+
     console.log("Syncing settings:", settings);
 
     // Save to localStorage
@@ -145,13 +790,16 @@ async function syncSettings() {
     // Send MQTT notification
     try {
       if (window.MqttClient) {
-        await window.MqttClient.publishSettingsSync(settings);
+        await window.MqttClient.publishSettingsSync(settings, target);
       }
     } catch (error) {
       console.warn("Failed to publish MQTT settings sync:", error);
     }
 
-    showToast("Settings synced successfully", "success");
+    showToast(
+      `Settings synced to ${window.DeviceRegistry.describeTarget(target)}`,
+      "success"
+    );
   } catch (error) {
     console.error("Error syncing settings:", error);
     showToast("Error syncing settings: " + error.message, "error");
@@ -178,11 +826,15 @@ async function checkForUpdates() {
     }
 
     // Publish check update command
-    await window.MqttClient.publish("its/billboard/commands", {
-      action: "check_update",
-      timestamp: Date.now(),
-      source: "admin_web",
-    });
+    await window.MqttClient.publishToTarget(
+      "its/billboard/commands",
+      {
+        action: "check_update",
+        timestamp: Date.now(),
+        source: "admin_web",
+      },
+      getCommandTarget()
+    );
 
     showToast("📤 Update check command sent", "info");
 
@@ -208,6 +860,31 @@ async function checkForUpdates() {
   }
 }
 
+// Going back to an older release needs its own, explicit confirmation:
+// returns whether devices are downgraded, or null when the admin backs out
+function confirmDowngrade(version, deviceIds) {
+  const downgrades = window.ReleaseCatalog.findDowngrades(version, deviceIds);
+  if (downgrades.length === 0) return false;
+
+  const typed = prompt(
+    "⚠️ HẠ CẤP PHIÊN BẢN\n\n" +
+      downgrades
+        .map((device) => `- ${device.deviceId}: v${device.appVersion}`)
+        .join("\n") +
+      `\n\nsẽ được cài lại phiên bản cũ hơn v${version}.\n` +
+      "Nhập lại số phiên bản để xác nhận hạ cấp:"
+  );
+  if (
+    typed === null ||
+    window.OtaStateMachine.normaliseVersion(typed) !==
+      window.OtaStateMachine.normaliseVersion(version)
+  ) {
+    showToast("Đã hủy hạ cấp phiên bản", "info");
+    return null;
+  }
+  return true;
+}
+
 // Force update on billboard using UpdateService
 async function forceUpdate() {
   const forceBtn = document.getElementById("forceUpdateBtn");
@@ -238,8 +915,31 @@ async function forceUpdate() {
     return;
   }
 
+  if (window.RolloutService.isRunning()) {
+    showToast("⚠️ Đang triển khai theo đợt, hãy chờ hoặc hủy trước", "warning");
+    return;
+  }
+
+  let target = getCommandTarget();
+
+  const allowDowngrade = confirmDowngrade(
+    lastDetectedUpdateVersion,
+    window.DeviceRegistry.resolveTarget(target) ||
+      window.DeviceRegistry.list().map((device) => device.deviceId)
+  );
+  if (allowDowngrade === null) {
+    return;
+  }
+  const releaseFields = window.ReleaseCatalog.commandFields(
+    lastDetectedUpdateVersion,
+    { allowDowngrade }
+  );
+
   const confirmed = confirm(
     "⚠️ XÁC NHẬN CẬP NHẬT\n\n" +
+      "Áp dụng cho: " +
+      window.DeviceRegistry.describeTarget(target) +
+      "\n\n" +
       "Hành động này sẽ:\n" +
       "- Tải và cài đặt phiên bản v" +
       lastDetectedUpdateVersion +
@@ -253,6 +953,14 @@ async function forceUpdate() {
     return;
   }
 
+  target = applyMaintenanceWindows("update", target, {
+    version: lastDetectedUpdateVersion,
+    fields: releaseFields,
+  });
+  if (!target) {
+    return;
+  }
+
   try {
     forceBtn.disabled = true;
     btnText.style.display = "none";
@@ -266,69 +974,15 @@ async function forceUpdate() {
     updateStatus.style.display = "block";
     statusText.textContent = "Preparing update...";
 
-    // ✅ NEW: Generate unique message ID for tracking
-    const messageId = `update_${Date.now()}_${Math.random()
-      .toString(36)
-      .substr(2, 9)}`;
-
-    // ✅ IMPROVED: Send command with all required fields
-    const updateCommand = {
-      action: "force_update",
-      version: lastDetectedUpdateVersion,
-      targetVersion: lastDetectedUpdateVersion,
-      messageId: messageId,
-      timestamp: Date.now(),
-      source: "admin_web",
-      deviceTarget: "all",
-    };
-
-    console.log("[Admin-Web OTA] Sending force_update command:", updateCommand);
-
-    // Check MQTT connection before sending
-    if (!window.MqttClient || !window.MqttClient.connected) {
-      throw new Error(
-        "MQTT connection not available. Please check connection."
-      );
-    }
-
-    // Send via MQTT
-    await window.MqttClient.publish("its/billboard/commands", updateCommand);
-
-    console.log("[Admin-Web OTA] Command sent, waiting for acknowledgment...");
-    showToast("📤 Update command sent to billboard", "info");
-
-    statusText.textContent = "Waiting for billboard acknowledgment...";
-
-    // ✅ NEW: Wait for acknowledgment or timeout
-    const ackTimeout = new Promise((resolve) => {
-      setTimeout(() => {
-        resolve(false); // Timeout - no ack received
-      }, 5000); // 5 second timeout
-    });
-
-    const ackReceived = await Promise.race([
-      window.MqttClient.waitForAcknowledgment
-        ? window.MqttClient.waitForAcknowledgment(messageId)
-        : Promise.reject(new Error("ACK support not available")),
-      ackTimeout,
-    ]).catch(() => false);
-
-    if (ackReceived) {
-      statusText.textContent =
-        "✅ Billboard acknowledged! Downloading update...";
-      showToast("✅ Billboard acknowledged update command", "success");
-    } else {
-      statusText.textContent =
-        "⚠️ No acknowledgment yet, update may still be in progress...";
-      showToast("⚠️ No immediate response from billboard", "warning");
-    }
-
     // Setup UpdateService listeners before triggering
     setupUpdateServiceListeners();
 
-    // Trigger update using UpdateService
+    // UpdateService sends the only force_update and tracks every device
+    // from the first acknowledgment on
     const success = await window.UpdateService.triggerUpdate(
-      lastDetectedUpdateVersion
+      lastDetectedUpdateVersion,
+      target,
+      releaseFields
     );
 
     if (!success) {
@@ -349,11 +1003,18 @@ async function forceUpdate() {
 }
 
 // Setup UpdateService event listeners
+let updateServiceListenersReady = false;
+
 function setupUpdateServiceListeners() {
   if (!window.UpdateService) {
     console.error("UpdateService not available");
     return;
   }
+  if (updateServiceListenersReady) return;
+  updateServiceListenersReady = true;
+
+  // Per-device state machine progress
+  window.UpdateService.on("deviceStateChange", renderUpdateDevices);
 
   // Listen for status changes
   window.UpdateService.on("statusChange", (data) => {
@@ -378,10 +1039,13 @@ function setupUpdateServiceListeners() {
 
   // Listen for success
   window.UpdateService.on("success", (result) => {
-    showToast(`Update completed: v${result.version}`, "success");
+    showToast(
+      `✅ Đã xác minh v${result.version} trên ${result.devices.length} thiết bị`,
+      "success"
+    );
     const statusText = document.getElementById("updateStatusText");
     if (statusText) {
-      statusText.textContent = `Update successful! Restarting app...`;
+      statusText.textContent = `Update verified on ${result.devices.length} device(s) (${result.duration}s)`;
     }
   });
 
@@ -395,41 +1059,274 @@ function setupUpdateServiceListeners() {
   });
 }
 
-// Reset App function
-async function resetApp() {
-  const resetBtn = document.querySelector('button[onclick="resetApp()"]');
-  const btnText = resetBtn.querySelector(".btn-text");
-  const btnLoading = resetBtn.querySelector(".btn-loading");
+// Desktop app releases with notes, size, checksum and the devices on each
+function showReleaseCatalog() {
+  showModal("📚 Danh mục phiên bản", '<div id="releaseCatalog"></div>');
+  renderReleaseCatalog();
+}
 
-  // Show confirmation dialog
-  const confirmed = confirm(
-    "⚠️ XÁC NHẬN RESET APP\n\n" +
-      "Hành động này sẽ:\n" +
-      "- Khởi động lại billboard display\n" +
-      "- Tải lại tất cả settings và manifest\n" +
-      "- Ngắt kết nối MQTT tạm thời\n\n" +
-      "Bạn có chắc chắn muốn tiếp tục?"
-  );
+async function renderReleaseCatalog(force = false) {
+  const container = document.getElementById("releaseCatalog");
+  if (!container) return;
 
-  if (!confirmed) {
+  container.innerHTML = '<p class="history-meta">⏳ Đang tải danh mục...</p>';
+
+  let releases;
+  try {
+    releases = await window.ReleaseCatalog.load(force);
+  } catch (error) {
+    container.innerHTML = `<p class="history-meta">❌ Không thể tải danh mục: ${error.message}</p>`;
     return;
   }
 
-  try {
-    console.log("Resetting app...");
+  const running = window.ReleaseCatalog.devicesByVersion();
+  const newestRunning = Object.keys(running).sort((a, b) =>
+    window.ManifestMigrations.compareAppVersions(b, a)
+  )[0];
+
+  const items = releases
+    .map((release, index) => {
+      const devices = running[release.version] || [];
+      const older =
+        newestRunning &&
+        window.ManifestMigrations.compareAppVersions(release.version, newestRunning) < 0;
+
+      return `
+        <div class="campaign-item release-item ${
+          release.version === lastDetectedUpdateVersion ? "selected" : ""
+        }">
+          <div class="history-header">
+            <div>
+              <strong>v${release.version}</strong>
+              ${release.prerelease ? '<span class="fleet-group">pre-release</span>' : ""}
+              <p class="history-meta">
+                ${
+                  release.publishedAt
+                    ? new Date(release.publishedAt).toLocaleDateString("vi-VN")
+                    : "—"
+                }
+                · ${release.size ? `${(release.size / (1024 * 1024)).toFixed(1)}MB` : "—"}
+                ${
+                  release.checksum
+                    ? `· <code title="${release.checksum}">${release.checksum.slice(0, 19)}…</code>`
+                    : ""
+                }
+              </p>
+              <p class="history-meta">
+                ${
+                  devices.length
+                    ? `🖥️ ${devices.length} thiết bị: ${devices.join(", ")}`
+                    : "Chưa có thiết bị nào chạy phiên bản này"
+                }
+              </p>
+            </div>
+            <button class="btn btn-small ${older ? "btn-danger" : "btn-primary"}"
+                    onclick="selectRelease('${release.version}')">
+              ${older ? "⬇️ Hạ cấp" : "Chọn"}
+            </button>
+          </div>
+          ${
+            release.notes
+              ? `<details class="release-notes"><summary>Ghi chú phát hành</summary><pre id="releaseNotes-${index}"></pre></details>`
+              : ""
+          }
+        </div>
+      `;
+    })
+    .join("");
 
-    // Update button state
-    resetBtn.disabled = true;
-    btnText.style.display = "none";
-    btnLoading.style.display = "inline";
+  container.innerHTML = `
+    <div class="history-actions">
+      <button class="btn btn-secondary" onclick="renderReleaseCatalog(true)">🔄 Tải lại</button>
+    </div>
+    <div class="history-list">
+      ${items || '<p class="history-meta">Không tìm thấy phiên bản nào</p>'}
+    </div>
+  `;
 
-    showToast("🔄 Sending reset command to billboard...", "info");
+  // Release notes are text from the release author, never markup
+  releases.forEach((release, index) => {
+    const notes = document.getElementById(`releaseNotes-${index}`);
+    if (notes) notes.textContent = release.notes;
+  });
+}
+
+// Make a release the version forceUpdate installs
+function selectRelease(version) {
+  lastDetectedUpdateVersion = version;
+
+  const statusText = document.getElementById("updateStatusText");
+  const updateStatus = document.getElementById("updateStatus");
+  if (statusText && updateStatus) {
+    updateStatus.style.display = "block";
+    statusText.textContent = `Đã chọn phiên bản v${version} từ danh mục`;
+  }
+  const forceUpdateBtn = document.getElementById("forceUpdateBtn");
+  if (forceUpdateBtn) {
+    forceUpdateBtn.disabled = false;
+  }
+
+  closeModal();
+  showToast(`📚 Đã chọn v${version}, bấm "Cập Nhật Ngay" để cài đặt`, "info");
+}
+
+// OTA update attempts and rollouts, of one device or the whole fleet
+function showUpdateHistory(deviceId = null) {
+  showModal(
+    deviceId ? `📜 Lịch sử cập nhật · ${deviceId}` : "📜 Lịch sử cập nhật",
+    `<div id="updateHistory" data-device-id="${deviceId || ""}"></div>`
+  );
+  renderUpdateHistory();
+}
+
+const UPDATE_RESULT_LABELS = {
+  running: "⏳ Đang chạy",
+  halted: "⛔ Tạm dừng",
+  success: "✅ Thành công",
+  partial: "⚠️ Thiếu thiết bị offline",
+  failed: "❌ Lỗi",
+  cancelled: "⏹ Đã hủy",
+};
+
+async function renderUpdateHistory() {
+  const container = document.getElementById("updateHistory");
+  if (!container) return;
+
+  const deviceId = container.dataset.deviceId || null;
+  let attempts;
+  try {
+    attempts = await window.UpdateHistory.list({ deviceId });
+  } catch (error) {
+    container.innerHTML = `<p class="history-meta">❌ Không thể đọc lịch sử: ${error.message}</p>`;
+    return;
+  }
+
+  const formatTime = (time) =>
+    time ? new Date(time).toLocaleString("vi-VN") : "—";
+
+  const items = attempts
+    .map((attempt) => {
+      const devices = Object.entries(attempt.devices).filter(
+        ([id]) => !deviceId || id === deviceId
+      );
+      return `
+        <div class="campaign-item">
+          <div class="history-header">
+            <div>
+              <strong>${attempt.kind === "rollout" ? "🚦" : "⬇️"} v${attempt.toVersion}</strong>
+              ${UPDATE_RESULT_LABELS[attempt.result] || attempt.result}
+              <p class="history-meta">
+                ${formatTime(attempt.triggeredAt)} · ${attempt.triggeredBy} ·
+                ${attempt.target}${
+        attempt.durationSeconds != null ? ` · ${attempt.durationSeconds}s` : ""
+      }
+              </p>
+              ${attempt.error ? `<p class="history-meta">⚠️ ${attempt.error}</p>` : ""}
+            </div>
+          </div>
+          ${devices
+            .map(
+              ([id, device]) => `
+                <div class="rollout-device ${device.finalState || ""}">
+                  <code>${id}</code>
+                  <span>v${device.fromVersion || "?"} → v${attempt.toVersion}</span>
+                  <small>${(device.states || [])
+                    .map(
+                      (step) =>
+                        `${window.OtaStateMachine.getLabel(step.state)} ${new Date(
+                          step.at
+                        ).toLocaleTimeString("vi-VN")}`
+                    )
+                    .join(" → ")}${device.error ? ` · ${device.error}` : ""}</small>
+                </div>
+              `
+            )
+            .join("")}
+        </div>
+      `;
+    })
+    .join("");
+
+  container.innerHTML = `
+    <div class="history-actions">
+      <button class="btn btn-secondary"
+              onclick="window.UpdateHistory.exportCsv(${deviceId ? `'${deviceId}'` : "null"})">
+        ⬇️ Xuất CSV
+      </button>
+    </div>
+    <div class="history-list">
+      ${items || '<p class="history-meta">Chưa có lần cập nhật nào được ghi lại</p>'}
+    </div>
+  `;
+}
+
+// Per-device OTA states of the running or last update
+function renderUpdateDevices() {
+  const list = document.getElementById("updateDevices");
+  if (!list) return;
+
+  const machine = window.OtaStateMachine;
+  list.innerHTML = window.UpdateService.getStatus()
+    .devices.map(
+      (entry) => `
+        <div class="rollout-device ${entry.state}">
+          <code>${entry.deviceId}</code>
+          <span>${machine.getLabel(entry.state)}${
+        entry.state === "downloading" ? ` ${entry.percent}%` : ""
+      }</span>
+          <small>${entry.message || ""}</small>
+        </div>
+      `
+    )
+    .join("");
+}
+
+// Reset App function, on the selected device target unless one is given
+async function resetApp(target = getCommandTarget()) {
+  const resetBtn = document.querySelector('button[onclick="resetApp()"]');
+  const btnText = resetBtn.querySelector(".btn-text");
+  const btnLoading = resetBtn.querySelector(".btn-loading");
+
+  // Show confirmation dialog
+  const confirmed = confirm(
+    "⚠️ XÁC NHẬN RESET APP\n\n" +
+      "Áp dụng cho: " +
+      window.DeviceRegistry.describeTarget(target) +
+      "\n\n" +
+      "Hành động này sẽ:\n" +
+      "- Khởi động lại billboard display\n" +
+      "- Tải lại tất cả settings và manifest\n" +
+      "- Ngắt kết nối MQTT tạm thời\n\n" +
+      "Bạn có chắc chắn muốn tiếp tục?"
+  );
+
+  if (!confirmed) {
+    return;
+  }
+
+  target = applyMaintenanceWindows("reset", target);
+  if (!target) {
+    return;
+  }
+
+  try {
+    console.log("Resetting app...");
+
+    // Update button state
+    resetBtn.disabled = true;
+    btnText.style.display = "none";
+    btnLoading.style.display = "inline";
+
+    showToast("🔄 Sending reset command to billboard...", "info");
 
     // Send MQTT reset command
     if (window.MqttClient && window.MqttClient.connected) {
-      await window.MqttClient.publishAppReset();
+      await window.MqttClient.publishAppReset(target);
 
-      showToast("✅ Reset command sent successfully", "success");
+      showToast(
+        `✅ Reset command sent to ${window.DeviceRegistry.describeTarget(target)}`,
+        "success"
+      );
 
       // Simulate waiting for reset
       setTimeout(() => {
@@ -519,6 +1416,9 @@ function handleMqttStatusMessage(topic, message) {
     }
   }
 
+  // Every billboard message keeps the device registry current
+  window.DeviceRegistry.handleMessage(topic, data);
+
   // Handle update status messages
   if (topic === "its/billboard/update/status") {
     handleUpdateStatus(data);
@@ -533,6 +1433,11 @@ function handleMqttStatusMessage(topic, message) {
   if (topic === "its/billboard/update/ack") {
     handleUpdateAcknowledgment(data);
   }
+
+  // Screenshot uploads and chunks
+  if (topic === window.BannerConfig.mqtt.topic.screenshot) {
+    window.ScreenshotService.handleMessage(data);
+  }
 }
 
 // Handle update status from billboard - forward to UpdateService
@@ -548,6 +1453,7 @@ function handleUpdateStatus(status) {
   if (window.UpdateService) {
     window.UpdateService.handleUpdateStatus(status);
   }
+  window.RolloutService?.handleUpdateStatus(status);
 
   // Also handle UI updates for compatibility
   switch (status.status) {
@@ -591,15 +1497,6 @@ function handleUpdateStatus(status) {
         `🔄 Force reinstall: No newer version available, but force reinstall was requested for v${status.requestedVersion}`,
         "warning"
       );
-
-      // For force reinstall, we need to handle this as a special case
-      setTimeout(() => {
-        statusText.textContent = `Force reinstall completed for v${status.requestedVersion}`;
-        showToast(
-          `Force reinstall completed for v${status.requestedVersion}`,
-          "success"
-        );
-      }, 2000);
       break;
 
     case "error":
@@ -618,6 +1515,7 @@ function handleResetStatus(status) {
   if (window.UpdateService) {
     window.UpdateService.handleResetStatus(status);
   }
+  window.RolloutService?.handleResetStatus(status);
 
   // Also handle UI updates for compatibility
   switch (status.status) {
@@ -629,65 +1527,1287 @@ function handleResetStatus(status) {
       showToast("Billboard restarting...", "success");
       break;
 
-    case "reset_success":
-      showToast("Billboard reset completed", "success");
-      break;
+    case "reset_success":
+      showToast("Billboard reset completed", "success");
+      break;
+
+    case "error":
+      showToast(`Reset error: ${status.error}`, "error");
+      break;
+  }
+}
+
+// Handle update acknowledgment from billboard
+function handleUpdateAcknowledgment(ack) {
+  console.log("[Admin-Web] Received update acknowledgment:", ack);
+
+  window.UpdateService?.handleAcknowledgment(ack);
+  window.RolloutService?.handleAcknowledgment(ack);
+
+  // Manifest refreshes are downgraded to suit the oldest billboard app
+  window.MqttClient?.setBillboardAppVersion(
+    window.DeviceRegistry.getOldestAppVersion()
+  );
+
+  // Show acknowledgment toast
+  showToast(
+    `✅ ${ack.deviceId || "Billboard"} acknowledged: ${
+      ack.message || "Ready for update"
+    }`,
+    "success"
+  );
+}
+
+// Render the fleet table from the device registry
+function renderFleetTable() {
+  const tableBody = document.getElementById("fleetTableBody");
+  const summary = document.getElementById("fleetSummary");
+  if (!tableBody) return;
+
+  const devices = window.DeviceRegistry.list();
+  const monitor = window.HeartbeatMonitor;
+  const formatTime = (time) =>
+    time ? new Date(time).toLocaleString("vi-VN") : "—";
+  const stateOf = (device) =>
+    monitor.getState(device.deviceId) || (device.online ? "online" : "offline");
+
+  tableBody.innerHTML = devices.length
+    ? devices
+        .map(
+          (device) => `
+            <tr class="${stateOf(device)}">
+              <td>
+                <span class="status-indicator ${stateOf(device)}"></span>
+                ${monitor.getStateLabel(stateOf(device))}
+              </td>
+              <td><code>${device.deviceId}</code>${
+            device.hostname ? `<br /><small>${device.hostname}</small>` : ""
+          }</td>
+              <td>${device.appVersion || "—"}</td>
+              <td>${device.manifestVersion || "—"}</td>
+              <td>${[device.ip, device.location].filter(Boolean).join(" · ") || "—"}</td>
+              <td>${formatTime(device.lastSeen)}</td>
+              <td>${renderUptimeBar(device.deviceId)}</td>
+              <td>${
+                window.DeviceRegistry.groupsForDevice(device.deviceId)
+                  .map((group) => `<span class="fleet-group">${group.name}</span>`)
+                  .join(" ") || "—"
+              }${
+            window.MaintenanceWindows.isOpen(device.deviceId)
+              ? ""
+              : ` <span class="fleet-group maintenance-closed" title="Ngoài khung giờ bảo trì">🕒</span>`
+          }</td>
+              <td>${
+                device.lastStatus
+                  ? `${device.lastStatus.kind}: ${device.lastStatus.status}`
+                  : "—"
+              }</td>
+              <td class="fleet-actions">
+                <button class="btn btn-small btn-secondary" title="Tải lại manifest"
+                        onclick="refreshDeviceManifest('${device.deviceId}')">📥</button>
+                <button class="btn btn-small btn-secondary" title="Lịch sử cập nhật"
+                        onclick="showUpdateHistory('${device.deviceId}')">📜</button>
+                <button class="btn btn-small btn-secondary" title="Chụp màn hình"
+                        onclick="captureScreenshot({ type: 'device', id: '${device.deviceId}' })">📸</button>
+                <button class="btn btn-small btn-secondary" title="Khởi động lại thiết bị này"
+                        onclick="resetApp({ type: 'device', id: '${device.deviceId}' })">🔄</button>
+                <button class="btn btn-small btn-secondary" title="Xóa khỏi danh sách"
+                        onclick="window.DeviceRegistry.remove('${device.deviceId}')">✕</button>
+              </td>
+            </tr>
+          `
+        )
+        .join("")
+    : `<tr><td colspan="10" class="fleet-empty">Chưa nhận được tin nhắn nào từ billboard</td></tr>`;
+
+  if (summary) {
+    const online = devices.filter((device) => stateOf(device) === "online").length;
+    const stale = devices.filter((device) => stateOf(device) === "stale").length;
+    summary.textContent = `${online}/${devices.length} thiết bị online${
+      stale ? ` · ${stale} mất tín hiệu` : ""
+    }`;
+  }
+
+  renderCommandTargetOptions();
+}
+
+// ====================================
+// NOW PLAYING
+// ====================================
+
+const DISPLAY_MODE_LABELS = {
+  loop: "🔁 Luân phiên",
+  fixed: "📌 Cố định",
+  scheduled: "📅 Theo lịch",
+};
+
+// Live tile per billboard with the banner it reports on screen
+function renderNowPlaying() {
+  const grid = document.getElementById("nowPlayingGrid");
+  if (!grid) return;
+
+  const manifest = window.logoManifest?.currentManifest;
+  const cdnVersion = manifest?.version;
+  const devices = window.DeviceRegistry.list().filter(
+    (device) => device.nowPlaying
+  );
+
+  grid.innerHTML = devices.length
+    ? devices
+        .map((device) => {
+          const playing = device.nowPlaying;
+          const logo = manifest?.logos?.find(
+            (item) => item.id === playing.logoId
+          );
+          const state =
+            window.HeartbeatMonitor.getState(device.deviceId) ||
+            (device.online ? "online" : "offline");
+          const lagging =
+            playing.manifestVersion &&
+            cdnVersion &&
+            window.ManifestMigrations.compareAppVersions(
+              playing.manifestVersion,
+              cdnVersion
+            ) < 0;
+
+          return `
+            <div class="now-playing-tile ${state}">
+              <div class="now-playing-image">
+                ${
+                  logo
+                    ? `<img src="${logo.thumbnailUrl || logo.url}" alt="${logo.name}" />`
+                    : `<span>${playing.logoId ? "🗺️ Banner overlay" : "⬛ Không có banner"}</span>`
+                }
+              </div>
+              <div class="now-playing-info">
+                <strong><span class="status-indicator ${state}"></span> ${device.deviceId}</strong>
+                <span>${logo?.name || playing.logoId || "—"}</span>
+                <span class="history-meta">
+                  ${DISPLAY_MODE_LABELS[playing.displayMode] || playing.displayMode || "—"}
+                  · <span class="now-playing-countdown"
+                          data-next-switch="${playing.nextSwitchAt || ""}"></span>
+                </span>
+                ${
+                  lagging
+                    ? `<span class="now-playing-lag">⚠️ Manifest ${playing.manifestVersion} cũ hơn CDN ${cdnVersion}</span>`
+                    : ""
+                }
+              </div>
+            </div>
+          `;
+        })
+        .join("")
+    : '<p class="history-meta">Chưa có billboard nào báo cáo banner đang phát</p>';
+
+  updateNowPlayingCountdowns();
+}
+
+// Runs every second; only the countdown text changes
+function updateNowPlayingCountdowns() {
+  document.querySelectorAll(".now-playing-countdown").forEach((element) => {
+    const nextSwitch = Number(element.dataset.nextSwitch);
+    if (!nextSwitch) {
+      element.textContent = "không chuyển";
+      return;
+    }
+
+    const remaining = Math.round((nextSwitch - Date.now()) / 1000);
+    element.textContent =
+      remaining > 0
+        ? `chuyển sau ${remaining >= 60 ? `${Math.floor(remaining / 60)}m ` : ""}${
+            remaining % 60
+          }s`
+        : "đang chuyển...";
+  });
+}
+
+// Last 24 hours of a device's heartbeat timeline with its uptime
+function renderUptimeBar(deviceId) {
+  const to = Date.now();
+  const from = to - 24 * 60 * 60 * 1000;
+  const uptime = window.HeartbeatMonitor.getUptime(deviceId, from, to);
+  const segments = window.HeartbeatMonitor.getTimeline(deviceId, from, to)
+    .map(
+      (segment) => `
+        <span class="uptime-segment ${segment.state}"
+              style="left: ${((segment.from - from) * 100) / (to - from)}%;
+                     width: ${((segment.to - segment.from) * 100) / (to - from)}%"
+              title="${window.HeartbeatMonitor.getStateLabel(segment.state)}: ${new Date(
+                segment.from
+              ).toLocaleTimeString("vi-VN")} - ${new Date(segment.to).toLocaleTimeString(
+                "vi-VN"
+              )}"></span>`
+    )
+    .join("");
+
+  return `
+    <div class="uptime-bar">${segments}</div>
+    <small>${uptime === null ? "—" : `${uptime.toFixed(1)}%`}</small>
+  `;
+}
+
+// Stale/offline alerts stay listed until acknowledged
+function renderDeviceAlerts() {
+  const container = document.getElementById("deviceAlerts");
+  if (!container) return;
+
+  const alerts = window.HeartbeatMonitor.getPendingAlerts();
+  container.style.display = alerts.length ? "block" : "none";
+  container.innerHTML = `
+    <div class="device-alerts-header">
+      <strong>🚨 Cảnh báo thiết bị (${alerts.length})</strong>
+      <button class="btn btn-small btn-secondary"
+              onclick="window.HeartbeatMonitor.acknowledgeAll()">Đã biết tất cả</button>
+    </div>
+    ${alerts
+      .map(
+        (alert) => `
+          <div class="device-alert ${alert.resolvedAt ? "resolved" : alert.state}">
+            <span>
+              ${alert.resolvedAt ? "✅" : "⚠️"} ${alert.message}
+              <small>
+                từ ${new Date(alert.raisedAt).toLocaleString("vi-VN")}${
+          alert.resolvedAt
+            ? ` · online lại ${new Date(alert.resolvedAt).toLocaleString("vi-VN")}`
+            : ""
+        }
+              </small>
+            </span>
+            <button class="btn btn-small btn-secondary"
+                    onclick="window.HeartbeatMonitor.acknowledgeAlert('${alert.id}')">Đã biết</button>
+          </div>
+        `
+      )
+      .join("")}
+  `;
+}
+
+function saveStaleAfter() {
+  const input = document.getElementById("staleAfterSeconds");
+  try {
+    window.HeartbeatMonitor.setStaleAfterSeconds(input.value);
+    showToast(`Thiết bị im lặng quá ${input.value} giây sẽ bị cảnh báo`, "success");
+  } catch (error) {
+    showToast(error.message, "warning");
+    input.value = window.HeartbeatMonitor.getStaleAfterSeconds();
+  }
+}
+
+async function enableAlertNotifications() {
+  const permission =
+    await window.HeartbeatMonitor.requestNotificationPermission();
+  if (permission === "granted") {
+    showToast("🔔 Đã bật thông báo trình duyệt", "success");
+  } else if (permission === "unsupported") {
+    showToast("Trình duyệt không hỗ trợ thông báo", "warning");
+  } else {
+    showToast("Thông báo trình duyệt bị chặn", "warning");
+  }
+}
+
+// ====================================
+// DEVICE GROUPS & COMMAND TARGET
+// ====================================
+
+// Target chosen in the app control card ({ type: "all" } by default)
+function getCommandTarget() {
+  const select = document.getElementById("commandTarget");
+  return window.DeviceRegistry.parseTarget(select?.value);
+}
+
+// Fill the command and upload target selectors with the fleet, groups and
+// known devices
+function renderCommandTargetOptions() {
+  ["commandTarget", "uploadTarget"].forEach((id) => {
+    const select = document.getElementById(id);
+    if (select) renderTargetSelect(select);
+  });
+}
+
+function renderTargetSelect(select) {
+  const groups = window.DeviceRegistry.listGroups();
+  const devices = window.DeviceRegistry.list();
+  const options = `
+    <option value="all">📡 Tất cả billboard</option>
+    ${
+      groups.length
+        ? `<optgroup label="Nhóm thiết bị">${groups
+            .map(
+              (group) =>
+                `<option value="group:${group.id}">👥 ${group.name} (${group.deviceIds.length})</option>`
+            )
+            .join("")}</optgroup>`
+        : ""
+    }
+    ${
+      devices.length
+        ? `<optgroup label="Thiết bị">${devices
+            .map(
+              (device) =>
+                `<option value="device:${device.deviceId}">🖥️ ${device.deviceId}${
+                  device.online ? "" : " (offline)"
+                }</option>`
+            )
+            .join("")}</optgroup>`
+        : ""
+    }
+  `;
+
+  // Status messages re-render the fleet often; keep an open dropdown intact
+  if (select.dataset.options === options) return;
+
+  const selected = select.value;
+  select.innerHTML = options;
+  select.dataset.options = options;
+  select.value = [...select.options].some((option) => option.value === selected)
+    ? selected
+    : "all";
+}
+
+// Send the current manifest to a single billboard
+async function refreshDeviceManifest(deviceId) {
+  if (!window.logoManifest?.currentManifest) {
+    showToast("Manifest chưa được tải", "warning");
+    return;
+  }
+
+  const sent = await window.logoManifest.publishManifestUpdate(
+    "force-refresh-manifest",
+    { type: "device", id: deviceId }
+  );
+  if (sent) {
+    showToast(`📥 Đã gửi manifest tới ${deviceId}`, "success");
+  }
+}
+
+// Show device groups with their members
+function showDeviceGroups() {
+  showModal("👥 Nhóm thiết bị", "");
+  renderDeviceGroupList();
+}
+
+function renderDeviceGroupList() {
+  const groups = window.DeviceRegistry.listGroups();
+
+  const items = groups
+    .map(
+      (group) => `
+        <div class="campaign-item">
+          <div class="history-header">
+            <div>
+              <strong>${group.name}</strong>
+              <p class="history-meta">
+                ${group.deviceIds.length} thiết bị:
+                ${
+                  group.deviceIds
+                    .map((deviceId) => {
+                      const device = window.DeviceRegistry.get(deviceId);
+                      return `<code>${deviceId}</code>${
+                        device?.online ? "" : " (offline)"
+                      }`;
+                    })
+                    .join(", ") || "—"
+                }
+              </p>
+            </div>
+            <div class="history-actions">
+              <button class="btn btn-small btn-secondary"
+                      onclick="showDeviceGroupForm('${group.id}')">Sửa</button>
+              <button class="btn btn-small btn-danger"
+                      onclick="deleteDeviceGroup('${group.id}')">Xóa</button>
+            </div>
+          </div>
+        </div>
+      `
+    )
+    .join("");
+
+  document.getElementById("modalBody").innerHTML = `
+    <button class="btn btn-primary" onclick="showDeviceGroupForm()">
+      ➕ Nhóm mới
+    </button>
+    <div class="history-list">
+      ${items || '<p class="history-meta">Chưa có nhóm nào</p>'}
+    </div>
+  `;
+}
+
+function showDeviceGroupForm(groupId = null) {
+  const group = window.DeviceRegistry.getGroup(groupId) || {
+    name: "",
+    deviceIds: [],
+  };
+
+  // Members that were removed from the registry are still listed
+  const deviceIds = [
+    ...new Set([
+      ...window.DeviceRegistry.list().map((device) => device.deviceId),
+      ...group.deviceIds,
+    ]),
+  ];
+
+  const devices = deviceIds
+    .map((deviceId) => {
+      const device = window.DeviceRegistry.get(deviceId);
+      return `
+        <label class="replace-logo-item">
+          <input type="checkbox" class="group-device" value="${deviceId}"
+            ${group.deviceIds.includes(deviceId) ? "checked" : ""} />
+          ${deviceId}${device?.location ? ` · ${device.location}` : ""}${
+        device?.online ? "" : " (offline)"
+      }
+        </label>
+      `;
+    })
+    .join("");
+
+  document.getElementById("modalBody").innerHTML = `
+    <div class="settings-form">
+      <label class="form-label">Tên nhóm</label>
+      <input type="text" class="form-input" id="deviceGroupName"
+        value="${group.name}" placeholder="VD: Highway 1 north, Test bench" />
+      <label class="form-label">Thiết bị</label>
+      <div class="replace-logo-list">
+        ${devices || '<div class="input-hint">Chưa có thiết bị nào</div>'}
+      </div>
+      <div class="history-actions">
+        <button class="btn btn-secondary" onclick="renderDeviceGroupList()">Quay lại</button>
+        <button class="btn btn-primary"
+                onclick="saveDeviceGroupForm(${groupId ? `'${groupId}'` : "null"})">
+          💾 Lưu nhóm
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+function saveDeviceGroupForm(groupId) {
+  let group;
+  try {
+    group = window.DeviceRegistry.saveGroup({
+      id: groupId || undefined,
+      name: document.getElementById("deviceGroupName").value,
+      deviceIds: [...document.querySelectorAll(".group-device:checked")].map(
+        (input) => input.value
+      ),
+    });
+    renderDeviceGroupList();
+    showToast(`✅ Đã lưu nhóm ${group.name}`, "success");
+  } catch (error) {
+    showToast(error.message, "warning");
+    return;
+  }
+
+  syncOverlayGroup(group);
+}
+
+// Billboards find group overlays through the members listed in the manifest
+async function syncOverlayGroup(group) {
+  const manifest = window.logoManifest?.currentManifest;
+  if (
+    !group ||
+    !window.GitHubUploadService?.isAuthenticated ||
+    !window.ManifestOverlays.findRef(manifest, { type: "group", id: group.id })
+  ) {
+    return;
+  }
+
+  try {
+    const result = await window.GitHubUploadService.syncOverlayGroup(group);
+    if (!result) return;
+
+    window.logoManifest.currentManifest = result.manifest;
+    await window.logoManifest.publishManifestUpdate("overlay-group-updated", {
+      type: "group",
+      id: group.id,
+    });
+    showToast(`✅ Đã cập nhật thành viên overlay của nhóm ${group.name}`, "success");
+  } catch (error) {
+    console.error("Failed to sync overlay group:", error);
+    showToast("❌ Không cập nhật được overlay của nhóm: " + error.message, "error");
+  }
+}
+
+function deleteDeviceGroup(groupId) {
+  const group = window.DeviceRegistry.getGroup(groupId);
+  if (!group || !confirm(`Xóa nhóm "${group.name}"?`)) return;
+
+  window.DeviceRegistry.deleteGroup(groupId);
+  renderDeviceGroupList();
+  showToast(`Đã xóa nhóm ${group.name}`, "info");
+}
+
+// ====================================
+// SCREENSHOTS
+// ====================================
+
+// Ask the selected billboards for a screenshot
+async function captureScreenshot(target = getCommandTarget()) {
+  if (!window.MqttClient?.connected) {
+    showToast("MQTT chưa kết nối", "error");
+    return;
+  }
+
+  try {
+    await window.ScreenshotService.capture(target);
+    showToast(
+      `📸 Đã yêu cầu chụp màn hình ${window.DeviceRegistry.describeTarget(target)}`,
+      "info"
+    );
+  } catch (error) {
+    console.error("[Admin-Web] Screenshot request failed:", error);
+    showToast("Không thể yêu cầu chụp màn hình: " + error.message, "error");
+  }
+}
+
+// Show screenshots grouped per device
+function showScreenshotGallery() {
+  showModal("🖼️ Ảnh chụp màn hình", '<div id="screenshotGallery"></div>');
+  renderScreenshotGallery();
+}
+
+async function renderScreenshotGallery() {
+  const container = document.getElementById("screenshotGallery");
+  if (!container) return;
+
+  container.innerHTML = '<p class="history-meta">⏳ Đang tải ảnh chụp...</p>';
+
+  let gallery;
+  try {
+    gallery = await window.ScreenshotService.listGallery();
+  } catch (error) {
+    container.innerHTML = `<p class="history-meta">❌ Không thể tải ảnh chụp: ${error.message}</p>`;
+    return;
+  }
+
+  const deviceIds = Object.keys(gallery).sort();
+  if (deviceIds.length === 0) {
+    container.innerHTML =
+      '<p class="history-meta">Chưa có ảnh chụp nào. Dùng 📸 để chụp màn hình billboard.</p>';
+    return;
+  }
+
+  container.innerHTML = deviceIds
+    .map(
+      (deviceId) => `
+        <div class="screenshot-device">
+          <div class="history-header">
+            <strong><code>${deviceId}</code></strong>
+            <button class="btn btn-small btn-secondary"
+                    onclick="captureScreenshot({ type: 'device', id: '${deviceId}' })">📸 Chụp</button>
+          </div>
+          <div class="screenshot-grid">
+            ${gallery[deviceId]
+              .map(
+                (shot) => `
+                  <figure class="screenshot-item">
+                    <a href="${shot.url}" target="_blank" rel="noopener">
+                      <img src="${shot.url}" alt="${deviceId}" loading="lazy" />
+                    </a>
+                    <figcaption>
+                      ${
+                        shot.capturedAt
+                          ? new Date(shot.capturedAt).toLocaleString("vi-VN")
+                          : "—"
+                      }
+                      ${shot.path ? "" : '<span title="Chưa lưu lên GitHub">⚠️</span>'}
+                      ${
+                        shot.path
+                          ? `<button class="btn btn-small btn-secondary" title="Xóa ảnh"
+                                     onclick="deleteScreenshot('${shot.path}')">✕</button>`
+                          : ""
+                      }
+                    </figcaption>
+                  </figure>
+                `
+              )
+              .join("")}
+          </div>
+        </div>
+      `
+    )
+    .join("");
+}
+
+async function deleteScreenshot(path) {
+  if (!confirm("Xóa ảnh chụp này khỏi repository?")) return;
+
+  try {
+    await window.ScreenshotService.deleteScreenshots([path]);
+    showToast("Đã xóa ảnh chụp", "info");
+    renderScreenshotGallery();
+  } catch (error) {
+    console.error("[Admin-Web] Screenshot delete failed:", error);
+    showToast("Không thể xóa ảnh chụp: " + error.message, "error");
+  }
+}
+
+// ====================================
+// STAGED ROLLOUT
+// ====================================
+
+// Plan a rollout: version, canary device or group, waves and deadline
+function showRolloutForm() {
+  const current = window.RolloutService.rollout;
+  if (current && ["running", "halted"].includes(current.status)) {
+    showRolloutProgress();
+    return;
+  }
+
+  const config = window.BannerConfig.rollout || {};
+  showModal(
+    "🚦 Triển khai theo đợt",
+    `
+      <div class="settings-form">
+        <label class="form-label" for="rolloutVersion">Phiên bản</label>
+        <input type="text" class="form-input" id="rolloutVersion"
+          value="${lastDetectedUpdateVersion || ""}" placeholder="VD: 2.1.0"
+          oninput="previewRollout()" />
+        <label class="form-label" for="rolloutCanary">Canary (thiết bị hoặc nhóm)</label>
+        <select class="form-input select-input" id="rolloutCanary"
+          onchange="previewRollout()"></select>
+        <label class="form-label" for="rolloutWaves">Các đợt tiếp theo (% phần còn lại, cộng dồn)</label>
+        <input type="text" class="form-input" id="rolloutWaves"
+          value="${(config.waves || [10, 50, 100]).join(", ")}"
+          oninput="previewRollout()" />
+        <label class="form-label" for="rolloutDeadline">Thời hạn mỗi thiết bị (phút)</label>
+        <input type="number" class="form-input" id="rolloutDeadline" min="1"
+          value="${config.deadlineMinutes || 20}" />
+        <div id="rolloutPreview" class="rollout-preview"></div>
+        <div class="history-actions">
+          <button class="btn btn-secondary" onclick="closeModal()">Hủy</button>
+          <button class="btn btn-primary" onclick="startRollout()">🚀 Bắt đầu</button>
+        </div>
+      </div>
+    `
+  );
+
+  // The canary is never the whole fleet
+  const canary = document.getElementById("rolloutCanary");
+  renderTargetSelect(canary);
+  canary.querySelector('option[value="all"]')?.remove();
+  previewRollout();
+}
+
+function readRolloutForm() {
+  return {
+    version: document.getElementById("rolloutVersion").value,
+    canary: window.DeviceRegistry.parseTarget(
+      document.getElementById("rolloutCanary").value
+    ),
+    waves: window.RolloutService.parseWaves(
+      document.getElementById("rolloutWaves").value
+    ),
+    deadlineMinutes:
+      parseInt(document.getElementById("rolloutDeadline").value, 10) || null,
+  };
+}
+
+// Show which devices go in which wave
+function previewRollout() {
+  const preview = document.getElementById("rolloutPreview");
+  if (!preview) return;
+
+  try {
+    const form = readRolloutForm();
+    const waves = window.RolloutService.planWaves(form.canary, form.waves);
+    preview.innerHTML = waves
+      .map(
+        (wave, index) => `
+          <div class="rollout-wave-preview">
+            <strong>Đợt ${index + 1} · ${wave.label}</strong>
+            <span class="history-meta">${wave.deviceIds.join(", ")}</span>
+          </div>
+        `
+      )
+      .join("");
+  } catch (error) {
+    preview.innerHTML = `<p class="history-meta">⚠️ ${error.message}</p>`;
+  }
+}
+
+async function startRollout() {
+  let form;
+  let waves;
+  try {
+    form = readRolloutForm();
+    waves = window.RolloutService.planWaves(form.canary, form.waves);
+  } catch (error) {
+    showToast(error.message, "error");
+    return;
+  }
+
+  form.allowDowngrade = confirmDowngrade(
+    form.version,
+    waves.flatMap((wave) => wave.deviceIds)
+  );
+  if (form.allowDowngrade === null) return;
+
+  const confirmed = confirm(
+    `⚠️ XÁC NHẬN TRIỂN KHAI v${form.version}\n\n` +
+      `Canary: ${window.DeviceRegistry.describeTarget(form.canary)}\n` +
+      `Các đợt: ${form.waves.join("%, ")}%\n\n` +
+      "Mỗi đợt chỉ bắt đầu khi đợt trước đã khởi động lại với phiên bản mới. " +
+      "Bạn có chắc chắn muốn tiếp tục?"
+  );
+  if (!confirmed) return;
+
+  try {
+    await window.RolloutService.begin(form);
+    showToast(`🚦 Bắt đầu triển khai v${form.version}`, "info");
+    showRolloutProgress();
+  } catch (error) {
+    console.error("[Admin-Web] Rollout failed to start:", error);
+    showToast("Không thể bắt đầu triển khai: " + error.message, "error");
+  }
+}
+
+// Per-wave, per-device progress of the current rollout
+function showRolloutProgress() {
+  showModal("🚦 Tiến trình triển khai", '<div id="rolloutProgress"></div>');
+  renderRolloutProgress();
+}
+
+function renderRolloutProgress() {
+  const rollout = window.RolloutService.rollout;
+  const service = window.RolloutService;
+
+  const panel = document.getElementById("rolloutStatus");
+  if (panel) {
+    const summary = service.getSummary();
+    const total = Object.keys(rollout?.devices || {}).length;
+    panel.innerHTML = rollout
+      ? `
+        <span class="rollout-badge ${rollout.status}">${rollout.status}</span>
+        v${rollout.version}: ${summary.verified || 0}/${total} hoàn thành${
+          rollout.haltReason ? ` · ⛔ ${rollout.haltReason}` : ""
+        }
+        <button class="btn btn-small btn-secondary" onclick="showRolloutProgress()">Chi tiết</button>
+      `
+      : "";
+  }
+
+  const container = document.getElementById("rolloutProgress");
+  if (!container) return;
+
+  if (!rollout) {
+    container.innerHTML = '<p class="history-meta">Chưa có đợt triển khai nào</p>';
+    return;
+  }
+
+  const actions = {
+    running: `<button class="btn btn-danger" onclick="cancelRollout()">⏹ Hủy triển khai</button>`,
+    halted: `
+      <button class="btn btn-danger" onclick="cancelRollout()">⏹ Hủy triển khai</button>
+      <button class="btn btn-primary" onclick="resumeRollout()">▶️ Thử lại và tiếp tục</button>
+    `,
+  };
+
+  container.innerHTML = `
+    <p>
+      <span class="rollout-badge ${rollout.status}">${rollout.status}</span>
+      <strong>v${rollout.version}</strong> ·
+      bắt đầu ${new Date(rollout.startedAt).toLocaleString("vi-VN")} ·
+      thời hạn ${rollout.deadlineMinutes} phút/thiết bị
+    </p>
+    ${
+      rollout.haltReason
+        ? `<div class="warning-box"><span class="warning-icon">⛔</span>
+             <div class="warning-content">${rollout.haltReason}</div></div>`
+        : ""
+    }
+    ${rollout.waves
+      .map(
+        (wave, index) => `
+          <div class="rollout-wave ${index === rollout.currentWave ? "current" : ""}">
+            <div class="history-header">
+              <strong>Đợt ${index + 1} · ${wave.label}</strong>
+              <span class="history-meta">${
+                wave.completedAt
+                  ? `✅ ${new Date(wave.completedAt).toLocaleTimeString("vi-VN")}`
+                  : wave.startedAt
+                  ? "⏳ Đang chạy"
+                  : "Chờ"
+              }</span>
+            </div>
+            ${wave.deviceIds
+              .map((deviceId) => {
+                const entry = rollout.devices[deviceId];
+                return `
+                  <div class="rollout-device ${entry.state}">
+                    <code>${deviceId}</code>
+                    <span>${service.getDeviceLabel(entry.state)}${
+                      entry.state === "downloading" ? ` ${entry.percent}%` : ""
+                    }</span>
+                    <small>${entry.message || ""}</small>
+                  </div>
+                `;
+              })
+              .join("")}
+          </div>
+        `
+      )
+      .join("")}
+    <div class="history-actions">
+      ${
+        actions[rollout.status] ||
+        `<button class="btn btn-secondary" onclick="clearRollout()">🧹 Xóa kết quả</button>`
+      }
+    </div>
+  `;
+}
+
+async function resumeRollout() {
+  try {
+    await window.RolloutService.resume();
+    showToast("▶️ Tiếp tục triển khai", "info");
+  } catch (error) {
+    showToast("Không thể tiếp tục: " + error.message, "error");
+  }
+}
+
+function cancelRollout() {
+  if (!confirm("Hủy đợt triển khai? Các thiết bị đã cập nhật vẫn giữ phiên bản mới.")) {
+    return;
+  }
+  window.RolloutService.cancel();
+  showToast("Đã hủy triển khai", "info");
+}
+
+function clearRollout() {
+  window.RolloutService.clear();
+  closeModal();
+}
+
+// ====================================
+// MAINTENANCE WINDOWS
+// ====================================
+
+// Typed to send outside the maintenance window
+const MAINTENANCE_OVERRIDE_KEYWORD = "GUI NGAY";
+
+/**
+ * Queue an action for devices of a target that are outside their
+ * maintenance window, unless the admin types the override keyword and
+ * confirms that a second time; returns the target to act on now, or null
+ * when nothing is left to send
+ */
+function applyMaintenanceWindows(action, target, options = {}) {
+  const { open, closed } = window.MaintenanceWindows.plan(target);
+  if (closed.length === 0) return target;
+
+  const label = action === "reset" ? "khởi động lại" : "cập nhật";
+  const waiting = closed
+    .map(
+      ({ deviceId, opensAt }) =>
+        `- ${deviceId}: mở lúc ${new Date(opensAt).toLocaleString("vi-VN")}`
+    )
+    .join("\n");
+
+  // Cancel always backs out; overriding the windows has to be typed
+  const choice = prompt(
+    "🕒 NGOÀI KHUNG GIỜ BẢO TRÌ\n\n" +
+      waiting +
+      "\n\nOK (để trống): xếp hàng, tự động " +
+      label +
+      " khi khung giờ mở" +
+      (open.length > 0 ? ` (${open.length} thiết bị khác được gửi ngay)` : "") +
+      `\nNhập "${MAINTENANCE_OVERRIDE_KEYWORD}": ${label} ngay, bỏ qua khung giờ bảo trì` +
+      "\nHủy: không làm gì",
+    ""
+  );
+  if (choice === null) {
+    showToast(`Đã hủy ${label}`, "info");
+    return null;
+  }
+
+  const override =
+    choice.trim().toUpperCase() === MAINTENANCE_OVERRIDE_KEYWORD;
+  if (!override && choice.trim() !== "") {
+    showToast(`Không rõ lựa chọn "${choice}", đã hủy ${label}`, "warning");
+    return null;
+  }
+
+  if (!override) {
+    window.MaintenanceWindows.enqueue(
+      action,
+      closed.map(({ deviceId }) => deviceId),
+      options
+    );
+    showToast(`🕒 Đã xếp hàng ${label} cho ${closed.length} thiết bị`, "info");
+    return open.length > 0 ? { type: "devices", ids: open } : null;
+  }
+
+  const confirmed = confirm(
+    "⚠️ XÁC NHẬN LẦN 2\n\n" +
+      `${closed.length} thiết bị sẽ ${label} ngay, ngoài khung giờ bảo trì.\n` +
+      "Nội dung quảng cáo đang phát có thể bị gián đoạn.\n\n" +
+      "Vẫn tiếp tục?"
+  );
+  if (!confirmed) {
+    showToast(`Đã hủy ${label}`, "info");
+    return null;
+  }
+
+  console.warn(
+    `[Maintenance] ${action} outside the window for ${closed
+      .map(({ deviceId }) => deviceId)
+      .join(", ")}`
+  );
+  return target;
+}
+
+// Windows per device or group, and the actions waiting for them
+function showMaintenanceWindows() {
+  showModal("🕒 Khung giờ bảo trì", '<div id="maintenanceWindows"></div>');
+  renderMaintenanceWindows();
+}
+
+function renderMaintenanceWindows() {
+  const service = window.MaintenanceWindows;
+  const formatTime = (time) => new Date(time).toLocaleString("vi-VN");
+
+  const queue = service.listQueue();
+  const panel = document.getElementById("maintenanceQueue");
+  if (panel) {
+    panel.innerHTML = queue.length
+      ? `
+        🕒 ${queue.length} lệnh đang chờ khung giờ bảo trì
+        <button class="btn btn-small btn-secondary" onclick="showMaintenanceWindows()">Chi tiết</button>
+      `
+      : "";
+  }
+
+  const container = document.getElementById("maintenanceWindows");
+  if (!container) return;
+
+  const windows = service
+    .listWindows()
+    .map(
+      (slot) => `
+        <div class="campaign-item">
+          <div class="history-header">
+            <div>
+              <strong>${window.DeviceRegistry.describeTarget(slot.scope)}</strong>
+              <p class="history-meta">${service.describeWindow(slot)}</p>
+            </div>
+            <div class="history-actions">
+              <button class="btn btn-small btn-secondary"
+                      onclick="showMaintenanceWindowForm('${slot.id}')">Sửa</button>
+              <button class="btn btn-small btn-danger"
+                      onclick="deleteMaintenanceWindow('${slot.id}')">Xóa</button>
+            </div>
+          </div>
+        </div>
+      `
+    )
+    .join("");
+
+  const queued = queue
+    .map(
+      (entry) => `
+        <div class="campaign-item">
+          <div class="history-header">
+            <div>
+              <strong>${entry.action === "reset" ? "🔄 Khởi động lại" : `⬇️ Cập nhật v${entry.version}`}</strong>
+              · <code>${entry.deviceId}</code>
+              <p class="history-meta">
+                Xếp hàng ${formatTime(entry.queuedAt)}${
+        entry.queuedBy ? ` bởi ${entry.queuedBy}` : ""
+      } ·
+                ${
+                  service.isOpen(entry.deviceId)
+                    ? "chờ thiết bị online"
+                    : `gửi lúc ${formatTime(entry.opensAt)}`
+                }
+              </p>
+            </div>
+            <div class="history-actions">
+              <button class="btn btn-small btn-danger"
+                      onclick="cancelQueuedAction('${entry.id}')">Hủy</button>
+            </div>
+          </div>
+        </div>
+      `
+    )
+    .join("");
+
+  container.innerHTML = `
+    <p class="history-meta">
+      Cập nhật và khởi động lại ngoài khung giờ được xếp hàng và tự động gửi khi
+      khung giờ mở. Thiết bị không có khung giờ riêng dùng khung giờ của nhóm;
+      thiết bị không thuộc khung giờ nào có thể thao tác bất cứ lúc nào.
+    </p>
+    <button class="btn btn-primary" onclick="showMaintenanceWindowForm()">
+      ➕ Khung giờ mới
+    </button>
+    <div class="history-list">
+      ${windows || '<p class="history-meta">Chưa có khung giờ bảo trì nào</p>'}
+    </div>
+    <h4>Lệnh đang chờ</h4>
+    <div class="history-list">
+      ${queued || '<p class="history-meta">Không có lệnh nào đang chờ</p>'}
+    </div>
+  `;
+}
+
+function showMaintenanceWindowForm(windowId = null) {
+  const slot = window.MaintenanceWindows.getWindow(windowId) || {
+    scope: null,
+    days: [1, 2, 3, 4, 5],
+    start: "01:00",
+    end: "05:00",
+  };
+  const scopeValue = slot.scope
+    ? window.DeviceRegistry.formatTarget(slot.scope)
+    : "";
+
+  const scopes = [
+    ...window.DeviceRegistry.listGroups().map((group) => ({
+      value: `group:${group.id}`,
+      label: `👥 ${group.name}`,
+    })),
+    ...window.DeviceRegistry.list().map((device) => ({
+      value: `device:${device.deviceId}`,
+      label: `🖥️ ${device.deviceId}${device.location ? ` · ${device.location}` : ""}`,
+    })),
+  ];
+
+  document.getElementById("modalBody").innerHTML = `
+    <div class="settings-form">
+      <label class="form-label">Áp dụng cho</label>
+      <select class="form-input" id="maintenanceScope">
+        ${scopes
+          .map(
+            (scope) => `
+              <option value="${scope.value}" ${
+              scope.value === scopeValue ? "selected" : ""
+            }>${scope.label}</option>
+            `
+          )
+          .join("")}
+      </select>
+      <label class="form-label">Ngày trong tuần</label>
+      <div class="maintenance-days">
+        ${MAINTENANCE_DAY_LABELS.map(
+          (label, day) => `
+            <label>
+              <input type="checkbox" class="maintenance-day" value="${day}"
+                ${slot.days.includes(day) ? "checked" : ""} />
+              ${label}
+            </label>
+          `
+        ).join("")}
+      </div>
+      <label class="form-label">Từ</label>
+      <input type="time" class="form-input" id="maintenanceStart" value="${slot.start}" />
+      <label class="form-label">Đến (trước giờ bắt đầu = sang ngày hôm sau)</label>
+      <input type="time" class="form-input" id="maintenanceEnd" value="${slot.end}" />
+      <div class="history-actions">
+        <button class="btn btn-secondary" onclick="showMaintenanceWindows()">Quay lại</button>
+        <button class="btn btn-primary"
+                onclick="saveMaintenanceWindowForm(${windowId ? `'${windowId}'` : "null"})">
+          💾 Lưu khung giờ
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+function saveMaintenanceWindowForm(windowId) {
+  try {
+    window.MaintenanceWindows.saveWindow({
+      id: windowId || undefined,
+      scope: window.DeviceRegistry.parseTarget(
+        document.getElementById("maintenanceScope").value
+      ),
+      days: [...document.querySelectorAll(".maintenance-day:checked")].map(
+        (input) => Number(input.value)
+      ),
+      start: document.getElementById("maintenanceStart").value,
+      end: document.getElementById("maintenanceEnd").value,
+    });
+  } catch (error) {
+    showToast(error.message, "warning");
+    return;
+  }
+
+  showMaintenanceWindows();
+  showToast("✅ Đã lưu khung giờ bảo trì", "success");
+}
+
+function deleteMaintenanceWindow(windowId) {
+  if (!confirm("Xóa khung giờ bảo trì này?")) return;
+  window.MaintenanceWindows.deleteWindow(windowId);
+}
+
+function cancelQueuedAction(entryId) {
+  window.MaintenanceWindows.cancel(entryId);
+  showToast("Đã hủy lệnh đang chờ", "info");
+}
+
+// ====================================
+// OVERLAY MANIFESTS
+// ====================================
+
+let overlayEntries = [];
+
+// Show group and device overlays with their banners
+async function showOverlays() {
+  if (!window.GitHubUploadService?.isAuthenticated) {
+    showToast("Cần xác thực GitHub để quản lý overlay", "warning");
+    return;
+  }
+
+  showModal("🗺️ Overlay theo nhóm / thiết bị", "<p>⏳ Đang tải overlay...</p>");
 
-    case "error":
-      showToast(`Reset error: ${status.error}`, "error");
-      break;
+  try {
+    const manifest = await window.GitHubUploadService.getCurrentManifest();
+    overlayEntries = [];
+    for (const ref of manifest.overlays || []) {
+      overlayEntries.push({
+        ref,
+        overlay: await window.GitHubUploadService.getOverlay(ref),
+      });
+    }
+    renderOverlayList();
+  } catch (error) {
+    console.error("Failed to load overlays:", error);
+    document.getElementById(
+      "modalBody"
+    ).innerHTML = `<p>❌ Không thể tải overlay: ${error.message}</p>`;
   }
 }
 
-// Handle update acknowledgment from billboard
-function handleUpdateAcknowledgment(ack) {
-  console.log("[Admin-Web] Received update acknowledgment:", ack);
+function renderOverlayList() {
+  const items = overlayEntries
+    .map(({ ref, overlay }, index) => {
+      const logos = overlay?.logos || [];
+      return `
+        <div class="campaign-item">
+          <div class="history-header">
+            <div>
+              <strong>${ref.type === "group" ? "👥" : "🖥️"} ${ref.name || ref.id}</strong>
+              <p class="history-meta">
+                ${
+                  ref.type === "group"
+                    ? `${(ref.deviceIds || []).length} thiết bị`
+                    : `Thiết bị ${ref.id}`
+                } · <code>${ref.path}</code>
+              </p>
+              <label class="history-meta">
+                <input type="checkbox" ${overlay?.inheritBase === false ? "" : "checked"}
+                  onchange="setOverlayInheritBase(${index}, this.checked)" />
+                Phát cả playlist chung
+              </label>
+              <p class="history-meta">
+                Banner: ${
+                  logos
+                    .map(
+                      (logo) => `${logo.name}
+                        <button class="btn btn-small btn-secondary" title="Gỡ khỏi overlay"
+                                onclick="removeOverlayLogo(${index}, '${logo.id}')">✕</button>`
+                    )
+                    .join(" ") || "—"
+                }
+              </p>
+            </div>
+            <div class="history-actions">
+              <button class="btn btn-small btn-danger"
+                      onclick="deleteOverlay(${index})">Xóa</button>
+            </div>
+          </div>
+        </div>
+      `;
+    })
+    .join("");
+
+  document.getElementById("modalBody").innerHTML = `
+    <p class="history-meta">
+      Chọn nhóm hoặc thiết bị ở mục "Đăng lên" khi upload để thêm banner vào overlay.
+    </p>
+    <div class="history-list">
+      ${items || '<p class="history-meta">Chưa có overlay nào</p>'}
+    </div>
+  `;
+}
 
-  // Update device information
-  if (ack.deviceId) {
-    currentDeviceInfo.deviceId = ack.deviceId;
-    updateDeviceInfoDisplay();
-  }
+// Write an edited overlay and tell its billboards
+async function saveOverlayEntry(index, overlay, message) {
+  const { ref } = overlayEntries[index];
+  const target = { type: ref.type, id: ref.id };
 
-  if (ack.deviceVersion) {
-    currentDeviceInfo.deviceVersion = ack.deviceVersion;
-    updateDeviceInfoDisplay();
-  }
+  try {
+    const result = await window.GitHubUploadService.uploadOverlay(
+      target,
+      overlay,
+      { message }
+    );
+    overlayEntries[index] = { ref: result.ref, overlay: result.overlay };
+    renderOverlayList();
 
-  // Update last update time
-  currentDeviceInfo.lastUpdateTime = new Date().toLocaleString("vi-VN");
-  updateDeviceInfoDisplay();
+    if (window.logoManifest) {
+      window.logoManifest.currentManifest = result.manifest;
+      await window.logoManifest.publishManifestUpdate("overlay-updated", target);
+    }
+    showToast("✅ Đã lưu overlay", "success");
+  } catch (error) {
+    console.error("Failed to save overlay:", error);
+    showToast("❌ Lưu overlay thất bại: " + error.message, "error");
+  }
+}
 
-  // Show acknowledgment toast
-  showToast(
-    `✅ Billboard acknowledged: ${ack.message || "Ready for update"}`,
-    "success"
+function setOverlayInheritBase(index, inheritBase) {
+  const { ref, overlay } = overlayEntries[index];
+  saveOverlayEntry(
+    index,
+    { ...(overlay || window.ManifestOverlays.create(ref)), inheritBase },
+    `${inheritBase ? "Show" : "Hide"} base playlist in ${ref.type} overlay: ${
+      ref.name || ref.id
+    }`
   );
 }
 
-// Update device information display
-function updateDeviceInfoDisplay() {
-  // Update device version
-  const deviceVersionEl = document.getElementById("currentDeviceVersion");
-  if (deviceVersionEl) {
-    deviceVersionEl.textContent =
-      currentDeviceInfo.deviceVersion || "Đang tải...";
+function removeOverlayLogo(index, logoId) {
+  const { ref, overlay } = overlayEntries[index];
+  const logo = overlay.logos.find((item) => item.id === logoId);
+  if (!logo || !confirm(`Gỡ "${logo.name}" khỏi overlay ${ref.name || ref.id}?`)) {
+    return;
   }
 
-  // Update device ID
-  const deviceIdEl = document.getElementById("deviceId");
-  if (deviceIdEl) {
-    deviceIdEl.textContent = currentDeviceInfo.deviceId || "Chưa kết nối";
-  }
+  saveOverlayEntry(
+    index,
+    { ...overlay, logos: overlay.logos.filter((item) => item.id !== logoId) },
+    `Remove ${logo.name} from ${ref.type} overlay: ${ref.name || ref.id}`
+  );
+}
 
-  // Update last update time
-  const lastUpdateEl = document.getElementById("lastUpdateTime");
-  if (lastUpdateEl) {
-    lastUpdateEl.textContent = currentDeviceInfo.lastUpdateTime || "Chưa có";
+async function deleteOverlay(index) {
+  const { ref } = overlayEntries[index];
+  if (
+    !confirm(
+      `Xóa overlay của ${ref.name || ref.id}?\n\nCác billboard này sẽ chỉ phát playlist chung.`
+    )
+  ) {
+    return;
   }
 
-  // Update MQTT status (handled by separate function for modularity)
-  updateMqttStatusDisplay();
+  const target = { type: ref.type, id: ref.id };
+  try {
+    const result = await window.GitHubUploadService.deleteOverlay(target);
+    overlayEntries.splice(index, 1);
+    renderOverlayList();
+
+    if (window.logoManifest) {
+      window.logoManifest.currentManifest = result.manifest;
+      window.logoManifest.updateManifestDisplay();
+      await window.logoManifest.publishManifestUpdate("overlay-removed", target);
+    }
+    showToast(`✅ Đã xóa overlay ${ref.name || ref.id}`, "success");
+  } catch (error) {
+    console.error("Failed to delete overlay:", error);
+    showToast("❌ Xóa overlay thất bại: " + error.message, "error");
+  }
 }
 
 // Update MQTT status display
@@ -696,7 +2816,6 @@ function updateMqttStatusDisplay() {
   if (!statusEl) return;
 
   const isConnected = window.MqttClient?.connected;
-  currentDeviceInfo.mqttStatus = isConnected ? "connected" : "disconnected";
 
   const statusIndicator = statusEl.querySelector(".status-indicator");
   const statusText = statusEl.querySelector(".status-text");
@@ -724,20 +2843,18 @@ function updateMqttStatusDisplay() {
 function refreshDeviceInfo() {
   console.log("[Admin-Web] Refreshing device info...");
 
-  // Reset device info
-  currentDeviceInfo = {
-    deviceId: null,
-    deviceVersion: null,
-    mqttStatus: window.MqttClient?.connected ? "connected" : "disconnected",
-    lastUpdateTime: null,
-  };
-
-  updateDeviceInfoDisplay();
+  renderFleetTable();
   updateMqttStatusDisplay();
 
   showToast("Đã làm mới thông tin thiết bị", "info");
 }
 
+// Forget billboards that are offline
+function removeOfflineDevices() {
+  const removed = window.DeviceRegistry.removeOffline();
+  showToast(`Đã xóa ${removed} thiết bị offline khỏi danh sách`, "info");
+}
+
 // ====================================
 // LOGO MANIFEST SERVICE (GitHub CDN Sync) - Simplified
 // ====================================
@@ -748,6 +2865,12 @@ class LogoManifestManager {
       "https://mquan-eoh.github.io/billboard-logos-cdn/manifest.json";
     this.currentManifest = null;
 
+    // Grid actions waiting to be committed together
+    this.pendingChanges = [];
+    this.flushTimer = null;
+    this.isSaving = false;
+    this.flushDelay = 1500;
+
     this.initializeManifestUI();
   }
 
@@ -778,6 +2901,20 @@ class LogoManifestManager {
       if (response.ok) {
         this.currentManifest = await response.json();
         console.log("Manifest fetched successfully:", this.currentManifest);
+
+        // Checked as it will be written, after migrating to the current
+        // apiVersion; v1 manifests are not checked for broken references
+        const validation = window.ManifestSchema.validate(
+          window.ManifestMigrations.migrate(this.currentManifest).manifest
+        );
+        if (!validation.valid) {
+          console.warn("Published manifest has schema errors:", validation.errors);
+          showToast(
+            `Manifest trên CDN có ${validation.errors.length} lỗi schema (${validation.apiVersion}), cần sửa trước lần lưu tiếp theo`,
+            "warning"
+          );
+        }
+
         this.updateManifestDisplay();
         this.displayLogos();
         this.updateManifestStatus("online");
@@ -827,6 +2964,9 @@ class LogoManifestManager {
       const date = new Date(this.currentManifest.lastUpdated);
       lastUpdated.textContent = date.toLocaleString("vi-VN");
     }
+
+    // Billboards behind this version are flagged on their tiles
+    renderNowPlaying();
   }
 
   updateManifestStatus(status) {
@@ -852,20 +2992,43 @@ class LogoManifestManager {
     const logosGrid = document.getElementById("logosGrid");
     if (!logosGrid || !this.currentManifest?.logos) return;
 
+    const manifestEditor = document.getElementById("manifestEditor");
+    if (manifestEditor) manifestEditor.style.display = "block";
+
     logosGrid.innerHTML = "";
+    const lastIndex = this.currentManifest.logos.length - 1;
 
     this.currentManifest.logos.forEach((logo, index) => {
       const logoCard = document.createElement("div");
       logoCard.className = `logo-card ${logo.active ? "active" : "inactive"}`;
 
+      const campaigns = window.CampaignService.campaignsForLogo(
+        this.currentManifest,
+        logo.id
+      )
+        .map(
+          (campaign) =>
+            `<span class="campaign-badge ${window.CampaignService.getStatus(
+              campaign
+            )}">📣 ${campaign.name}</span>`
+        )
+        .join("");
+
       logoCard.innerHTML = `
-        <img src="${logo.url}" alt="${logo.name}" class="logo-preview" 
+        <img src="${logo.thumbnailUrl || logo.url}" alt="${
+          logo.name
+        }" class="logo-preview" loading="lazy" 
              onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMTAwIiBoZWlnaHQ9IjYwIiB2aWV3Qm94PSIwIDAgMTAwIDYwIiBmaWxsPSJub25lIiB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciPjxyZWN0IHdpZHRoPSIxMDAiIGhlaWdodD0iNjAiIGZpbGw9IiNmM2Y0ZjYiLz48dGV4dCB4PSI1MCIgeT0iMzAiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxMiIgZmlsbD0iIzZiNzI4MCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPk5vIEltYWdlPC90ZXh0Pjwvc3ZnPg=='">
         <div class="logo-info">
           <h4>${logo.name}</h4>
           <p>Priority: ${logo.priority}</p>
           <p>Size: ${(logo.size / 1024).toFixed(1)}KB</p>
           <p>Status: ${logo.active ? "Active" : "Inactive"}</p>
+          <p>Rotation: ${window.RotationPlanner.getDuration(
+            logo,
+            this.currentManifest.settings
+          )}s × ${window.RotationPlanner.getWeight(logo)}</p>
+          ${campaigns}
         </div>
         <div class="logo-actions">
           <button class="btn btn-small ${
@@ -876,6 +3039,16 @@ class LogoManifestManager {
           </button>
           <button class="btn btn-small btn-danger" onclick="window.logoManifest.deleteLogo(${index})">Delete</button>
         </div>
+        <div class="logo-actions">
+          <button class="btn btn-small btn-secondary" title="Move earlier"
+                  onclick="window.logoManifest.moveLogo(${index}, -1)" ${
+                    index === 0 ? "disabled" : ""
+                  }>◀</button>
+          <button class="btn btn-small btn-secondary" title="Move later"
+                  onclick="window.logoManifest.moveLogo(${index}, 1)" ${
+                    index === lastIndex ? "disabled" : ""
+                  }>▶</button>
+        </div>
       `;
 
       logosGrid.appendChild(logoCard);
@@ -916,30 +3089,139 @@ class LogoManifestManager {
     }
   }
 
+  // Grid actions are only meaningful once they can be committed to GitHub
+  canPersistChanges() {
+    if (window.GitHubUploadService?.isAuthenticated) return true;
+
+    showToast("Cần xác thực GitHub để lưu thay đổi banner", "warning");
+    return false;
+  }
+
   toggleLogoStatus(index) {
-    if (!this.currentManifest?.logos?.[index]) return;
+    const logo = this.currentManifest?.logos?.[index];
+    if (!logo || !this.canPersistChanges()) return;
 
-    this.currentManifest.logos[index].active =
-      !this.currentManifest.logos[index].active;
+    logo.active = !logo.active;
     this.updateManifestDisplay();
     this.displayLogos();
 
-    const status = this.currentManifest.logos[index].active
-      ? "enabled"
-      : "disabled";
-    showToast(`Logo ${status} successfully`, "success");
+    this.queueChange({ type: "toggle", logoId: logo.id, active: logo.active });
   }
 
   deleteLogo(index) {
-    if (!this.currentManifest?.logos?.[index]) return;
+    const logo = this.currentManifest?.logos?.[index];
+    if (!logo || !this.canPersistChanges()) return;
 
-    const logoName = this.currentManifest.logos[index].name;
-    if (confirm(`Bạn có chắc muốn xóa logo "${logoName}"?`)) {
+    if (confirm(`Bạn có chắc muốn xóa logo "${logo.name}"?`)) {
       this.currentManifest.logos.splice(index, 1);
       this.updateManifestDisplay();
       this.displayLogos();
-      showToast(`Logo "${logoName}" đã được xóa`, "success");
+
+      this.queueChange({ type: "delete", logoId: logo.id });
+    }
+  }
+
+  moveLogo(index, offset) {
+    const logos = this.currentManifest?.logos;
+    const target = index + offset;
+    if (!logos?.[index] || !logos[target] || !this.canPersistChanges()) return;
+
+    [logos[index], logos[target]] = [logos[target], logos[index]];
+    logos.forEach((logo, position) => {
+      logo.priority = position + 1;
+    });
+    this.displayLogos();
+
+    this.queueChange({ type: "reorder", order: logos.map((logo) => logo.id) });
+  }
+
+  // Collect grid actions and commit them together after a short pause
+  queueChange(change) {
+    if (change.type === "reorder") {
+      this.pendingChanges = this.pendingChanges.filter(
+        (pending) => pending.type !== "reorder"
+      );
+    }
+    this.pendingChanges.push(change);
+    this.updateSaveStatus("pending");
+
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => this.flushChanges(), this.flushDelay);
+  }
+
+  async flushChanges() {
+    if (this.pendingChanges.length === 0) return;
+
+    if (this.isSaving) {
+      this.flushTimer = setTimeout(() => this.flushChanges(), this.flushDelay);
+      return;
+    }
+
+    const changes = this.pendingChanges;
+    this.pendingChanges = [];
+    this.isSaving = true;
+    this.updateSaveStatus("saving");
+
+    try {
+      const result = await window.GitHubUploadService.commitLogoChanges(
+        changes
+      );
+
+      this.currentManifest = result.manifest;
+      this.updateManifestDisplay();
+      this.displayLogos();
+      this.updateSaveStatus("saved");
+      showToast(`Đã lưu ${changes.length} thay đổi banner lên CDN`, "success");
+
+      // Billboards are only told after the commit exists
+      await this.publishManifestUpdate("banners-updated");
+    } catch (error) {
+      console.error("Failed to save banner changes:", error);
+      this.updateSaveStatus("error");
+      showToast("Không thể lưu thay đổi banner: " + error.message, "error");
+
+      // Drop the optimistic edits and show what is really published
+      await this.fetchCurrentManifest();
+    } finally {
+      this.isSaving = false;
+    }
+  }
+
+  // Tell billboards (default: all of them) to reload the manifest that was
+  // just committed
+  async publishManifestUpdate(action, target = null) {
+    const sent = await window.MqttClient?.publishManifestRefresh(
+      {
+        action,
+        manifest: this.currentManifest,
+        timestamp: Date.now(),
+        source: "admin-web",
+      },
+      target
+    );
+
+    if (!sent) {
+      showToast(
+        "Đã lưu manifest nhưng không gửi được tín hiệu MQTT tới billboard",
+        "warning"
+      );
     }
+    return sent;
+  }
+
+  updateSaveStatus(state) {
+    const saveStatus = document.getElementById("manifestSaveStatus");
+    if (!saveStatus) return;
+
+    const labels = {
+      pending: "✏️ Chưa lưu",
+      saving: "⏳ Đang lưu...",
+      saved: "✅ Đã lưu",
+      error: "❌ Lưu thất bại",
+    };
+
+    saveStatus.className = `save-status ${state}`;
+    saveStatus.textContent = labels[state] || "";
   }
 }
 
@@ -967,6 +3249,84 @@ function forceRefreshBillboard() {
   }
 }
 
+function selectManifestImportFile() {
+  if (!window.GitHubUploadService?.isAuthenticated) {
+    showToast("Cần xác thực GitHub để import manifest", "warning");
+    return;
+  }
+
+  const importInput = document.getElementById("manifestImportInput");
+  if (importInput) {
+    importInput.value = "";
+    importInput.click();
+  }
+}
+
+// Publish a manifest.json file chosen by the user, after schema validation
+async function importManifestFile(file) {
+  const service = window.GitHubUploadService;
+
+  let imported;
+  try {
+    imported = JSON.parse(await file.text());
+  } catch (error) {
+    showToast(`File ${file.name} không phải JSON hợp lệ`, "error");
+    return;
+  }
+
+  // Check it exactly as it will be written
+  let manifest;
+  try {
+    manifest = service.validateAndFixManifest(
+      window.ManifestMigrations.migrate(imported).manifest
+    );
+  } catch (error) {
+    showToast(`Không thể import ${file.name}: ${error.message}`, "error");
+    return;
+  }
+  manifest.version = `1.0.${Date.now()}`;
+  manifest.lastUpdated = new Date().toISOString();
+  manifest.metadata.lastModifiedBy = "Admin Web Interface";
+
+  const validation = window.ManifestSchema.validate(manifest);
+  if (!validation.valid) {
+    showModal(
+      "❌ Manifest không hợp lệ",
+      `
+        <p>File <strong>${file.name}</strong> không khớp schema
+        ${validation.apiVersion}:</p>
+        <ul>${validation.errors.map((error) => `<li>${error}</li>`).join("")}</ul>
+      `
+    );
+    return;
+  }
+
+  const confirmed = confirm(
+    `Thay thế manifest hiện tại bằng ${file.name} (${manifest.logos.length} banner)?`
+  );
+  if (!confirmed) return;
+
+  try {
+    // Load the current manifest first so the import replaces it
+    await service.getCurrentManifest();
+    const result = await service.uploadManifest(manifest, {
+      message: `Import manifest from ${file.name}`,
+    });
+
+    if (window.logoManifest) {
+      window.logoManifest.currentManifest = result.manifest;
+      window.logoManifest.updateManifestDisplay();
+      window.logoManifest.displayLogos();
+      await window.logoManifest.publishManifestUpdate("manifest-imported");
+    }
+
+    showToast(`✅ Đã import manifest từ ${file.name}`, "success");
+  } catch (error) {
+    console.error("Manifest import failed:", error);
+    showToast("❌ Import manifest thất bại: " + error.message, "error");
+  }
+}
+
 // Cleanup manifest function
 async function cleanupBrokenLogos() {
   try {
@@ -998,6 +3358,189 @@ async function cleanupBrokenLogos() {
   }
 }
 
+let pendingDeduplicationPlan = null;
+
+// Show which byte-identical banner files would be merged
+async function deduplicateBannerAssets() {
+  if (!window.GitHubUploadService?.isAuthenticated) {
+    showToast("Cần xác thực GitHub để dọn file trùng lặp", "warning");
+    return;
+  }
+
+  showModal("🧬 Deduplicate Repository", "<p>⏳ Đang quét repository...</p>");
+
+  try {
+    const plan = await window.planAssetDeduplication();
+    pendingDeduplicationPlan = plan;
+
+    if (plan.removeCount === 0) {
+      document.getElementById("modalBody").innerHTML =
+        "<p>✅ Không có file banner trùng lặp</p>";
+      return;
+    }
+
+    const groups = plan.duplicates
+      .map(
+        (group) => `
+          <li>
+            Giữ <code>${group.keep.path}</code>, xóa ${group.remove.length} bản:
+            ${group.remove.map((entry) => `<code>${entry.path}</code>`).join(", ")}
+          </li>
+        `
+      )
+      .join("");
+
+    document.getElementById("modalBody").innerHTML = `
+      <p>Tìm thấy <strong>${plan.removeCount}</strong> file trùng lặp
+      (${(plan.bytesSaved / 1024).toFixed(1)}KB). Manifest sẽ được trỏ sang bản giữ lại.</p>
+      <ul class="dedup-list">${groups}</ul>
+      <button class="btn btn-danger" onclick="applyAssetDeduplication()">
+        🗑️ Xóa ${plan.removeCount} file trùng lặp
+      </button>
+    `;
+  } catch (error) {
+    console.error("Duplicate scan failed:", error);
+    document.getElementById(
+      "modalBody"
+    ).innerHTML = `<p>❌ Không thể quét repository: ${error.message}</p>`;
+  }
+}
+
+async function applyAssetDeduplication() {
+  if (!pendingDeduplicationPlan) return;
+
+  const plan = pendingDeduplicationPlan;
+  pendingDeduplicationPlan = null;
+  closeModal();
+
+  try {
+    showToast("🧬 Đang dọn file trùng lặp...", "info");
+    const result = await window.deduplicateRepository(plan);
+
+    if (window.logoManifest && result.manifest) {
+      window.logoManifest.currentManifest = result.manifest;
+      window.logoManifest.updateManifestDisplay();
+      window.logoManifest.displayLogos();
+      if (result.rewritten > 0) {
+        await window.logoManifest.publishManifestUpdate("assets-deduplicated");
+      }
+    }
+
+    showToast(
+      `✅ Đã xóa ${result.removed.length} file, cập nhật ${result.rewritten} banner`,
+      "success"
+    );
+  } catch (error) {
+    console.error("Deduplication failed:", error);
+    showToast("❌ Dọn file trùng lặp thất bại: " + error.message, "error");
+  }
+}
+
+let pendingOrphanPlan = null;
+
+// Dry run: list files no recent manifest version references
+async function showOrphanedAssets(retentionDays) {
+  if (!window.GitHubUploadService?.isAuthenticated) {
+    showToast("Cần xác thực GitHub để dọn file không dùng", "warning");
+    return;
+  }
+
+  const days =
+    retentionDays || window.BannerConfig?.manifest?.orphanRetentionDays || 30;
+
+  showModal(
+    "🗑️ Garbage Collect",
+    `<p>⏳ Đang quét manifest của ${days} ngày gần nhất...</p>`
+  );
+
+  try {
+    const plan = await window.planOrphanedAssetCleanup(days);
+    pendingOrphanPlan = plan;
+
+    const retention = `
+      <div class="gc-retention">
+        <label for="gcRetentionDays">Giữ file được dùng trong</label>
+        <input type="number" id="gcRetentionDays" min="1" value="${days}" />
+        <span>ngày</span>
+        <button class="btn btn-secondary" onclick="showOrphanedAssets(parseInt(document.getElementById('gcRetentionDays').value, 10))">
+          🔄 Quét lại
+        </button>
+      </div>
+    `;
+
+    if (plan.orphans.length === 0) {
+      document.getElementById("modalBody").innerHTML = `
+        ${retention}
+        <p>✅ Không có file nào bị bỏ quên (${plan.versionsScanned} phiên bản manifest đã kiểm tra)</p>
+      `;
+      return;
+    }
+
+    const rows = plan.orphans
+      .map(
+        (entry, index) => `
+          <li>
+            <label>
+              <input type="checkbox" class="gc-orphan" data-index="${index}" checked />
+              <code>${entry.path}</code>
+              <span class="gc-size">${(entry.size / 1024).toFixed(1)}KB</span>
+            </label>
+          </li>
+        `
+      )
+      .join("");
+
+    document.getElementById("modalBody").innerHTML = `
+      ${retention}
+      <p>Tìm thấy <strong>${plan.orphans.length}</strong> file không được
+      manifest nào dùng kể từ ${new Date(plan.since).toLocaleDateString("vi-VN")}
+      (${(plan.totalSize / 1024).toFixed(1)}KB,
+      ${plan.versionsScanned} phiên bản manifest đã kiểm tra).</p>
+      <ul class="dedup-list gc-list">${rows}</ul>
+      <button class="btn btn-danger" onclick="deleteSelectedOrphans()">
+        🗑️ Xóa các file đã chọn
+      </button>
+    `;
+  } catch (error) {
+    console.error("Orphan scan failed:", error);
+    document.getElementById(
+      "modalBody"
+    ).innerHTML = `<p>❌ Không thể quét repository: ${error.message}</p>`;
+  }
+}
+
+async function deleteSelectedOrphans() {
+  if (!pendingOrphanPlan) return;
+
+  const plan = pendingOrphanPlan;
+  const paths = [...document.querySelectorAll(".gc-orphan:checked")].map(
+    (input) => plan.orphans[Number(input.dataset.index)].path
+  );
+
+  if (paths.length === 0) {
+    showToast("Chưa chọn file nào", "warning");
+    return;
+  }
+
+  pendingOrphanPlan = null;
+  closeModal();
+
+  try {
+    showToast(`🗑️ Đang xóa ${paths.length} file...`, "info");
+    const result = await window.deleteOrphanedAssets(paths);
+
+    const skipped = paths.length - result.deleted.length;
+    showToast(
+      `✅ Đã xóa ${result.deleted.length} file` +
+        (skipped > 0 ? `, bỏ qua ${skipped} file vừa được dùng lại` : ""),
+      "success"
+    );
+  } catch (error) {
+    console.error("Orphan cleanup failed:", error);
+    showToast("❌ Dọn file không dùng thất bại: " + error.message, "error");
+  }
+}
+
 // Enhanced: Test banner sync with desktop apps
 async function testBannerSync() {
   console.log("Testing banner sync with desktop displays...");
@@ -1265,6 +3808,44 @@ async function uploadLogoToGithub() {
   const progressText = document.getElementById("githubProgressText");
   const progressStatus = document.getElementById("githubProgressStatus");
 
+  // How the new banners enter the playlist (chosen in the display settings modal)
+  const uploadModeEl = document.getElementById("modalUploadMode");
+  const uploadMode = uploadModeEl ? uploadModeEl.value : "append";
+  const replaceIds = Array.from(
+    document.querySelectorAll("#replaceLogoList input:checked")
+  ).map((input) => input.value);
+
+  // Which screens get the banners: everyone, or a group / device overlay
+  const uploadTargetEl = document.getElementById("uploadTarget");
+  const uploadTarget = window.DeviceRegistry.parseTarget(uploadTargetEl?.value);
+  const toOverlay = uploadTarget.type !== "all";
+
+  if (toOverlay && uploadMode === "replace_selected") {
+    showToast(
+      "Thay banner đã chọn chỉ áp dụng cho playlist chung; chọn Append hoặc Replace",
+      "warning"
+    );
+    return;
+  }
+
+  if (uploadMode === "replace_selected" && replaceIds.length === 0) {
+    showToast("Chưa chọn banner nào để thay thế", "warning");
+    return;
+  }
+
+  if (
+    uploadMode === "replace" &&
+    !confirm(
+      toOverlay
+        ? `⚠️ Thay toàn bộ overlay\n\nCác banner riêng của ${window.DeviceRegistry.describeTarget(
+            uploadTarget
+          )} sẽ bị gỡ. Tiếp tục?`
+        : "⚠️ Thay toàn bộ playlist\n\nTất cả banner đang phát sẽ bị gỡ khỏi billboard. Tiếp tục?"
+    )
+  ) {
+    return;
+  }
+
   try {
     progressDiv.style.display = "block";
     btnText.style.display = "none";
@@ -1277,8 +3858,12 @@ async function uploadLogoToGithub() {
     );
 
     // Get current settings from UI before upload
-    const displayModeEl = document.getElementById("displayMode");
-    const loopDurationEl = document.getElementById("loopDuration");
+    const displayModeEl =
+      document.getElementById("displayMode") ||
+      document.getElementById("modalDisplayMode");
+    const loopDurationEl =
+      document.getElementById("loopDuration") ||
+      document.getElementById("modalLoopDuration");
 
     const displayMode = displayModeEl ? displayModeEl.value : "loop";
     const loopDuration = loopDurationEl ? parseInt(loopDurationEl.value) : 10;
@@ -1291,7 +3876,13 @@ async function uploadLogoToGithub() {
         ? "fixed"
         : "scheduled";
 
-    console.log("Uploading with settings:", { logoMode, loopDuration });
+    console.log("Uploading with settings:", {
+      logoMode,
+      loopDuration,
+      uploadMode,
+      replaceIds,
+      uploadTarget,
+    });
 
     const result = await window.uploadLogosToGitHub(
       githubSelectedFiles,
@@ -1301,6 +3892,11 @@ async function uploadLogoToGithub() {
         progressFill.style.width = `${percentage}%`;
         progressText.textContent = `${percentage}%`;
         progressStatus.textContent = status || `Uploading ${current}/${total}`;
+      },
+      {
+        mode: uploadMode,
+        replaceIds,
+        target: toOverlay ? uploadTarget : null,
       }
     );
 
@@ -1320,6 +3916,21 @@ async function uploadLogoToGithub() {
         window.logoManifest.displayLogos();
       }
 
+      // Overlay banners only concern the targeted billboards
+      if (toOverlay) {
+        await window.logoManifest?.publishManifestUpdate(
+          "overlay-updated",
+          uploadTarget
+        );
+        showToast(
+          `📤 Banner đã đăng cho ${window.DeviceRegistry.describeTarget(
+            uploadTarget
+          )}`,
+          "info"
+        );
+        return;
+      }
+
       // Enhanced: Trigger remote banner sync notification via MQTT
       try {
         if (window.MqttClient && window.MqttClient.connected) {
@@ -1377,6 +3988,11 @@ document.addEventListener("DOMContentLoaded", async () => {
     autoLoadStoredToken();
   }, 1000); // Delay to ensure all services are loaded
 
+  // Let the user settle concurrent manifest edits
+  if (window.GitHubUploadService) {
+    window.GitHubUploadService.setConflictResolver(resolveManifestConflicts);
+  }
+
   // Setup GitHub file input handler
   const githubFileInput = document.getElementById("githubFileInput");
   if (githubFileInput) {
@@ -1386,12 +4002,112 @@ document.addEventListener("DOMContentLoaded", async () => {
     });
   }
 
+  // Setup manifest import handler
+  const manifestImportInput = document.getElementById("manifestImportInput");
+  if (manifestImportInput) {
+    manifestImportInput.addEventListener("change", (e) => {
+      if (e.target.files[0]) {
+        importManifestFile(e.target.files[0]);
+      }
+    });
+  }
+
   // Initialize Logo Manifest Manager
   console.log("Initializing Logo Manifest Manager...");
   window.logoManifest = new LogoManifestManager();
 
-  // Initialize device info display
-  updateDeviceInfoDisplay();
+  // Initialize fleet table from devices seen in earlier sessions
+  window.DeviceRegistry.on("change", renderFleetTable);
+  window.DeviceRegistry.on("removed", renderFleetTable);
+  window.DeviceRegistry.on("groupsChange", renderFleetTable);
+  window.DeviceRegistry.on("change", renderNowPlaying);
+  window.DeviceRegistry.on("removed", renderNowPlaying);
+  renderNowPlaying();
+  setInterval(updateNowPlayingCountdowns, 1000);
+
+  // Watch billboards for missing heartbeats
+  window.HeartbeatMonitor.on("stateChange", () => {
+    renderFleetTable();
+    renderNowPlaying();
+  });
+  window.HeartbeatMonitor.on("alertsChange", renderDeviceAlerts);
+  window.HeartbeatMonitor.on("alert", (alert) =>
+    showToast(`🚨 ${alert.message}`, "error")
+  );
+  window.HeartbeatMonitor.start();
+  const staleAfterInput = document.getElementById("staleAfterSeconds");
+  if (staleAfterInput) {
+    staleAfterInput.value = window.HeartbeatMonitor.getStaleAfterSeconds();
+  }
+  renderDeviceAlerts();
+
+  // Staged rollouts survive a reload
+  window.RolloutService.on("change", renderRolloutProgress);
+  window.RolloutService.on("halted", ({ reason }) =>
+    showToast(`⛔ Dừng triển khai: ${reason}`, "error")
+  );
+  window.RolloutService.on("completed", (rollout) => {
+    const skipped = window.RolloutService.getSkipped();
+    if (skipped.length > 0) {
+      showToast(
+        `⚠️ Đã triển khai v${rollout.version}, nhưng ${skipped.length} billboard offline chưa được cập nhật: ${skipped.join(", ")}`,
+        "warning",
+        10000
+      );
+      return;
+    }
+    showToast(`✅ Đã triển khai v${rollout.version} cho toàn bộ billboard`, "success");
+  });
+  window.RolloutService.start();
+  window.UpdateHistory.start();
+
+  // Updates and resets queued outside maintenance windows
+  setupUpdateServiceListeners();
+  window.MaintenanceWindows.on("windowsChange", () => {
+    renderMaintenanceWindows();
+    renderFleetTable();
+  });
+  window.MaintenanceWindows.on("queueChange", renderMaintenanceWindows);
+  window.MaintenanceWindows.on("dispatched", ({ action, version, deviceIds }) =>
+    showToast(
+      `🕒 Khung giờ bảo trì mở: ${
+        action === "reset" ? "khởi động lại" : `cập nhật v${version}`
+      } ${deviceIds.join(", ")}`,
+      "info"
+    )
+  );
+  window.MaintenanceWindows.on("failed", ({ deviceIds, error }) =>
+    showToast(`❌ Lệnh đang chờ cho ${deviceIds.join(", ")} thất bại: ${error}`, "error")
+  );
+  window.MaintenanceWindows.start();
+  renderMaintenanceWindows();
+  window.UpdateHistory.on("change", renderUpdateHistory);
+  window.UpdateHistory.on("commitFailed", ({ attempt, error }) =>
+    showToast(
+      `⚠️ Không ghi được lịch sử v${attempt.toVersion} lên repo: ${error.message}`,
+      "warning"
+    )
+  );
+  window.DeviceRegistry.on("versionReport", (report) =>
+    window.UpdateService.handleVersionReport(report)
+  );
+  renderRolloutProgress();
+
+  // Screenshot replies from billboards
+  window.ScreenshotService.on("captured", (shot) => {
+    showToast(`📸 Đã nhận ảnh chụp từ ${shot.deviceId}`, "success");
+    renderScreenshotGallery();
+  });
+  window.ScreenshotService.on("failed", ({ deviceId, error }) =>
+    showToast(`📸 ${deviceId} không chụp được màn hình: ${error}`, "error")
+  );
+  window.ScreenshotService.on("timeout", ({ missing }) =>
+    showToast(`📸 Không nhận được ảnh chụp từ ${missing.join(", ")}`, "warning")
+  );
+  window.MqttClient?.setBillboardAppVersion(
+    window.DeviceRegistry.getOldestAppVersion()
+  );
+  renderFleetTable();
   updateMqttStatusDisplay();
 
   // Initialize MQTT
@@ -0,0 +1,205 @@
+/**
+ * Campaign Service
+ * Advertiser campaigns in the manifest: booking period, share of airtime
+ * and banners, with automatic expiry when the manifest is published
+ */
+
+class CampaignService {
+  get github() {
+    return window.GitHubUploadService;
+  }
+
+  /**
+   * "upcoming", "running" or "expired" at a point in time
+   */
+  getStatus(campaign, now = Date.now()) {
+    if (Date.parse(campaign.endAt) <= now) return "expired";
+    if (Date.parse(campaign.startAt) > now) return "upcoming";
+    return "running";
+  }
+
+  /**
+   * Campaigns grouped by status; upcoming and running sorted by start,
+   * expired newest first
+   */
+  groupByStatus(manifest, now = Date.now()) {
+    const groups = { upcoming: [], running: [], expired: [] };
+
+    (manifest?.campaigns || []).forEach((campaign) => {
+      groups[this.getStatus(campaign, now)].push(campaign);
+    });
+
+    const byStart = (a, b) => Date.parse(a.startAt) - Date.parse(b.startAt);
+    groups.upcoming.sort(byStart);
+    groups.running.sort(byStart);
+    groups.expired.sort((a, b) => Date.parse(b.endAt) - Date.parse(a.endAt));
+
+    return groups;
+  }
+
+  /**
+   * Campaigns that include a logo
+   */
+  campaignsForLogo(manifest, logoId) {
+    return (manifest?.campaigns || []).filter((campaign) =>
+      campaign.logoIds.includes(logoId)
+    );
+  }
+
+  /**
+   * Sum of targetShare over campaigns running at the same time as campaign
+   * (including itself); above 100 the bookings cannot all be honoured
+   */
+  bookedShare(manifest, campaign) {
+    const start = Date.parse(campaign.startAt);
+    const end = Date.parse(campaign.endAt);
+
+    return (manifest?.campaigns || [])
+      .filter(
+        (other) =>
+          other.id !== campaign.id &&
+          Date.parse(other.startAt) < end &&
+          Date.parse(other.endAt) > start
+      )
+      .reduce(
+        (sum, other) => sum + (other.targetShare || 0),
+        campaign.targetShare || 0
+      );
+  }
+
+  /**
+   * Deactivate the banners of campaigns that have ended
+   *
+   * Each campaign expires once (recorded in expiredAt), so a banner
+   * switched back on by hand afterwards stays on. Banners that also belong
+   * to a campaign that has not ended are left alone.
+   * Returns { manifest, expired: [campaign ids], deactivated: [logo ids] }.
+   */
+  expireCampaigns(manifest, now = Date.now()) {
+    const campaigns = manifest?.campaigns || [];
+    const ending = campaigns.filter(
+      (campaign) =>
+        !campaign.expiredAt && this.getStatus(campaign, now) === "expired"
+    );
+
+    if (ending.length === 0) {
+      return { manifest, expired: [], deactivated: [] };
+    }
+
+    const stillBooked = new Set(
+      campaigns
+        .filter((campaign) => this.getStatus(campaign, now) !== "expired")
+        .flatMap((campaign) => campaign.logoIds)
+    );
+    const endingLogoIds = new Set(
+      ending.flatMap((campaign) => campaign.logoIds)
+    );
+    const expiredAt = new Date(now).toISOString();
+    const deactivated = [];
+
+    const logos = manifest.logos.map((logo) => {
+      if (
+        !endingLogoIds.has(logo.id) ||
+        stillBooked.has(logo.id) ||
+        logo.active === false
+      ) {
+        return logo;
+      }
+      deactivated.push(logo.id);
+      return { ...logo, active: false };
+    });
+
+    const endingIds = new Set(ending.map((campaign) => campaign.id));
+
+    console.log(
+      `[CampaignService] Expired ${ending
+        .map((campaign) => campaign.name)
+        .join(", ")}; deactivated ${deactivated.length} banner(s)`
+    );
+
+    return {
+      manifest: {
+        ...manifest,
+        logos,
+        campaigns: campaigns.map((campaign) =>
+          endingIds.has(campaign.id) ? { ...campaign, expiredAt } : campaign
+        ),
+      },
+      expired: [...endingIds],
+      deactivated,
+    };
+  }
+
+  createId() {
+    return `campaign-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+  }
+
+  /**
+   * Add or update a campaign and publish the manifest
+   */
+  async saveCampaign(campaign) {
+    if (!this.github?.isAuthenticated) {
+      throw new Error("GitHub service not authenticated");
+    }
+
+    const current = await this.github.getCurrentManifest();
+    const campaigns = current.campaigns || [];
+    const saved = { ...campaign, id: campaign.id || this.createId() };
+
+    // Moving the end date into the future makes the campaign live again
+    if (saved.expiredAt && Date.parse(saved.endAt) > Date.now()) {
+      delete saved.expiredAt;
+    }
+
+    const exists = campaigns.some((item) => item.id === saved.id);
+    const manifest = {
+      ...current,
+      version: `1.0.${Date.now()}`,
+      lastUpdated: new Date().toISOString(),
+      campaigns: exists
+        ? campaigns.map((item) => (item.id === saved.id ? saved : item))
+        : [...campaigns, saved],
+    };
+
+    const result = await this.github.uploadManifest(manifest, {
+      message: `${exists ? "Update" : "Add"} campaign: ${saved.name}`,
+    });
+
+    console.log(`[CampaignService] Saved campaign ${saved.id}`);
+    return { ...result, campaign: saved };
+  }
+
+  /**
+   * Remove a campaign (its banners stay in the playlist)
+   */
+  async deleteCampaign(campaignId) {
+    if (!this.github?.isAuthenticated) {
+      throw new Error("GitHub service not authenticated");
+    }
+
+    const current = await this.github.getCurrentManifest();
+    const campaign = (current.campaigns || []).find(
+      (item) => item.id === campaignId
+    );
+    if (!campaign) {
+      throw new Error(`Campaign ${campaignId} not found`);
+    }
+
+    const manifest = {
+      ...current,
+      version: `1.0.${Date.now()}`,
+      lastUpdated: new Date().toISOString(),
+      campaigns: current.campaigns.filter((item) => item.id !== campaignId),
+    };
+
+    const result = await this.github.uploadManifest(manifest, {
+      message: `Remove campaign: ${campaign.name}`,
+    });
+
+    console.log(`[CampaignService] Removed campaign ${campaignId}`);
+    return result;
+  }
+}
+
+// Create global instance
+window.CampaignService = new CampaignService();
@@ -25,6 +25,12 @@ const CONFIG = {
       bannerSync: "its/billboard/banner/sync",
       manifestRefresh: "its/billboard/manifest/refresh",
       status: "its/billboard/status",
+      // Billboards report the banner on screen here
+      nowPlaying: "its/billboard/display/current",
+      // Screenshot replies: upload notices or base64 chunks
+      screenshot: "its/billboard/screenshot",
+      // Per-device prefix; targeted commands go to <prefix>/<rest of topic>
+      device: "its/billboard/devices/{deviceId}",
     },
     options: {
       connectTimeout: 4000,
@@ -34,6 +40,94 @@ const CONFIG = {
     },
   },
 
+  // Billboard display resolution; uploads are scaled down to fit it
+  display: {
+    width: 1920,
+    height: 800,
+  },
+
+  // Manifest format
+  manifest: {
+    // First billboard app release able to read each manifest apiVersion;
+    // older billboards are sent the downgraded copy from legacyDirectory
+    minAppVersion: {
+      v1: "0.0.0",
+      v2: "2.0.0",
+    },
+    legacyDirectory: "manifests/",
+    // Per-group and per-device overlay manifests (<dir>groups/<id>.json,
+    // <dir>devices/<id>.json)
+    overlayDirectory: "overlays/",
+    // Assets referenced by any manifest version this recent are kept
+    orphanRetentionDays: 30,
+  },
+
+  // Billboard heartbeat monitoring
+  monitoring: {
+    // A billboard silent on its/billboard/status this long is marked stale
+    staleAfterSeconds: 180,
+    checkIntervalSeconds: 15,
+    // Uptime timeline kept per device
+    timelineDays: 7,
+  },
+
+  // OTA updates: seconds a billboard may stay silent in each update state
+  // before it is marked failed
+  ota: {
+    stateTimeoutSeconds: {
+      idle: 60,
+      acked: 180,
+      downloading: 300,
+      downloaded: 300,
+      installing: 600,
+      restarted: 180,
+    },
+  },
+
+  // Desktop app releases offered for OTA updates
+  releases: {
+    // "github": Releases of the desktop repository, "catalog": releases.json
+    // in the CDN repository; both are merged by version
+    sources: ["github", "catalog"],
+    repository: {
+      owner: "MinhQuan7",
+      repo: "ITS_OurdoorBillboard-",
+    },
+    catalogFile: "releases.json",
+    cacheMinutes: 10,
+  },
+
+  // OTA update audit log (IndexedDB); finished attempts are also appended
+  // to <directory><YYYY-MM>.jsonl in the CDN repository when enabled
+  updateHistory: {
+    commitToRepo: false,
+    directory: "ota-history/",
+  },
+
+  // Staged OTA rollouts
+  rollout: {
+    // Cumulative share of the non-canary fleet per wave
+    waves: [10, 50, 100],
+    // A device that has not restarted on the new version by then halts
+    // the rollout
+    deadlineMinutes: 20,
+    checkIntervalSeconds: 10,
+  },
+
+  // Maintenance windows; queued updates and resets are checked for an open
+  // window this often
+  maintenance: {
+    checkIntervalSeconds: 30,
+  },
+
+  // Remote screenshots, stored as <path><deviceId>/<capturedAt>.<ext>
+  screenshots: {
+    path: "screenshots/",
+    timeoutSeconds: 60,
+    // Size of base64 chunks billboards send over MQTT
+    chunkSize: 64 * 1024,
+  },
+
   // App Settings
   app: {
     version: "2.0.0-simplified",
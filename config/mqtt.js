@@ -35,8 +35,24 @@ export const MQTT_TOPICS = {
 
   // Status
   status: "its/billboard/status",
+  nowPlaying: "its/billboard/display/current",
+  screenshot: "its/billboard/screenshot",
+
+  // Per-device prefix for targeted commands
+  device: "its/billboard/devices/{deviceId}",
 };
 
+/**
+ * Per-device variant of a shared topic, e.g.
+ * its/billboard/commands -> its/billboard/devices/<id>/commands
+ */
+export function deviceTopic(deviceId, topic) {
+  return topic.replace(
+    /^its\/billboard\//,
+    `${MQTT_TOPICS.device.replace("{deviceId}", deviceId)}/`
+  );
+}
+
 export const MQTT_OPTIONS = {
   connectTimeout: 4000,
   reconnectPeriod: 1000,
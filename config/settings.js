@@ -17,6 +17,16 @@ export const STORAGE_KEYS = {
   lastUpdate: "last-update-time",
 };
 
+export const MANIFEST_SETTINGS = {
+  // First billboard app release able to read each manifest apiVersion;
+  // older billboards are sent the downgraded copy from legacyDirectory
+  minAppVersion: {
+    v1: "0.0.0",
+    v2: "2.0.0",
+  },
+  legacyDirectory: "manifests/",
+};
+
 export const APP_INFO = {
   name: "ITS Billboard Management",
   version: "2.0.0",
@@ -0,0 +1,389 @@
+/**
+ * Device Registry
+ * Billboards known to the admin web, keyed by deviceId and built from MQTT
+ * status, acknowledgement and update/reset status messages, plus named
+ * device groups used to target commands
+ */
+
+const DEVICE_REGISTRY_STORAGE_KEY = "billboard-device-registry";
+const DEVICE_GROUPS_STORAGE_KEY = "billboard-device-groups";
+
+class DeviceRegistry {
+  constructor() {
+    this.devices = new Map();
+    this.groups = new Map();
+    this.listeners = {};
+    this.load();
+  }
+
+  /**
+   * Register event listener ("change" with the updated device, "removed",
+   * "groupsChange", "versionReport" with { deviceId, version })
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  _emit(event, data) {
+    (this.listeners[event] || []).forEach((callback) => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`[DeviceRegistry] Error in ${event} listener:`, error);
+      }
+    });
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(
+        localStorage.getItem(DEVICE_REGISTRY_STORAGE_KEY) || "[]"
+      );
+      saved.forEach((device) => this.devices.set(device.deviceId, device));
+      console.log(`[DeviceRegistry] Loaded ${this.devices.size} device(s)`);
+    } catch (error) {
+      console.warn("[DeviceRegistry] Could not load saved devices:", error);
+    }
+
+    try {
+      const groups = JSON.parse(
+        localStorage.getItem(DEVICE_GROUPS_STORAGE_KEY) || "[]"
+      );
+      groups.forEach((group) => this.groups.set(group.id, group));
+    } catch (error) {
+      console.warn("[DeviceRegistry] Could not load device groups:", error);
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        DEVICE_REGISTRY_STORAGE_KEY,
+        JSON.stringify([...this.devices.values()])
+      );
+    } catch (error) {
+      console.warn("[DeviceRegistry] Could not save devices:", error);
+    }
+  }
+
+  saveGroups() {
+    try {
+      localStorage.setItem(
+        DEVICE_GROUPS_STORAGE_KEY,
+        JSON.stringify([...this.groups.values()])
+      );
+    } catch (error) {
+      console.warn("[DeviceRegistry] Could not save device groups:", error);
+    }
+  }
+
+  /**
+   * Update the registry from an MQTT message; returns the device or null
+   * when the message is not from a billboard
+   */
+  handleMessage(topic, data) {
+    if (!data || typeof data !== "object") return null;
+
+    // Our own online/offline announcements share the status topic
+    if (
+      data.type === "admin_web" ||
+      data.source === "admin_web" ||
+      data.source === "admin-web"
+    ) {
+      return null;
+    }
+
+    const deviceId = data.deviceId || data.clientId;
+    if (!deviceId) return null;
+
+    const now = Date.now();
+    const patch = { lastSeen: now, lastTopic: topic };
+
+    switch (topic) {
+      case window.BannerConfig.mqtt.topic.status:
+        // "offline" is the billboard's Last Will, sent by the broker
+        patch.online = data.status !== "offline";
+        if (data.status === "offline") delete patch.lastSeen;
+        break;
+
+      case "its/billboard/update/ack":
+        patch.online = true;
+        break;
+
+      // { deviceId, logoId, manifestVersion, displayMode, startedAt,
+      //   remainingSeconds | nextSwitchAt }, sent on every banner switch
+      case window.BannerConfig.mqtt.topic.nowPlaying:
+        patch.online = true;
+        patch.nowPlaying = {
+          logoId: data.logoId ?? data.currentLogoId ?? null,
+          manifestVersion: data.manifestVersion || null,
+          displayMode: data.displayMode || data.logoMode || null,
+          startedAt: data.startedAt ? new Date(data.startedAt).getTime() : now,
+          // remainingSeconds is measured on the device, so it does not
+          // depend on the two clocks agreeing
+          nextSwitchAt:
+            data.remainingSeconds != null
+              ? now + data.remainingSeconds * 1000
+              : data.nextSwitchAt
+              ? new Date(data.nextSwitchAt).getTime()
+              : null,
+          receivedAt: now,
+        };
+        break;
+
+      case "its/billboard/update/status":
+      case "its/billboard/reset/status":
+        patch.online = true;
+        patch.lastStatus = {
+          kind: topic.includes("reset") ? "reset" : "update",
+          status: data.status,
+          message: data.message || data.error || null,
+          at: now,
+        };
+        if (data.currentVersion) patch.appVersion = data.currentVersion;
+        break;
+
+      default:
+        patch.online = true;
+    }
+
+    const appVersion = data.appVersion || data.deviceVersion || data.version;
+    if (appVersion && topic !== "its/billboard/update/status") {
+      patch.appVersion = appVersion;
+    }
+    if (data.manifestVersion) patch.manifestVersion = data.manifestVersion;
+    if (data.ip || data.ipAddress) patch.ip = data.ip || data.ipAddress;
+    if (data.location) patch.location = data.location;
+    if (data.hostname) patch.hostname = data.hostname;
+
+    const device = this.upsert(deviceId, patch);
+
+    // The version a status or ack message itself carries; the merged
+    // record may still hold the one from before a restart
+    const reportedVersion =
+      topic === window.BannerConfig.mqtt.topic.status ||
+      topic === "its/billboard/update/ack"
+        ? data.appVersion || data.currentVersion || data.deviceVersion
+        : null;
+    if (reportedVersion && data.status !== "offline") {
+      this._emit("versionReport", { deviceId, version: reportedVersion });
+    }
+
+    return device;
+  }
+
+  upsert(deviceId, patch) {
+    const previous = this.devices.get(deviceId);
+    const device = {
+      deviceId,
+      firstSeen: previous?.firstSeen || Date.now(),
+      ...previous,
+      ...patch,
+    };
+
+    if (patch.online === false && previous?.online !== false) {
+      device.offlineSince = Date.now();
+    } else if (patch.online) {
+      delete device.offlineSince;
+    }
+
+    this.devices.set(deviceId, device);
+    this.save();
+
+    if (!previous) {
+      console.log(`[DeviceRegistry] New device: ${deviceId}`);
+    }
+    this._emit("change", device);
+    return device;
+  }
+
+  get(deviceId) {
+    return this.devices.get(deviceId) || null;
+  }
+
+  /**
+   * Devices, online first, then most recently seen
+   */
+  list() {
+    return [...this.devices.values()].sort(
+      (a, b) =>
+        Number(b.online) - Number(a.online) || (b.lastSeen || 0) - (a.lastSeen || 0)
+    );
+  }
+
+  /**
+   * Device heard from most recently
+   */
+  getLatest() {
+    return (
+      [...this.devices.values()].sort(
+        (a, b) => (b.lastSeen || 0) - (a.lastSeen || 0)
+      )[0] || null
+    );
+  }
+
+  /**
+   * Oldest app version in the fleet, so manifest refreshes suit every device
+   */
+  getOldestAppVersion() {
+    const versions = [...this.devices.values()]
+      .map((device) => device.appVersion)
+      .filter(Boolean);
+    if (versions.length === 0) return null;
+
+    return versions.reduce((oldest, version) =>
+      window.ManifestMigrations.compareAppVersions(version, oldest) < 0
+        ? version
+        : oldest
+    );
+  }
+
+  remove(deviceId) {
+    if (!this.devices.delete(deviceId)) return;
+    this.save();
+    this._emit("removed", deviceId);
+  }
+
+  /**
+   * Forget devices that are offline
+   */
+  removeOffline() {
+    const offline = [...this.devices.values()].filter((device) => !device.online);
+    offline.forEach((device) => this.devices.delete(device.deviceId));
+    this.save();
+    offline.forEach((device) => this._emit("removed", device.deviceId));
+    return offline.length;
+  }
+
+  /**
+   * Device groups sorted by name
+   */
+  listGroups() {
+    return [...this.groups.values()].sort((a, b) =>
+      a.name.localeCompare(b.name, "vi")
+    );
+  }
+
+  getGroup(groupId) {
+    return this.groups.get(groupId) || null;
+  }
+
+  /**
+   * Groups a device belongs to
+   */
+  groupsForDevice(deviceId) {
+    return this.listGroups().filter((group) =>
+      group.deviceIds.includes(deviceId)
+    );
+  }
+
+  /**
+   * Add or update a group ({ id?, name, deviceIds }); members stay in the
+   * group when a device is removed from the registry, so it rejoins when
+   * it comes back online
+   */
+  saveGroup(group) {
+    const name = (group.name || "").trim();
+    if (!name) {
+      throw new Error("Tên nhóm không được để trống");
+    }
+
+    const duplicate = this.listGroups().find(
+      (other) =>
+        other.id !== group.id && other.name.toLowerCase() === name.toLowerCase()
+    );
+    if (duplicate) {
+      throw new Error(`Nhóm "${name}" đã tồn tại`);
+    }
+
+    const saved = {
+      id: group.id || `group-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+      name,
+      deviceIds: [...new Set(group.deviceIds || [])],
+    };
+
+    this.groups.set(saved.id, saved);
+    this.saveGroups();
+    console.log(
+      `[DeviceRegistry] Saved group "${saved.name}" (${saved.deviceIds.length} device(s))`
+    );
+    this._emit("groupsChange", saved);
+    return saved;
+  }
+
+  deleteGroup(groupId) {
+    if (!this.groups.delete(groupId)) return;
+    this.saveGroups();
+    this._emit("groupsChange", null);
+  }
+
+  /**
+   * Parse a target selector value: "all", "group:<id>", "device:<id>" or
+   * "devices:<id>,<id>"
+   */
+  parseTarget(value) {
+    if (!value || value === "all") return { type: "all" };
+    const separator = value.indexOf(":");
+    const type = value.slice(0, separator);
+    const id = value.slice(separator + 1);
+    return type === "devices" ? { type, ids: id.split(",") } : { type, id };
+  }
+
+  formatTarget(target) {
+    if (!target || target.type === "all") return "all";
+    if (target.type === "devices") return `devices:${target.ids.join(",")}`;
+    return `${target.type}:${target.id}`;
+  }
+
+  /**
+   * Device ids a target addresses, or null for the whole fleet
+   */
+  resolveTarget(target) {
+    if (!target || target.type === "all") return null;
+
+    if (target.type === "device") {
+      return [target.id];
+    }
+
+    // A set of devices picked by the admin web itself, e.g. those whose
+    // maintenance window is open
+    if (target.type === "devices") {
+      return [...target.ids];
+    }
+
+    if (target.type === "group") {
+      const group = this.getGroup(target.id);
+      if (!group) {
+        throw new Error(`Không tìm thấy nhóm thiết bị ${target.id}`);
+      }
+      if (group.deviceIds.length === 0) {
+        throw new Error(`Nhóm "${group.name}" chưa có thiết bị nào`);
+      }
+      return group.deviceIds;
+    }
+
+    throw new Error(`Unknown device target type: ${target.type}`);
+  }
+
+  /**
+   * Human-readable target, e.g. for confirmations and toasts
+   */
+  describeTarget(target) {
+    if (!target || target.type === "all") return "tất cả billboard";
+    if (target.type === "device") return `thiết bị ${target.id}`;
+    if (target.type === "devices") {
+      return `${target.ids.length} thiết bị (${target.ids.join(", ")})`;
+    }
+
+    const group = this.getGroup(target.id);
+    return group
+      ? `nhóm "${group.name}" (${group.deviceIds.length} thiết bị)`
+      : `nhóm ${target.id}`;
+  }
+}
+
+// Create global instance
+window.DeviceRegistry = new DeviceRegistry();
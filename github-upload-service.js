@@ -19,6 +19,10 @@ class GitHubUploadService {
     this.authenticatedUser = null;
     this.listeners = {};
 
+    // Manifest the editor started from: { sha, manifest }
+    this.manifestBase = null;
+    this.conflictResolver = null;
+
     console.log("[GitHubUploadService] Initialized with unified config:", {
       owner: this.config.repository.owner,
       repo: this.config.repository.repo,
@@ -40,6 +44,11 @@ class GitHubUploadService {
         endpoint: "https://api.github.com",
         cdnEndpoint: "https://mquan-eoh.github.io/billboard-logos-cdn",
       },
+      files: {
+        compressionQuality: 0.8,
+        outputFormat: "image/webp",
+        thumbnail: { width: 320, height: 320, quality: 0.7, path: "thumbs/" },
+      },
     };
   }
 
@@ -187,6 +196,16 @@ class GitHubUploadService {
           throw new Error("Repository or resource not found");
         }
 
+        // Conflicts (e.g. non fast-forward ref update) will not succeed on retry
+        if (response.status === 409 || response.status === 422) {
+          const errorData = await response.json().catch(() => ({}));
+          const conflictError = new Error(
+            `Request rejected: ${errorData.message || response.statusText}`
+          );
+          conflictError.status = response.status;
+          throw conflictError;
+        }
+
         if (attempt === retries) {
           throw new Error(
             `Request failed: ${response.status} ${response.statusText}`
@@ -202,6 +221,7 @@ class GitHubUploadService {
       } catch (error) {
         if (
           attempt === retries ||
+          error.status ||
           error.message.includes("Authentication failed")
         ) {
           throw error;
@@ -484,6 +504,398 @@ class GitHubUploadService {
     return { results, errors };
   }
 
+  /**
+   * Get repository API base URL
+   */
+  getRepoApiUrl() {
+    return `${this.config.api.endpoint}/repos/${this.config.repository.owner}/${this.config.repository.repo}`;
+  }
+
+  /**
+   * Get head commit and tree SHA of the configured branch
+   */
+  async getBranchHead() {
+    const refResponse = await this.makeApiRequest(
+      `${this.getRepoApiUrl()}/git/ref/heads/${this.config.repository.branch}`
+    );
+    const ref = await refResponse.json();
+
+    const commitResponse = await this.makeApiRequest(
+      `${this.getRepoApiUrl()}/git/commits/${ref.object.sha}`
+    );
+    const commit = await commitResponse.json();
+
+    return { commitSha: ref.object.sha, treeSha: commit.tree.sha };
+  }
+
+  /**
+   * Create git blob (not yet referenced by any commit)
+   */
+  async createBlob(content, encoding = "base64") {
+    const response = await this.makeApiRequest(
+      `${this.getRepoApiUrl()}/git/blobs`,
+      {
+        method: "POST",
+        body: JSON.stringify({ content, encoding }),
+      }
+    );
+    const blob = await response.json();
+    return blob.sha;
+  }
+
+  /**
+   * Commit several file changes as one commit via the Git Data API
+   *
+   * Each change is { path, content, encoding } for new content,
+   * { path, sha } to reuse an existing blob, or { path, sha: null } to delete.
+   * The branch ref is only moved once the commit exists, so either every
+   * change lands on the branch or none does.
+   */
+  async commitFiles(changes, message, head = null) {
+    head = head || (await this.getBranchHead());
+
+    const tree = [];
+    const blobShas = {};
+    for (const change of changes) {
+      let sha = change.sha;
+      if (sha === undefined) {
+        sha = await this.createBlob(change.content, change.encoding);
+      }
+      blobShas[change.path] = sha;
+      tree.push({ path: change.path, mode: "100644", type: "blob", sha });
+    }
+
+    const treeResponse = await this.makeApiRequest(
+      `${this.getRepoApiUrl()}/git/trees`,
+      {
+        method: "POST",
+        body: JSON.stringify({ base_tree: head.treeSha, tree }),
+      }
+    );
+    const newTree = await treeResponse.json();
+
+    const commitResponse = await this.makeApiRequest(
+      `${this.getRepoApiUrl()}/git/commits`,
+      {
+        method: "POST",
+        body: JSON.stringify({
+          message,
+          tree: newTree.sha,
+          parents: [head.commitSha],
+        }),
+      }
+    );
+    const commit = await commitResponse.json();
+
+    await this.makeApiRequest(
+      `${this.getRepoApiUrl()}/git/refs/heads/${this.config.repository.branch}`,
+      {
+        method: "PATCH",
+        body: JSON.stringify({ sha: commit.sha, force: false }),
+      }
+    );
+
+    console.log(
+      `[GitHubUploadService] Committed ${changes.length} file(s): ${commit.sha}`
+    );
+
+    return { commitSha: commit.sha, treeSha: newTree.sha, blobShas };
+  }
+
+  /**
+   * Options for ImagePipeline: billboard resolution and configured quality
+   */
+  getImagePipelineOptions() {
+    const files = this.config.files || this.getDefaultConfig().files;
+    const display = window.BannerConfig?.display || {};
+
+    return {
+      maxWidth: display.width,
+      maxHeight: display.height,
+      format: files.outputFormat,
+      quality: files.compressionQuality,
+      thumbnail: files.thumbnail,
+    };
+  }
+
+  /**
+   * Public URL of a file below the upload path
+   */
+  getLogoFileUrl(relativePath) {
+    return this.configManager
+      ? this.configManager.getFileUrl(relativePath)
+      : this.getRawFileUrl(this.config.repository.uploadPath + relativePath);
+  }
+
+  /**
+   * Raw URL of any file in the branch; unlike the CDN it is current as soon
+   * as the commit lands
+   */
+  getRawFileUrl(path) {
+    const { owner, repo, branch } = this.config.repository;
+    return `https://raw.githubusercontent.com/${owner}/${repo}/${branch}/${path}`;
+  }
+
+  /**
+   * SHA-256 of file content as hex, recorded as logo contentHash
+   */
+  async computeContentHash(file) {
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      await file.arrayBuffer()
+    );
+    return this.toHex(digest);
+  }
+
+  /**
+   * Git blob SHA-1 of file content, as listed in repository trees
+   */
+  async computeGitBlobSha(file) {
+    const content = new Uint8Array(await file.arrayBuffer());
+    const header = new TextEncoder().encode(`blob ${content.length}\0`);
+    const data = new Uint8Array(header.length + content.length);
+    data.set(header);
+    data.set(content, header.length);
+
+    return this.toHex(await crypto.subtle.digest("SHA-1", data));
+  }
+
+  toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), (byte) =>
+      byte.toString(16).padStart(2, "0")
+    ).join("");
+  }
+
+  /**
+   * List every file in the branch tree: [{ path, sha, size }]
+   */
+  async getRepoTree(treeSha = null) {
+    const sha = treeSha || (await this.getBranchHead()).treeSha;
+    const response = await this.makeApiRequest(
+      `${this.getRepoApiUrl()}/git/trees/${sha}?recursive=1`
+    );
+    const tree = await response.json();
+
+    if (tree.truncated) {
+      console.warn(
+        "[GitHubUploadService] Repository tree listing was truncated"
+      );
+    }
+
+    return tree.tree
+      .filter((entry) => entry.type === "blob")
+      .map(({ path, sha, size }) => ({ path, sha, size }));
+  }
+
+  /**
+   * UTF-8 text of a git blob; unlike the contents API this also returns
+   * files over 1 MB
+   */
+  async getBlobText(sha) {
+    const response = await this.makeApiRequest(
+      `${this.getRepoApiUrl()}/git/blobs/${sha}`
+    );
+    const blob = await response.json();
+    return this.decodeBase64Content(blob.content);
+  }
+
+  /**
+   * Index of assets already in the repository, used to skip duplicate uploads
+   *
+   * byHash maps contentHash to the manifest logo that recorded it; byBlobSha
+   * maps git blob SHA to a path below uploadPath (covers files uploaded
+   * before content hashes were recorded).
+   */
+  async buildAssetIndex(manifest) {
+    const uploadPath = this.config.repository.uploadPath;
+    const thumbnailDir =
+      uploadPath + this.getImagePipelineOptions().thumbnail.path;
+    const tree = await this.getRepoTree();
+    const paths = new Set(tree.map((entry) => entry.path));
+
+    const byBlobSha = new Map();
+    tree
+      .filter(
+        (entry) =>
+          entry.path.startsWith(uploadPath) &&
+          !entry.path.startsWith(thumbnailDir)
+      )
+      .forEach((entry) => {
+        if (!byBlobSha.has(entry.sha)) byBlobSha.set(entry.sha, entry.path);
+      });
+
+    const byHash = new Map();
+    (manifest?.logos || []).forEach((logo) => {
+      if (logo.contentHash && paths.has(logo.githubPath)) {
+        byHash.set(logo.contentHash, logo);
+      }
+    });
+
+    return { byHash, byBlobSha, paths };
+  }
+
+  /**
+   * Thumbnail location for an image filename below the upload path
+   */
+  getThumbnailLocation(filename, extension) {
+    const thumbnailDir = this.getImagePipelineOptions().thumbnail.path;
+    const thumbnailFilename = `${filename.replace(
+      /\.[^/.]+$/,
+      ""
+    )}.${extension}`;
+
+    return {
+      path: this.config.repository.uploadPath + thumbnailDir + thumbnailFilename,
+      url: this.getLogoFileUrl(thumbnailDir + thumbnailFilename),
+    };
+  }
+
+  /**
+   * Prepare logo for a batch commit: resize/re-encode it, create blobs for
+   * the image and its thumbnail and build metadata
+   *
+   * With an assetIndex (see buildAssetIndex), an image whose processed
+   * content already exists in the repository is not uploaded again; the
+   * new logo points at the existing file instead.
+   */
+  async prepareLogo(file, metadata = {}, assetIndex = null) {
+    const image = await window.ImagePipeline.process(
+      file,
+      this.getImagePipelineOptions()
+    );
+    const contentHash = await this.computeContentHash(image.file);
+    const { original, processed, thumbnail } = image.metadata;
+
+    // Every logo gets its own id, even when it shares an asset
+    const id = this.generateLogoId(
+      this.generateUniqueFilename(image.file.name)
+    );
+    const baseMetadata = {
+      id,
+      name: metadata.name || file.name.replace(/\.[^/.]+$/, ""),
+      size: processed.size,
+      type: processed.type,
+      width: processed.width,
+      height: processed.height,
+      originalSize: original.size,
+      originalType: original.type,
+      originalWidth: original.width,
+      originalHeight: original.height,
+      contentHash,
+      priority: metadata.priority || 1,
+      active: metadata.active !== false,
+      uploadedAt: new Date().toISOString(),
+    };
+
+    const known = assetIndex?.byHash.get(contentHash);
+    if (known) {
+      console.log(
+        `[GitHubUploadService] ${file.name} already uploaded as ${known.githubPath}`
+      );
+      return {
+        logoMetadata: {
+          ...baseMetadata,
+          url: known.url,
+          filename: known.filename,
+          githubPath: known.githubPath,
+          githubSha: known.githubSha,
+          thumbnailUrl: known.thumbnailUrl,
+          thumbnailPath: known.thumbnailPath,
+          thumbnailSize: known.thumbnailSize,
+        },
+        changes: [],
+      };
+    }
+
+    const changes = [];
+
+    let githubSha = await this.computeGitBlobSha(image.file);
+    const existingPath = assetIndex?.byBlobSha.get(githubSha);
+    let filename;
+    let filePath;
+    if (existingPath) {
+      console.log(
+        `[GitHubUploadService] ${file.name} matches existing file ${existingPath}`
+      );
+      filePath = existingPath;
+      filename = existingPath.slice(this.config.repository.uploadPath.length);
+    } else {
+      filename =
+        metadata.filename || this.generateUniqueFilename(image.file.name);
+      filePath = this.config.repository.uploadPath + filename;
+      githubSha = await this.createBlob(await this.fileToBase64(image.file));
+      changes.push({ path: filePath, sha: githubSha });
+    }
+
+    const thumbnailLocation = this.getThumbnailLocation(
+      filename,
+      image.thumbnail.name.split(".").pop()
+    );
+    if (!assetIndex?.paths.has(thumbnailLocation.path)) {
+      const thumbnailSha = await this.createBlob(
+        await this.fileToBase64(image.thumbnail)
+      );
+      changes.push({ path: thumbnailLocation.path, sha: thumbnailSha });
+    }
+
+    const logoMetadata = {
+      ...baseMetadata,
+      url: this.getLogoFileUrl(filename),
+      filename: filename,
+      githubPath: filePath,
+      githubSha,
+      thumbnailUrl: thumbnailLocation.url,
+      thumbnailPath: thumbnailLocation.path,
+      thumbnailSize: thumbnail.size,
+    };
+
+    // Later files in the same batch can reuse this one
+    if (assetIndex) {
+      assetIndex.byHash.set(contentHash, logoMetadata);
+      assetIndex.paths.add(filePath);
+      assetIndex.paths.add(thumbnailLocation.path);
+    }
+
+    return { logoMetadata, changes };
+  }
+
+  /**
+   * Prepare logo batch - every file must succeed before anything is committed
+   */
+  async prepareLogoBatch(files, onProgress = null, assetIndex = null) {
+    const prepared = [];
+    const errors = [];
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+
+      try {
+        if (onProgress) {
+          onProgress(i, files.length, `Processing ${file.name}...`);
+        }
+
+        prepared.push(await this.prepareLogo(file, {}, assetIndex));
+      } catch (error) {
+        console.error(
+          `[GitHubUploadService] Preparing ${file.name} failed:`,
+          error
+        );
+        errors.push({ file: file.name, error: error.message });
+      }
+    }
+
+    if (errors.length > 0) {
+      const failedNames = errors.map((e) => e.file).join(", ");
+      const batchError = new Error(
+        `Upload aborted, nothing was committed. Failed files: ${failedNames}`
+      );
+      batchError.errors = errors;
+      throw batchError;
+    }
+
+    return prepared;
+  }
+
   /**
    * Get current manifest
    */
@@ -493,21 +905,69 @@ class GitHubUploadService {
       const fileInfo = await this.getFileInfo(manifestPath);
 
       if (fileInfo) {
-        const content = atob(fileInfo.content);
-        const manifest = JSON.parse(content);
-        return this.validateAndFixManifest(manifest);
+        const storedManifest = JSON.parse(
+          this.decodeBase64Content(fileInfo.content)
+        );
+        const migration = window.ManifestMigrations.migrate(storedManifest);
+        const manifest = this.validateAndFixManifest(migration.manifest);
+
+        // Reading never fails on schema errors, but they are surfaced so the
+        // next write does not come as a surprise
+        const validation = window.ManifestSchema.validate(manifest);
+        if (!validation.valid) {
+          console.warn(
+            `[GitHubUploadService] Manifest does not match schema ${validation.apiVersion}:`,
+            validation.errors
+          );
+          this._emit("manifestInvalid", validation);
+        }
+
+        this.manifestBase = { sha: fileInfo.sha, manifest: storedManifest };
+
+        if (migration.applied.length > 0 && this.isAuthenticated) {
+          return await this.writeBackMigratedManifest(manifest, migration);
+        }
+        return manifest;
       }
 
+      this.manifestBase = { sha: null, manifest: null };
       return this.createDefaultManifest();
     } catch (error) {
       console.warn(
         "[GitHubUploadService] Could not load manifest, using default:",
         error
       );
+      this.manifestBase = null;
       return this.createDefaultManifest();
     }
   }
 
+  /**
+   * Commit a manifest upgraded by getCurrentManifest, naming the migrations
+   *
+   * Failing to write back is not fatal: the next regular write carries the
+   * upgrade as well.
+   */
+  async writeBackMigratedManifest(manifest, migration) {
+    try {
+      const result = await this.uploadManifest(manifest, {
+        message: `Migrate manifest ${migration.from} → ${
+          migration.to
+        }: ${migration.applied.join(", ")}`,
+      });
+      console.log(
+        `[GitHubUploadService] Migrated manifest written back: ${result.commitSha}`
+      );
+      return result.manifest;
+    } catch (error) {
+      console.warn(
+        "[GitHubUploadService] Could not write back migrated manifest:",
+        error
+      );
+      return manifest;
+    }
+  }
+
   /**
    * Validate and fix manifest
    */
@@ -523,13 +983,10 @@ class GitHubUploadService {
     if (!fixedManifest.logos || !Array.isArray(fixedManifest.logos)) {
       fixedManifest.logos = [];
     }
-    if (!fixedManifest.settings) {
-      fixedManifest.settings = {
-        logoMode: "loop",
-        logoLoopDuration: 30,
-        schedules: [],
-      };
-    }
+    fixedManifest.settings = {
+      ...JSON.parse(JSON.stringify(window.ManifestSchema.defaultSettings)),
+      ...fixedManifest.settings,
+    };
     if (!fixedManifest.metadata) {
       fixedManifest.metadata = {
         author: "Admin Web Interface",
@@ -549,15 +1006,11 @@ class GitHubUploadService {
       version: `1.0.${Date.now()}`,
       lastUpdated: new Date().toISOString(),
       logos: [],
-      settings: {
-        logoMode: "loop",
-        logoLoopDuration: 30,
-        schedules: [],
-      },
+      settings: JSON.parse(JSON.stringify(window.ManifestSchema.defaultSettings)),
       metadata: {
         author: "Admin Web Interface",
         description: "Billboard logo manifest",
-        apiVersion: "v1",
+        apiVersion: window.ManifestSchema.API_VERSION,
       },
     };
   }
@@ -586,7 +1039,7 @@ class GitHubUploadService {
       updatedManifest.metadata = {
         author: "Admin Web Interface",
         description: "Billboard logo manifest",
-        apiVersion: "v1",
+        apiVersion: window.ManifestSchema.API_VERSION,
       };
     }
     updatedManifest.metadata.lastModifiedBy = "Admin Web Interface";
@@ -595,53 +1048,394 @@ class GitHubUploadService {
   }
 
   /**
-   * Upload manifest
+   * Register handler that lets the user settle manifest merge conflicts
+   *
+   * The resolver receives the conflict list and resolves to a map of
+   * "<type>:<id>" → "local" | "remote", or rejects to abort the write.
+   */
+  setConflictResolver(resolver) {
+    this.conflictResolver = resolver;
+  }
+
+  /**
+   * Upload manifest with optimistic concurrency
+   *
+   * The write carries the manifest SHA the editor started from (options.base,
+   * default this.manifestBase). When the remote manifest moved in between,
+   * the remote version is three-way merged with the local edit; only real
+   * clashes are handed to the conflict resolver. options.files adds more
+   * file changes (see commitFiles) to the same commit.
    */
-  async uploadManifest(manifest) {
+  async uploadManifest(manifest, options = {}) {
     const manifestPath = "manifest.json";
-    const content = JSON.stringify(manifest, null, 2);
-    const base64Content = btoa(content);
+    const maxAttempts = 3;
+    let base = options.base || this.manifestBase;
+    let localManifest = manifest;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const head = await this.getBranchHead();
+      const remoteFile = await this.getFileInfo(manifestPath, head.commitSha);
+      const remoteSha = remoteFile ? remoteFile.sha : null;
+
+      if (!base) {
+        // Unknown starting point: merge against an empty base so nothing
+        // published remotely is dropped
+        console.warn("[GitHubUploadService] No manifest base known");
+        base = { sha: undefined, manifest: null };
+      }
 
-    const existingFile = await this.getFileInfo(manifestPath);
+      if (remoteSha !== base.sha) {
+        console.log(
+          `[GitHubUploadService] Manifest changed remotely (${base.sha} → ${remoteSha}), merging...`
+        );
+        const remoteManifest = remoteFile
+          ? JSON.parse(this.decodeBase64Content(remoteFile.content))
+          : null;
+        localManifest = await this.mergeWithRemote(
+          base.manifest,
+          localManifest,
+          remoteManifest
+        );
+        base = { sha: remoteSha, manifest: remoteManifest };
+      }
 
-    const commitData = {
-      message: `Update manifest: ${manifest.version}`,
-      content: base64Content,
-      branch: this.config.repository.branch,
+      // Banners of campaigns that have ended go off with this publish
+      localManifest =
+        window.CampaignService.expireCampaigns(localManifest).manifest;
+
+      // Everything written is upgraded to and checked against the current
+      // schema; the merge above may have changed what is being written
+      localManifest = window.ManifestMigrations.migrate(localManifest).manifest;
+      window.ManifestSchema.assertValid(localManifest);
+
+      try {
+        const commit = await this.commitFiles(
+          [
+            ...(options.files || []),
+            {
+              path: manifestPath,
+              content: JSON.stringify(localManifest, null, 2),
+              encoding: "utf-8",
+            },
+            // Downgraded copies for billboards on older app versions
+            ...window.ManifestMigrations.buildLegacyChanges(localManifest),
+          ],
+          options.message || `Update manifest: ${localManifest.version}`,
+          head
+        );
+
+        this.manifestBase = {
+          sha: commit.blobShas[manifestPath],
+          manifest: JSON.parse(JSON.stringify(localManifest)),
+        };
+        this._emit("manifestUploaded", {
+          manifest: localManifest,
+          commitSha: commit.commitSha,
+        });
+
+        return { ...commit, manifest: localManifest };
+      } catch (error) {
+        // Branch moved between reading the head and updating the ref
+        if (error.status === 422 && attempt < maxAttempts) {
+          console.log(
+            "[GitHubUploadService] Branch moved during commit, retrying..."
+          );
+          continue;
+        }
+        throw new Error(`Manifest upload failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Commit banner grid actions (enable/disable, delete, reorder, rotation)
+   * as one commit
+   *
+   * Changes are { type: "toggle", logoId, active }, { type: "delete", logoId },
+   * { type: "reorder", order: [logoId, ...] } or
+   * { type: "rotation", logoId, durationSeconds, weight }. They are replayed
+   * by logo id on the latest manifest; deleted images are removed from the
+   * repo in the same commit unless another logo still points at them.
+   */
+  async commitLogoChanges(changes) {
+    if (!this.isAuthenticated) {
+      throw new Error("GitHub service not authenticated");
+    }
+
+    let manifest = await this.getCurrentManifest();
+    if (!this.manifestBase) {
+      throw new Error("Could not load manifest from repository");
+    }
+
+    const removedLogos = [];
+    const summary = [];
+
+    for (const change of changes) {
+      const logo = manifest.logos.find((item) => item.id === change.logoId);
+
+      switch (change.type) {
+        case "toggle":
+          if (!logo) break;
+          logo.active = change.active;
+          summary.push(`${change.active ? "enable" : "disable"} ${logo.name}`);
+          break;
+
+        case "delete":
+          if (!logo) break;
+          manifest.logos = manifest.logos.filter((item) => item !== logo);
+          removedLogos.push(logo);
+          summary.push(`delete ${logo.name}`);
+          break;
+
+        case "reorder": {
+          const position = (id) => {
+            const index = change.order.indexOf(id);
+            return index === -1 ? change.order.length : index;
+          };
+          manifest.logos.sort((a, b) => position(a.id) - position(b.id));
+          manifest.logos.forEach((item, index) => {
+            item.priority = index + 1;
+          });
+          summary.push("reorder");
+          break;
+        }
+
+        case "rotation":
+          if (!logo) break;
+          // null clears the field so the default applies again
+          ["durationSeconds", "weight"].forEach((field) => {
+            if (change[field] === undefined) return;
+            if (change[field] === null) delete logo[field];
+            else logo[field] = change[field];
+          });
+          summary.push(`rotation ${logo.name}`);
+          break;
+
+        default:
+          console.warn("[GitHubUploadService] Unknown logo change:", change);
+      }
+    }
+
+    if (removedLogos.length > 0) {
+      manifest = window.ManifestSchema.dropDanglingReferences(manifest);
+    }
+
+    // Overlays may show the same image files
+    const referencedPaths = new Set([
+      ...manifest.logos.flatMap((logo) => [logo.githubPath, logo.thumbnailPath]),
+      ...(removedLogos.length > 0
+        ? await this.getOverlayAssetPaths(manifest)
+        : []),
+    ]);
+    const files = [];
+    for (const logo of removedLogos) {
+      const paths = [
+        logo.githubPath || this.config.repository.uploadPath + logo.filename,
+        logo.thumbnailPath,
+      ].filter(Boolean);
+
+      for (const path of paths) {
+        if (referencedPaths.has(path) || files.some((f) => f.path === path)) {
+          continue;
+        }
+        if (await this.getFileInfo(path)) {
+          files.push({ path, sha: null });
+        }
+      }
+    }
+
+    manifest.version = `1.0.${Date.now()}`;
+    manifest.lastUpdated = new Date().toISOString();
+    manifest.metadata = {
+      ...manifest.metadata,
+      lastModifiedBy: "Admin Web Interface",
     };
 
-    if (existingFile) {
-      commitData.sha = existingFile.sha;
+    return await this.uploadManifest(manifest, {
+      files,
+      message: `Update banners: ${[...new Set(summary)].join(", ")}`,
+    });
+  }
+
+  /**
+   * Overlay manifest of a group or device target, or null when it has none
+   */
+  async getOverlay(target) {
+    const fileInfo = await this.getFileInfo(
+      window.ManifestOverlays.pathFor(target)
+    );
+    return fileInfo
+      ? JSON.parse(this.decodeBase64Content(fileInfo.content))
+      : null;
+  }
+
+  /**
+   * Image and thumbnail paths used by the overlays indexed in manifest
+   */
+  async getOverlayAssetPaths(manifest) {
+    const paths = new Set();
+
+    for (const ref of manifest?.overlays || []) {
+      const overlay = await this.getOverlay(ref);
+      (overlay?.logos || []).forEach((logo) => {
+        if (logo.githubPath) paths.add(logo.githubPath);
+        if (logo.thumbnailPath) paths.add(logo.thumbnailPath);
+      });
     }
 
-    const response = await fetch(
-      `${this.config.api.endpoint}/repos/${this.config.repository.owner}/${this.config.repository.repo}/contents/${manifestPath}`,
-      {
-        method: "PUT",
-        headers: {
-          Authorization: `token ${this.token}`,
-          Accept: "application/vnd.github.v3+json",
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(commitData),
+    return paths;
+  }
+
+  /**
+   * Index entry for a target; groups carry their name and members from
+   * DeviceRegistry so billboards can tell which group overlays apply to them
+   */
+  buildOverlayRef(target) {
+    const ref = {
+      type: target.type,
+      id: target.id,
+      path: window.ManifestOverlays.pathFor(target),
+    };
+
+    if (target.type === "group") {
+      const group = window.DeviceRegistry?.getGroup(target.id);
+      if (!group) {
+        throw new Error(`Device group ${target.id} not found`);
       }
+      ref.name = group.name;
+      ref.deviceIds = [...group.deviceIds];
+    }
+
+    return ref;
+  }
+
+  /**
+   * Write an overlay and index it in manifest.json in the same commit
+   *
+   * The overlay file is replaced as a whole; options.files adds more file
+   * changes (new banner images) to the commit.
+   */
+  async uploadOverlay(target, overlay, options = {}) {
+    const stamped = {
+      ...overlay,
+      target: { type: target.type, id: target.id },
+      version: `1.0.${Date.now()}`,
+      lastUpdated: new Date().toISOString(),
+    };
+    window.ManifestSchema.assertValidOverlay(stamped);
+
+    const ref = this.buildOverlayRef(target);
+    const current = await this.getCurrentManifest();
+    const manifest = {
+      ...window.ManifestOverlays.withRef(current, ref),
+      version: `1.0.${Date.now()}`,
+      lastUpdated: new Date().toISOString(),
+    };
+
+    const result = await this.uploadManifest(manifest, {
+      files: [
+        ...(options.files || []),
+        {
+          path: ref.path,
+          content: JSON.stringify(stamped, null, 2),
+          encoding: "utf-8",
+        },
+      ],
+      message:
+        options.message ||
+        `Update ${target.type} overlay: ${ref.name || target.id}`,
+    });
+
+    console.log(
+      `[GitHubUploadService] Overlay ${ref.path} written: ${stamped.logos.length} banner(s)`
+    );
+    return { ...result, overlay: stamped, ref };
+  }
+
+  /**
+   * Remove an overlay file and its index entry; its banners' images are
+   * left for the orphaned asset cleanup
+   */
+  async deleteOverlay(target) {
+    const path = window.ManifestOverlays.pathFor(target);
+    const current = await this.getCurrentManifest();
+    const ref = window.ManifestOverlays.findRef(current, target);
+    const manifest = {
+      ...window.ManifestOverlays.withoutRef(current, target),
+      version: `1.0.${Date.now()}`,
+      lastUpdated: new Date().toISOString(),
+    };
+
+    return await this.uploadManifest(manifest, {
+      files: (await this.getFileInfo(path)) ? [{ path, sha: null }] : [],
+      message: `Remove ${target.type} overlay: ${ref?.name || target.id}`,
+    });
+  }
+
+  /**
+   * Publish new members of a device group that has an overlay; returns
+   * null when nothing changed
+   */
+  async syncOverlayGroup(group) {
+    const target = { type: "group", id: group.id };
+    const current = await this.getCurrentManifest();
+    const ref = window.ManifestOverlays.findRef(current, target);
+    if (!ref) return null;
+
+    const updated = this.buildOverlayRef(target);
+    if (
+      ref.name === updated.name &&
+      JSON.stringify(ref.deviceIds || []) === JSON.stringify(updated.deviceIds)
+    ) {
+      return null;
+    }
+
+    return await this.uploadManifest(
+      {
+        ...window.ManifestOverlays.withRef(current, updated),
+        version: `1.0.${Date.now()}`,
+        lastUpdated: new Date().toISOString(),
+      },
+      { message: `Update overlay group members: ${group.name}` }
+    );
+  }
+
+  /**
+   * Merge local manifest edit with the remote version both started from base
+   */
+  async mergeWithRemote(baseManifest, localManifest, remoteManifest) {
+    if (!remoteManifest) return localManifest;
+
+    const mergeResult = window.ManifestMerge.threeWayMerge(
+      baseManifest,
+      localManifest,
+      remoteManifest
     );
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`Manifest upload failed: ${errorData.message}`);
+    if (mergeResult.conflicts.length === 0) {
+      console.log("[GitHubUploadService] Manifest merged without conflicts");
+      return mergeResult.manifest;
+    }
+
+    if (!this.conflictResolver) {
+      const conflictError = new Error(
+        `Manifest was changed by someone else: ${mergeResult.conflicts.length} conflict(s)`
+      );
+      conflictError.conflicts = mergeResult.conflicts;
+      throw conflictError;
     }
 
-    return await response.json();
+    const resolutions = await this.conflictResolver(mergeResult.conflicts);
+    return window.ManifestMerge.applyResolutions(mergeResult, resolutions);
   }
 
   /**
    * Get file info
    */
-  async getFileInfo(filePath) {
+  async getFileInfo(filePath, ref = this.config.repository.branch) {
     try {
       const response = await fetch(
-        `${this.config.api.endpoint}/repos/${this.config.repository.owner}/${this.config.repository.repo}/contents/${filePath}?ref=${this.config.repository.branch}`,
+        `${this.config.api.endpoint}/repos/${this.config.repository.owner}/${this.config.repository.repo}/contents/${filePath}?ref=${ref}`,
         {
           headers: {
             Authorization: `token ${this.token}`,
@@ -663,6 +1457,15 @@ class GitHubUploadService {
     }
   }
 
+  /**
+   * Decode base64 file content from the contents API as UTF-8 text
+   */
+  decodeBase64Content(base64) {
+    const binary = atob(base64.replace(/\n/g, ""));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  }
+
   /**
    * File to base64
    */
@@ -749,8 +1552,41 @@ class GitHubUploadService {
     }
   }
 
+  /**
+   * Prepare manifest playlist for an upload
+   *
+   * "append" (default) keeps every published logo, "replace" drops them all,
+   * "replace_selected" drops only the logos listed in replaceIds.
+   */
+  applyUploadMode(manifest, mode = "append", replaceIds = []) {
+    const updatedManifest = { ...manifest, logos: [...(manifest.logos || [])] };
+
+    if (mode === "replace") {
+      updatedManifest.logos = [];
+    } else if (mode === "replace_selected") {
+      updatedManifest.logos = updatedManifest.logos.filter(
+        (logo) => !replaceIds.includes(logo.id)
+      );
+    } else if (mode !== "append") {
+      throw new Error(`Unknown upload mode: ${mode}`);
+    }
+
+    console.log(
+      `[GitHubUploadService] Upload mode "${mode}": keeping ${updatedManifest.logos.length} of ${
+        (manifest.logos || []).length
+      } logos`
+    );
+
+    return mode === "append"
+      ? updatedManifest
+      : window.ManifestSchema.dropDanglingReferences(updatedManifest);
+  }
+
   /**
    * Complete upload workflow
+   *
+   * options.target ({ type: "group" | "device", id }) sends the banners to
+   * that overlay instead of the playlist every billboard shows.
    */
   async completeUploadWorkflow(files, settings = {}, options = {}) {
     try {
@@ -758,26 +1594,29 @@ class GitHubUploadService {
         `[GitHubUploadService] Starting complete upload workflow for ${files.length} files...`
       );
 
-      const { results, errors } = await this.uploadLogoBatch(
+      const storedManifest = await this.getCurrentManifest();
+      const assetIndex = await this.buildAssetIndex(storedManifest);
+
+      const prepared = await this.prepareLogoBatch(
         files,
-        options.onProgress
+        options.onProgress,
+        assetIndex
       );
 
-      if (results.length === 0) {
+      if (prepared.length === 0) {
         throw new Error("No files uploaded successfully");
       }
 
-      let currentManifest = await this.getCurrentManifest();
-      currentManifest.logos = [];
-
-      if (!currentManifest.settings) {
-        currentManifest.settings = {
-          logoMode: "loop",
-          logoLoopDuration: 30,
-          schedules: [],
-        };
+      if (options.target && options.target.type !== "all") {
+        return await this.completeOverlayUpload(options.target, prepared, options);
       }
 
+      let currentManifest = this.applyUploadMode(
+        storedManifest,
+        options.mode,
+        options.replaceIds
+      );
+
       if (settings.logoMode) {
         currentManifest.settings.logoMode = settings.logoMode;
       }
@@ -785,21 +1624,35 @@ class GitHubUploadService {
         currentManifest.settings.logoLoopDuration = settings.logoLoopDuration;
       }
 
-      for (const logoMetadata of results) {
+      for (const { logoMetadata } of prepared) {
         currentManifest = this.addLogoToManifest(currentManifest, logoMetadata);
       }
 
-      await this.uploadManifest(currentManifest);
-      await this.triggerWorkflow();
+      if (options.onProgress) {
+        options.onProgress(files.length, files.length, "Committing batch...");
+      }
+
+      // One commit for all images plus the manifest; its push also triggers
+      // the Pages deployment, so no separate workflow dispatch is needed
+      const commit = await this.uploadManifest(currentManifest, {
+        files: prepared.flatMap(({ changes }) => changes),
+        message: `Upload ${prepared.length} banner(s), update manifest: ${currentManifest.version}`,
+      });
+      currentManifest = commit.manifest;
+
+      prepared.forEach(({ logoMetadata }) =>
+        this._emit("logoUploaded", logoMetadata)
+      );
 
       console.log("[GitHubUploadService] Complete upload workflow finished");
 
       return {
         success: true,
-        uploaded: results.length,
-        failed: errors.length,
-        errors: errors,
+        uploaded: prepared.length,
+        failed: 0,
+        errors: [],
         manifest: currentManifest,
+        commitSha: commit.commitSha,
       };
     } catch (error) {
       console.error(
@@ -811,6 +1664,57 @@ class GitHubUploadService {
     }
   }
 
+  /**
+   * Add prepared banners to the overlay of a group or device
+   *
+   * Upload modes apply to the overlay's own banners only.
+   */
+  async completeOverlayUpload(target, prepared, options = {}) {
+    let overlay =
+      (await this.getOverlay(target)) || window.ManifestOverlays.create(target);
+
+    overlay = {
+      ...overlay,
+      logos: this.applyUploadMode(
+        { logos: overlay.logos },
+        options.mode,
+        options.replaceIds
+      ).logos,
+    };
+
+    for (const { logoMetadata } of prepared) {
+      overlay = this.addLogoToManifest(overlay, logoMetadata);
+    }
+
+    const label =
+      (target.type === "group" &&
+        window.DeviceRegistry?.getGroup(target.id)?.name) ||
+      target.id;
+    const result = await this.uploadOverlay(target, overlay, {
+      files: prepared.flatMap(({ changes }) => changes),
+      message: `Upload ${prepared.length} banner(s) to ${target.type} overlay: ${label}`,
+    });
+
+    prepared.forEach(({ logoMetadata }) =>
+      this._emit("logoUploaded", logoMetadata)
+    );
+
+    console.log(
+      `[GitHubUploadService] Overlay upload finished for ${target.type} ${target.id}`
+    );
+
+    return {
+      success: true,
+      uploaded: prepared.length,
+      failed: 0,
+      errors: [],
+      manifest: result.manifest,
+      overlay: result.overlay,
+      target,
+      commitSha: result.commitSha,
+    };
+  }
+
   /**
    * Get status
    */
@@ -832,11 +1736,16 @@ window.initializeGitHubService = async function (token) {
   return await window.GitHubUploadService.initialize(token);
 };
 
-window.uploadLogosToGitHub = async function (files, settings = {}, onProgress) {
+window.uploadLogosToGitHub = async function (
+  files,
+  settings = {},
+  onProgress,
+  uploadOptions = {}
+) {
   return await window.GitHubUploadService.completeUploadWorkflow(
     files,
     settings,
-    { onProgress }
+    { ...uploadOptions, onProgress }
   );
 };
 
@@ -0,0 +1,359 @@
+/**
+ * Heartbeat Monitor
+ * Watch billboards for heartbeats: a device that stays silent longer than
+ * staleAfterSeconds is stale, one whose Last Will arrives is offline. Both
+ * raise alerts that persist until acknowledged, and every device keeps an
+ * online/stale/offline timeline for uptime.
+ */
+
+const HEARTBEAT_STORAGE_KEY = "billboard-heartbeat";
+
+// Cap per device, on top of the timelineDays cut-off
+const HEARTBEAT_MAX_SEGMENTS = 500;
+
+const HEARTBEAT_STATE_LABELS = {
+  online: "Online",
+  stale: "Mất tín hiệu",
+  offline: "Offline",
+};
+
+class HeartbeatMonitor {
+  constructor() {
+    this.states = {}; // deviceId -> { state, since }
+    this.timelines = {}; // deviceId -> [{ state, from, to }]
+    this.alerts = [];
+    this.settings = {};
+    this.listeners = {};
+    this.timer = null;
+    // When MQTT last came up; silence before that proves nothing
+    this.connectedSince = null;
+    this.load();
+  }
+
+  get config() {
+    return window.BannerConfig?.monitoring || {};
+  }
+
+  /**
+   * Register event listener ("stateChange" with { deviceId, state,
+   * previous }, "alert" with a newly raised alert, "alertsChange")
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  _emit(event, data) {
+    (this.listeners[event] || []).forEach((callback) => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`[HeartbeatMonitor] Error in ${event} listener:`, error);
+      }
+    });
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(
+        localStorage.getItem(HEARTBEAT_STORAGE_KEY) || "{}"
+      );
+      this.states = saved.states || {};
+      this.timelines = saved.timelines || {};
+      this.alerts = saved.alerts || [];
+      this.settings = saved.settings || {};
+    } catch (error) {
+      console.warn("[HeartbeatMonitor] Could not load saved state:", error);
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        HEARTBEAT_STORAGE_KEY,
+        JSON.stringify({
+          states: this.states,
+          timelines: this.timelines,
+          alerts: this.alerts,
+          settings: this.settings,
+        })
+      );
+    } catch (error) {
+      console.warn("[HeartbeatMonitor] Could not save state:", error);
+    }
+  }
+
+  getStaleAfterSeconds() {
+    return this.settings.staleAfterSeconds || this.config.staleAfterSeconds || 180;
+  }
+
+  setStaleAfterSeconds(seconds) {
+    const value = parseInt(seconds, 10);
+    if (!Number.isInteger(value) || value < 10) {
+      throw new Error("Thời gian tối thiểu là 10 giây");
+    }
+    this.settings.staleAfterSeconds = value;
+    this.save();
+    this.check();
+    console.log(`[HeartbeatMonitor] Devices go stale after ${value}s`);
+  }
+
+  /**
+   * Follow DeviceRegistry and check for silent devices periodically
+   */
+  start() {
+    if (this.timer) return;
+
+    window.DeviceRegistry.on("change", (device) => this.handleDevice(device));
+    window.DeviceRegistry.on("removed", (deviceId) => this.forget(deviceId));
+
+    const interval = (this.config.checkIntervalSeconds || 15) * 1000;
+    this.timer = setInterval(() => this.check(), interval);
+    this.check();
+
+    console.log("[HeartbeatMonitor] Started");
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Registry update: any message is a sign of life, the Last Will means
+   * offline
+   */
+  handleDevice(device) {
+    if (device.online === false) {
+      this.setState(device.deviceId, "offline", device.offlineSince);
+    } else if (device.lastSeen) {
+      this.setState(device.deviceId, "online", device.lastSeen);
+    }
+  }
+
+  /**
+   * Mark devices stale that sent nothing for staleAfterSeconds
+   */
+  check(now = Date.now()) {
+    if (!window.MqttClient?.connected) {
+      this.connectedSince = null;
+      return;
+    }
+    if (!this.connectedSince) {
+      this.connectedSince = now;
+    }
+
+    const staleAfter = this.getStaleAfterSeconds() * 1000;
+
+    window.DeviceRegistry.list().forEach((device) => {
+      if (device.online === false) return;
+
+      const current = this.states[device.deviceId]?.state;
+      if (current === "stale" || current === "offline") return;
+
+      const lastSign = Math.max(device.lastSeen || 0, this.connectedSince);
+      if (now - lastSign > staleAfter) {
+        this.setState(device.deviceId, "stale", lastSign + staleAfter);
+      }
+    });
+  }
+
+  getState(deviceId) {
+    return this.states[deviceId]?.state || null;
+  }
+
+  getStateLabel(state) {
+    return HEARTBEAT_STATE_LABELS[state] || "—";
+  }
+
+  setState(deviceId, state, at = Date.now()) {
+    const previous = this.states[deviceId]?.state || null;
+    if (previous === state) return;
+
+    // Messages may be older than the last transition
+    at = Math.max(at, this.states[deviceId]?.since || 0);
+
+    const timeline = this.timelines[deviceId] || [];
+    const last = timeline[timeline.length - 1];
+    if (last && last.to === null) last.to = at;
+    timeline.push({ state, from: at, to: null });
+    this.timelines[deviceId] = this.trimTimeline(timeline);
+    this.states[deviceId] = { state, since: at };
+
+    if (state === "online") {
+      this.resolveAlerts(deviceId, at);
+    } else {
+      this.raiseAlert(deviceId, state, at);
+    }
+
+    this.save();
+    console.log(
+      `[HeartbeatMonitor] ${deviceId}: ${previous || "unknown"} → ${state}`
+    );
+    this._emit("stateChange", { deviceId, state, previous });
+  }
+
+  trimTimeline(timeline) {
+    const cutoff =
+      Date.now() - (this.config.timelineDays || 7) * 24 * 60 * 60 * 1000;
+    return timeline
+      .filter((segment) => segment.to === null || segment.to > cutoff)
+      .slice(-HEARTBEAT_MAX_SEGMENTS);
+  }
+
+  forget(deviceId) {
+    delete this.states[deviceId];
+    delete this.timelines[deviceId];
+    this.resolveAlerts(deviceId);
+    this.save();
+  }
+
+  /**
+   * Segments of a device's timeline within [from, to], clipped to it
+   */
+  getTimeline(deviceId, from, to = Date.now()) {
+    return (this.timelines[deviceId] || [])
+      .map((segment) => ({
+        state: segment.state,
+        from: Math.max(segment.from, from),
+        to: Math.min(segment.to ?? to, to),
+      }))
+      .filter((segment) => segment.to > segment.from);
+  }
+
+  /**
+   * Percentage of the observed time in [from, to] a device was online, or
+   * null when nothing was observed
+   */
+  getUptime(deviceId, from, to = Date.now()) {
+    const segments = this.getTimeline(deviceId, from, to);
+    const observed = segments.reduce(
+      (sum, segment) => sum + segment.to - segment.from,
+      0
+    );
+    if (observed === 0) return null;
+
+    const online = segments
+      .filter((segment) => segment.state === "online")
+      .reduce((sum, segment) => sum + segment.to - segment.from, 0);
+    return (online * 100) / observed;
+  }
+
+  raiseAlert(deviceId, state, at) {
+    const open = this.alerts.find(
+      (alert) => alert.deviceId === deviceId && !alert.resolvedAt
+    );
+    const message =
+      state === "offline"
+        ? `${deviceId} đã ngắt kết nối (offline)`
+        : `${deviceId} không gửi heartbeat trong ${this.getStaleAfterSeconds()} giây`;
+
+    // A stale device whose Last Will arrives later keeps its one alert
+    if (open) {
+      open.state = state;
+      open.message = message;
+      this._emit("alertsChange", this.alerts);
+      return;
+    }
+
+    const alert = {
+      id: `alert-${at}-${Math.random().toString(36).slice(2, 7)}`,
+      deviceId,
+      state,
+      message,
+      raisedAt: at,
+      resolvedAt: null,
+      acknowledged: false,
+    };
+    this.alerts.unshift(alert);
+    this.notify(alert);
+
+    this._emit("alert", alert);
+    this._emit("alertsChange", this.alerts);
+  }
+
+  resolveAlerts(deviceId, at = Date.now()) {
+    let changed = false;
+    this.alerts.forEach((alert) => {
+      if (alert.deviceId === deviceId && !alert.resolvedAt) {
+        alert.resolvedAt = at;
+        changed = true;
+      }
+    });
+    if (changed) this._emit("alertsChange", this.alerts);
+  }
+
+  /**
+   * Alerts not yet acknowledged, open ones first
+   */
+  getPendingAlerts() {
+    return this.alerts
+      .filter((alert) => !alert.acknowledged)
+      .sort(
+        (a, b) =>
+          Number(Boolean(a.resolvedAt)) - Number(Boolean(b.resolvedAt)) ||
+          b.raisedAt - a.raisedAt
+      );
+  }
+
+  acknowledgeAlert(alertId) {
+    const alert = this.alerts.find((item) => item.id === alertId);
+    if (!alert) return;
+    alert.acknowledged = true;
+    this.pruneAlerts();
+    this.save();
+    this._emit("alertsChange", this.alerts);
+  }
+
+  acknowledgeAll() {
+    this.alerts.forEach((alert) => {
+      alert.acknowledged = true;
+    });
+    this.pruneAlerts();
+    this.save();
+    this._emit("alertsChange", this.alerts);
+  }
+
+  // Acknowledged alerts that are over are only kept for the timeline period
+  pruneAlerts() {
+    const cutoff =
+      Date.now() - (this.config.timelineDays || 7) * 24 * 60 * 60 * 1000;
+    this.alerts = this.alerts.filter(
+      (alert) =>
+        !alert.acknowledged || !alert.resolvedAt || alert.resolvedAt > cutoff
+    );
+  }
+
+  notificationsSupported() {
+    return typeof Notification !== "undefined";
+  }
+
+  async requestNotificationPermission() {
+    if (!this.notificationsSupported()) return "unsupported";
+    return await Notification.requestPermission();
+  }
+
+  notify(alert) {
+    if (
+      !this.notificationsSupported() ||
+      Notification.permission !== "granted"
+    ) {
+      return;
+    }
+
+    try {
+      new Notification("⚠️ Billboard cần kiểm tra", {
+        body: alert.message,
+        tag: alert.id,
+        requireInteraction: true,
+      });
+    } catch (error) {
+      console.warn("[HeartbeatMonitor] Could not show notification:", error);
+    }
+  }
+}
+
+// Create global instance
+window.HeartbeatMonitor = new HeartbeatMonitor();
@@ -0,0 +1,208 @@
+/**
+ * Image Pipeline
+ * Resize, re-encode and thumbnail banner images in the browser before upload
+ */
+
+class ImagePipeline {
+  constructor() {
+    this.defaults = {
+      maxWidth: 1920,
+      maxHeight: 800,
+      format: "image/webp",
+      fallbackFormat: "image/jpeg",
+      quality: 0.8,
+      thumbnail: { width: 320, height: 320, quality: 0.7 },
+    };
+  }
+
+  /**
+   * Process one image file
+   *
+   * Returns { file, thumbnail, metadata } where metadata records the
+   * original, processed and thumbnail dimensions, sizes and types.
+   * Re-encoding through a canvas drops EXIF and other embedded metadata;
+   * orientation is applied to the pixels first.
+   */
+  async process(file, options = {}) {
+    const settings = {
+      ...this.defaults,
+      ...options,
+      thumbnail: { ...this.defaults.thumbnail, ...options.thumbnail },
+    };
+
+    const bitmap = await createImageBitmap(file, {
+      imageOrientation: "from-image",
+    });
+
+    try {
+      const original = {
+        width: bitmap.width,
+        height: bitmap.height,
+        size: file.size,
+        type: file.type,
+      };
+
+      const processedFile = await this.encodeMain(file, bitmap, settings);
+      const processed = {
+        ...this.fitWithin(
+          bitmap.width,
+          bitmap.height,
+          settings.maxWidth,
+          settings.maxHeight
+        ),
+        size: processedFile.size,
+        type: processedFile.type,
+      };
+
+      const thumbSize = this.fitWithin(
+        bitmap.width,
+        bitmap.height,
+        settings.thumbnail.width,
+        settings.thumbnail.height
+      );
+      const thumbBlob = await this.render(
+        bitmap,
+        thumbSize,
+        settings.format,
+        settings.fallbackFormat,
+        settings.thumbnail.quality
+      );
+      const thumbnailFile = this.toFile(thumbBlob, file.name, "thumb");
+
+      console.log(
+        `[ImagePipeline] ${file.name}: ${original.width}x${original.height} ${this.formatSize(
+          original.size
+        )} → ${processed.width}x${processed.height} ${this.formatSize(
+          processed.size
+        )} (${processed.type})`
+      );
+
+      return {
+        file: processedFile,
+        thumbnail: thumbnailFile,
+        metadata: {
+          original,
+          processed,
+          thumbnail: {
+            ...thumbSize,
+            size: thumbnailFile.size,
+            type: thumbnailFile.type,
+          },
+        },
+      };
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  /**
+   * Resize and re-encode the full-size image
+   *
+   * Animated GIFs are passed through untouched: a canvas keeps only the
+   * first frame.
+   */
+  async encodeMain(file, bitmap, settings) {
+    if (file.type === "image/gif") {
+      return file;
+    }
+
+    const size = this.fitWithin(
+      bitmap.width,
+      bitmap.height,
+      settings.maxWidth,
+      settings.maxHeight
+    );
+    const blob = await this.render(
+      bitmap,
+      size,
+      settings.format,
+      settings.fallbackFormat,
+      settings.quality
+    );
+
+    // Nothing to gain from a bigger file unless EXIF has to go (JPEG)
+    const resized = size.width !== bitmap.width || size.height !== bitmap.height;
+    if (!resized && blob.size >= file.size && file.type !== "image/jpeg") {
+      console.log(
+        `[ImagePipeline] ${file.name}: re-encoding does not help, keeping original`
+      );
+      return file;
+    }
+
+    return this.toFile(blob, file.name);
+  }
+
+  /**
+   * Largest size that fits in maxWidth x maxHeight, keeping aspect ratio
+   * (never upscales)
+   */
+  fitWithin(width, height, maxWidth, maxHeight) {
+    const scale = Math.min(1, maxWidth / width, maxHeight / height);
+    return {
+      width: Math.max(1, Math.round(width * scale)),
+      height: Math.max(1, Math.round(height * scale)),
+    };
+  }
+
+  /**
+   * Draw bitmap at size and encode it, falling back when the browser
+   * cannot encode the preferred format
+   */
+  async render(bitmap, size, format, fallbackFormat, quality) {
+    let blob = await this.drawAndEncode(bitmap, size, format, quality);
+
+    // toBlob silently produces PNG for unsupported types
+    if (blob.type !== format && fallbackFormat) {
+      console.warn(
+        `[ImagePipeline] ${format} not supported, using ${fallbackFormat}`
+      );
+      blob = await this.drawAndEncode(bitmap, size, fallbackFormat, quality);
+    }
+
+    return blob;
+  }
+
+  drawAndEncode(bitmap, size, type, quality) {
+    const canvas = document.createElement("canvas");
+    canvas.width = size.width;
+    canvas.height = size.height;
+
+    const context = canvas.getContext("2d");
+    if (type === "image/jpeg") {
+      // JPEG has no alpha channel; transparent areas would turn black
+      context.fillStyle = "#ffffff";
+      context.fillRect(0, 0, size.width, size.height);
+    }
+    context.imageSmoothingQuality = "high";
+    context.drawImage(bitmap, 0, 0, size.width, size.height);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) =>
+          blob ? resolve(blob) : reject(new Error("Image encoding failed")),
+        type,
+        quality
+      );
+    });
+  }
+
+  toFile(blob, originalName, suffix = "") {
+    const extensions = {
+      "image/webp": "webp",
+      "image/jpeg": "jpg",
+      "image/png": "png",
+    };
+    const baseName = originalName.replace(/\.[^/.]+$/, "");
+    const name = `${baseName}${suffix ? `-${suffix}` : ""}.${
+      extensions[blob.type] || "bin"
+    }`;
+    return new File([blob], name, { type: blob.type });
+  }
+
+  formatSize(bytes) {
+    return `${(bytes / 1024).toFixed(1)}KB`;
+  }
+}
+
+// Create global instance
+window.ImagePipeline = new ImagePipeline();
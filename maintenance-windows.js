@@ -0,0 +1,370 @@
+/**
+ * Maintenance Windows
+ * Weekly time slots in which a billboard may be updated or restarted, set
+ * per device or per device group. Updates and resets requested outside a
+ * device's window are queued and sent automatically once it opens.
+ */
+
+const MAINTENANCE_WINDOWS_STORAGE_KEY = "billboard-maintenance-windows";
+const MAINTENANCE_QUEUE_STORAGE_KEY = "billboard-maintenance-queue";
+
+const MAINTENANCE_DAY_LABELS = ["CN", "T2", "T3", "T4", "T5", "T6", "T7"];
+
+const MAINTENANCE_ACTION_LABELS = {
+  update: "Cập nhật",
+  reset: "Khởi động lại",
+};
+
+// "HH:MM" → minutes since midnight
+function parseMaintenanceTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || "").trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return null;
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+class MaintenanceWindows {
+  constructor() {
+    this.windows = [];
+    this.queue = [];
+    this.timer = null;
+    this.dispatching = false;
+    this.listeners = {};
+    this.load();
+  }
+
+  get config() {
+    return window.BannerConfig?.maintenance || {};
+  }
+
+  /**
+   * Register event listener ("windowsChange", "queueChange", "dispatched"
+   * with { action, version, deviceIds }, "failed" with { action, version,
+   * deviceIds, error })
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  _emit(event, data) {
+    (this.listeners[event] || []).forEach((callback) => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`[MaintenanceWindows] Error in ${event} listener:`, error);
+      }
+    });
+  }
+
+  load() {
+    try {
+      this.windows = JSON.parse(
+        localStorage.getItem(MAINTENANCE_WINDOWS_STORAGE_KEY) || "[]"
+      );
+      this.queue = JSON.parse(
+        localStorage.getItem(MAINTENANCE_QUEUE_STORAGE_KEY) || "[]"
+      );
+    } catch (error) {
+      console.warn("[MaintenanceWindows] Could not load saved state:", error);
+    }
+  }
+
+  saveWindows() {
+    try {
+      localStorage.setItem(
+        MAINTENANCE_WINDOWS_STORAGE_KEY,
+        JSON.stringify(this.windows)
+      );
+    } catch (error) {
+      console.warn("[MaintenanceWindows] Could not save windows:", error);
+    }
+    this._emit("windowsChange", this.windows);
+  }
+
+  saveQueue() {
+    try {
+      localStorage.setItem(MAINTENANCE_QUEUE_STORAGE_KEY, JSON.stringify(this.queue));
+    } catch (error) {
+      console.warn("[MaintenanceWindows] Could not save queue:", error);
+    }
+    this._emit("queueChange", this.queue);
+  }
+
+  /**
+   * Dispatch queued actions as their windows open
+   */
+  start() {
+    this.stop();
+    this.timer = setInterval(
+      () => this.dispatchDue(),
+      (this.config.checkIntervalSeconds || 30) * 1000
+    );
+    this.dispatchDue();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  listWindows() {
+    return this.windows;
+  }
+
+  getWindow(windowId) {
+    return this.windows.find((slot) => slot.id === windowId) || null;
+  }
+
+  /**
+   * Add or update a window ({ id?, scope: { type: "device" | "group", id },
+   * days: [0-6, 0 = Sunday], start: "HH:MM", end: "HH:MM" }); an end
+   * before the start runs past midnight into the next day
+   */
+  saveWindow(slot) {
+    if (!slot.scope || !["device", "group"].includes(slot.scope.type) || !slot.scope.id) {
+      throw new Error("Chọn thiết bị hoặc nhóm cho khung giờ bảo trì");
+    }
+    const days = [...new Set(slot.days || [])].filter((day) => day >= 0 && day <= 6);
+    if (days.length === 0) {
+      throw new Error("Chọn ít nhất một ngày trong tuần");
+    }
+    if (parseMaintenanceTime(slot.start) === null || parseMaintenanceTime(slot.end) === null) {
+      throw new Error("Giờ bắt đầu/kết thúc phải có dạng HH:MM");
+    }
+
+    const saved = {
+      id: slot.id || `window-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+      scope: { type: slot.scope.type, id: slot.scope.id },
+      days: days.sort(),
+      start: slot.start.trim(),
+      end: slot.end.trim(),
+    };
+
+    this.windows = [...this.windows.filter((other) => other.id !== saved.id), saved];
+    this.saveWindows();
+    console.log(
+      `[MaintenanceWindows] Saved window ${this.describeWindow(saved)} for ${saved.scope.type} ${saved.scope.id}`
+    );
+    // A wider window may let queued actions through right away
+    this.dispatchDue();
+    return saved;
+  }
+
+  deleteWindow(windowId) {
+    this.windows = this.windows.filter((slot) => slot.id !== windowId);
+    this.saveWindows();
+    this.dispatchDue();
+  }
+
+  /**
+   * e.g. "T2, T3 · 01:00–05:00"
+   */
+  describeWindow(slot) {
+    return `${slot.days.map((day) => MAINTENANCE_DAY_LABELS[day]).join(", ")} · ${
+      slot.start
+    }–${slot.end}`;
+  }
+
+  /**
+   * Windows of a device: its own ones, otherwise those of its groups. A
+   * device without any may be updated and restarted at any time.
+   */
+  windowsForDevice(deviceId) {
+    const own = this.windows.filter(
+      (slot) => slot.scope.type === "device" && slot.scope.id === deviceId
+    );
+    if (own.length > 0) return own;
+
+    const groupIds = window.DeviceRegistry.groupsForDevice(deviceId).map(
+      (group) => group.id
+    );
+    return this.windows.filter(
+      (slot) => slot.scope.type === "group" && groupIds.includes(slot.scope.id)
+    );
+  }
+
+  // Times are the admin browser's local time
+  isWindowOpen(slot, date) {
+    const start = parseMaintenanceTime(slot.start);
+    const end = parseMaintenanceTime(slot.end);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+    const previousDay = (day + 6) % 7;
+
+    if (start === end) return slot.days.includes(day);
+    if (start < end) {
+      return slot.days.includes(day) && minutes >= start && minutes < end;
+    }
+    return (
+      (slot.days.includes(day) && minutes >= start) ||
+      (slot.days.includes(previousDay) && minutes < end)
+    );
+  }
+
+  isOpen(deviceId, now = Date.now()) {
+    const windows = this.windowsForDevice(deviceId);
+    const date = new Date(now);
+    return windows.length === 0 || windows.some((slot) => this.isWindowOpen(slot, date));
+  }
+
+  /**
+   * Time the next window of a device opens; now when it is open already
+   */
+  nextOpening(deviceId, now = Date.now()) {
+    if (this.isOpen(deviceId, now)) return now;
+
+    const openings = [];
+    for (let offset = 0; offset <= 7; offset++) {
+      const date = new Date(now);
+      date.setDate(date.getDate() + offset);
+      this.windowsForDevice(deviceId)
+        .filter((slot) => slot.days.includes(date.getDay()))
+        .forEach((slot) => {
+          const start = parseMaintenanceTime(slot.start);
+          const opening = new Date(date);
+          opening.setHours(Math.floor(start / 60), start % 60, 0, 0);
+          if (opening.getTime() > now) openings.push(opening.getTime());
+        });
+    }
+    return openings.length > 0 ? Math.min(...openings) : null;
+  }
+
+  /**
+   * Split the devices of a target into those that may act now and those
+   * outside their window ({ deviceId, opensAt }). The whole fleet means
+   * every billboard in the registry.
+   */
+  plan(target) {
+    const deviceIds =
+      window.DeviceRegistry.resolveTarget(target) ||
+      window.DeviceRegistry.list().map((device) => device.deviceId);
+    const now = Date.now();
+
+    return {
+      open: deviceIds.filter((deviceId) => this.isOpen(deviceId, now)),
+      closed: deviceIds
+        .filter((deviceId) => !this.isOpen(deviceId, now))
+        .map((deviceId) => ({ deviceId, opensAt: this.nextOpening(deviceId, now) })),
+    };
+  }
+
+  /**
+   * Queue an action ("update" with version and command fields, or "reset")
+   * for devices until their window opens; one entry per device so each is
+   * sent as soon as its own window allows
+   */
+  enqueue(action, deviceIds, { version = null, fields = {} } = {}) {
+    const queuedAt = Date.now();
+    const entries = deviceIds.map((deviceId) => ({
+      id: `queued-${queuedAt}-${Math.random().toString(36).slice(2, 7)}`,
+      action,
+      deviceId,
+      version,
+      fields,
+      queuedAt,
+      queuedBy: window.UpdateHistory?.getOperator() || null,
+    }));
+
+    // A newer request replaces the same action still waiting for a device
+    this.queue = [
+      ...this.queue.filter(
+        (entry) => !(entry.action === action && deviceIds.includes(entry.deviceId))
+      ),
+      ...entries,
+    ];
+    this.saveQueue();
+    console.log(
+      `[MaintenanceWindows] Queued ${action} for ${deviceIds.join(", ")}`
+    );
+    return entries;
+  }
+
+  /**
+   * Queued actions, the soonest to be sent first
+   */
+  listQueue() {
+    return this.queue
+      .map((entry) => ({ ...entry, opensAt: this.nextOpening(entry.deviceId) }))
+      .sort((a, b) => (a.opensAt ?? Infinity) - (b.opensAt ?? Infinity));
+  }
+
+  cancel(entryId) {
+    this.queue = this.queue.filter((entry) => entry.id !== entryId);
+    this.saveQueue();
+  }
+
+  /**
+   * Send queued actions of online devices whose window is open; an update
+   * waits while another update or a staged rollout is running
+   */
+  async dispatchDue() {
+    if (this.dispatching || this.queue.length === 0 || !window.MqttClient?.connected) {
+      return;
+    }
+    this.dispatching = true;
+
+    try {
+      const due = this.queue.filter(
+        (entry) =>
+          window.DeviceRegistry.get(entry.deviceId)?.online &&
+          this.isOpen(entry.deviceId)
+      );
+
+      // Devices waiting for the same command are sent it together
+      const batches = new Map();
+      due.forEach((entry) => {
+        const key = `${entry.action}:${entry.version || ""}`;
+        if (!batches.has(key)) batches.set(key, []);
+        batches.get(key).push(entry);
+      });
+
+      for (const entries of batches.values()) {
+        await this.dispatch(entries);
+      }
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  async dispatch(entries) {
+    const { action, version, fields } = entries[0];
+    const deviceIds = entries.map((entry) => entry.deviceId);
+    const target = { type: "devices", ids: deviceIds };
+
+    if (
+      action === "update" &&
+      (window.UpdateService.getStatus().inProgress ||
+        window.RolloutService.isRunning())
+    ) {
+      return;
+    }
+
+    try {
+      if (action === "reset") {
+        await window.MqttClient.publishAppReset(target);
+      } else if (!(await window.UpdateService.triggerUpdate(version, target, fields))) {
+        throw new Error("UpdateService không bắt đầu được cập nhật");
+      }
+
+      console.log(
+        `[MaintenanceWindows] Sent queued ${action} to ${deviceIds.join(", ")}`
+      );
+      this._emit("dispatched", { action, version, deviceIds });
+    } catch (error) {
+      console.error(`[MaintenanceWindows] Queued ${action} failed:`, error);
+      this._emit("failed", { action, version, deviceIds, error: error.message });
+    }
+
+    // Failures are reported instead of retried every check
+    const sent = entries.map((entry) => entry.id);
+    this.queue = this.queue.filter((entry) => !sent.includes(entry.id));
+    this.saveQueue();
+  }
+}
+
+// Create global instance
+window.MaintenanceWindows = new MaintenanceWindows();
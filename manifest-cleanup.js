@@ -56,8 +56,8 @@ async function cleanupManifest() {
       }
     }
 
-    // Create cleaned manifest
-    const cleanedManifest = {
+    // Create cleaned manifest, without schedule entries for removed logos
+    const cleanedManifest = window.ManifestSchema.dropDanglingReferences({
       ...manifest,
       logos: validLogos,
       version: `1.0.${Date.now()}`,
@@ -68,7 +68,7 @@ async function cleanupManifest() {
         cleanupDate: new Date().toISOString(),
         removedLogos: brokenLogos.map((logo) => logo.id),
       },
-    };
+    });
 
     console.log("🎉 Cleanup completed!");
     console.log(`✅ Valid logos: ${validLogos.length}`);
@@ -135,10 +135,276 @@ async function cleanupAndUploadManifest() {
   }
 }
 
+// Find byte-identical files below the upload path and plan which copy to keep
+async function planAssetDeduplication() {
+  const service = window.GitHubUploadService;
+  if (!service || !service.isAuthenticated) {
+    throw new Error("GitHub service not authenticated");
+  }
+
+  console.log("🔍 Looking for duplicate banner assets...");
+
+  const manifest = await service.getCurrentManifest();
+  const uploadPath = service.config.repository.uploadPath;
+  const thumbnailDir =
+    uploadPath + service.getImagePipelineOptions().thumbnail.path;
+  const tree = await service.getRepoTree();
+
+  // Identical content means identical git blob SHA
+  const groups = new Map();
+  tree
+    .filter(
+      (entry) =>
+        entry.path.startsWith(uploadPath) &&
+        !entry.path.startsWith(thumbnailDir)
+    )
+    .forEach((entry) => {
+      if (!groups.has(entry.sha)) groups.set(entry.sha, []);
+      groups.get(entry.sha).push(entry);
+    });
+
+  const referencedPaths = new Set(
+    manifest.logos.map((logo) => logo.githubPath)
+  );
+  // Only manifest.json is rewritten, so copies overlays use must stay
+  const overlayPaths = await service.getOverlayAssetPaths(manifest);
+
+  const duplicates = [...groups.values()]
+    .filter((entries) => entries.length > 1)
+    .map((entries) => {
+      const sorted = [...entries].sort((a, b) => a.path.localeCompare(b.path));
+      // Prefer a copy the manifest already points at
+      const keep =
+        sorted.find((entry) => referencedPaths.has(entry.path)) || sorted[0];
+      return {
+        keep,
+        remove: sorted.filter(
+          (entry) => entry !== keep && !overlayPaths.has(entry.path)
+        ),
+      };
+    });
+
+  const removeCount = duplicates.reduce(
+    (count, group) => count + group.remove.length,
+    0
+  );
+  const bytesSaved = duplicates.reduce(
+    (total, group) =>
+      total + group.remove.reduce((sum, entry) => sum + entry.size, 0),
+    0
+  );
+
+  console.log(
+    `📊 ${duplicates.length} duplicate group(s), ${removeCount} redundant file(s), ${(
+      bytesSaved / 1024
+    ).toFixed(1)}KB`
+  );
+
+  return { manifest, tree, thumbnailDir, duplicates, removeCount, bytesSaved };
+}
+
+// Point manifest logos at the kept copies and delete the rest in one commit
+async function deduplicateRepository(plan = null) {
+  const service = window.GitHubUploadService;
+  plan = plan || (await planAssetDeduplication());
+
+  if (plan.removeCount === 0) {
+    console.log("✅ No duplicate assets found");
+    return { removed: [], rewritten: 0, bytesSaved: 0 };
+  }
+
+  const uploadPath = service.config.repository.uploadPath;
+  const redirects = new Map();
+  plan.duplicates.forEach((group) =>
+    group.remove.forEach((entry) => redirects.set(entry.path, group.keep))
+  );
+
+  let rewritten = 0;
+  let logos = plan.manifest.logos.map((logo) => {
+    const keep = redirects.get(logo.githubPath);
+    if (!keep) return logo;
+
+    rewritten++;
+    const filename = keep.path.slice(uploadPath.length);
+    return {
+      ...logo,
+      filename,
+      url: service.getLogoFileUrl(filename),
+      githubPath: keep.path,
+      githubSha: keep.sha,
+    };
+  });
+
+  // Logos sharing a file share the first thumbnail found for it
+  logos = logos.map((logo) => {
+    const owner = logos.find(
+      (other) => other.githubPath === logo.githubPath && other.thumbnailPath
+    );
+    return owner && owner !== logo
+      ? {
+          ...logo,
+          thumbnailUrl: owner.thumbnailUrl,
+          thumbnailPath: owner.thumbnailPath,
+          thumbnailSize: owner.thumbnailSize,
+        }
+      : logo;
+  });
+
+  // Thumbnails generated for removed copies go too, unless still used
+  const usedThumbnails = new Set(logos.map((logo) => logo.thumbnailPath));
+  const removedBaseNames = new Set(
+    [...redirects.keys()].map((path) =>
+      path.slice(uploadPath.length).replace(/\.[^/.]+$/, "")
+    )
+  );
+  const staleThumbnails = plan.tree
+    .filter(
+      (entry) =>
+        entry.path.startsWith(plan.thumbnailDir) &&
+        !usedThumbnails.has(entry.path) &&
+        removedBaseNames.has(
+          entry.path.slice(plan.thumbnailDir.length).replace(/\.[^/.]+$/, "")
+        )
+    )
+    .map((entry) => entry.path);
+
+  const removed = [...redirects.keys(), ...staleThumbnails];
+
+  const dedupedManifest = {
+    ...plan.manifest,
+    logos,
+    version: `1.0.${Date.now()}`,
+    lastUpdated: new Date().toISOString(),
+    metadata: {
+      ...plan.manifest.metadata,
+      lastModifiedBy: "Manifest Cleanup Utility",
+    },
+  };
+
+  console.log(`🗑️ Removing ${removed.length} duplicate file(s)...`);
+
+  const result = await service.uploadManifest(dedupedManifest, {
+    files: removed.map((path) => ({ path, sha: null })),
+    message: `Deduplicate banner assets: remove ${removed.length} file(s), rewrite ${rewritten} manifest reference(s)`,
+  });
+
+  console.log("🎉 Repository deduplicated:", result.commitSha);
+
+  return {
+    manifest: result.manifest,
+    commitSha: result.commitSha,
+    removed,
+    rewritten,
+    bytesSaved: plan.bytesSaved,
+  };
+}
+
+// Repository paths of the image files a manifest points at
+function referencedAssetPaths(manifest, uploadPath) {
+  const paths = new Set();
+
+  (manifest?.logos || []).forEach((logo) => {
+    if (logo.githubPath) paths.add(logo.githubPath);
+    else if (logo.filename) paths.add(uploadPath + logo.filename);
+    if (logo.thumbnailPath) paths.add(logo.thumbnailPath);
+  });
+
+  return paths;
+}
+
+// Dry run: files below the upload path no manifest of the last N days uses
+async function planOrphanedAssetCleanup(
+  retentionDays = window.BannerConfig?.manifest?.orphanRetentionDays || 30
+) {
+  const service = window.GitHubUploadService;
+  if (!service || !service.isAuthenticated) {
+    throw new Error("GitHub service not authenticated");
+  }
+
+  console.log(`🔍 Looking for assets unused for ${retentionDays} days...`);
+
+  const uploadPath = service.config.repository.uploadPath;
+  const since = new Date(
+    Date.now() - retentionDays * 24 * 60 * 60 * 1000
+  ).toISOString();
+
+  const currentManifest = await service.getCurrentManifest();
+  const referenced = referencedAssetPaths(currentManifest, uploadPath);
+  (await service.getOverlayAssetPaths(currentManifest)).forEach((path) =>
+    referenced.add(path)
+  );
+
+  const versions = await window.ManifestHistory.listVersionsSince(since);
+  for (const version of versions) {
+    const manifest = await window.ManifestHistory.getManifestAt(version.sha);
+    referencedAssetPaths(manifest, uploadPath).forEach((path) =>
+      referenced.add(path)
+    );
+  }
+
+  const tree = await service.getRepoTree();
+  const orphans = tree
+    .filter(
+      (entry) => entry.path.startsWith(uploadPath) && !referenced.has(entry.path)
+    )
+    .sort((a, b) => b.size - a.size);
+
+  const totalSize = orphans.reduce((sum, entry) => sum + entry.size, 0);
+
+  console.log(
+    `📊 ${orphans.length} orphaned file(s), ${(totalSize / 1024).toFixed(
+      1
+    )}KB, ${versions.length} manifest version(s) checked`
+  );
+
+  return {
+    retentionDays,
+    since,
+    versionsScanned: versions.length,
+    orphans,
+    totalSize,
+  };
+}
+
+// Delete approved orphaned files in one commit
+async function deleteOrphanedAssets(paths) {
+  const service = window.GitHubUploadService;
+  const uploadPath = service.config.repository.uploadPath;
+
+  // The manifest and overlays may have changed since the dry run
+  const manifest = await service.getCurrentManifest();
+  const stillUsed = referencedAssetPaths(manifest, uploadPath);
+  (await service.getOverlayAssetPaths(manifest)).forEach((path) =>
+    stillUsed.add(path)
+  );
+  const deletable = paths.filter(
+    (path) => path.startsWith(uploadPath) && !stillUsed.has(path)
+  );
+
+  if (deletable.length === 0) {
+    console.log("✅ Nothing to delete");
+    return { deleted: [] };
+  }
+
+  console.log(`🗑️ Deleting ${deletable.length} orphaned file(s)...`);
+
+  const commit = await service.commitFiles(
+    deletable.map((path) => ({ path, sha: null })),
+    `Remove ${deletable.length} orphaned banner asset(s)`
+  );
+
+  console.log("🎉 Orphaned assets removed:", commit.commitSha);
+  return { deleted: deletable, commitSha: commit.commitSha };
+}
+
 // Export functions for manual use
 window.cleanupManifest = cleanupManifest;
 window.uploadCleanedManifest = uploadCleanedManifest;
 window.cleanupAndUploadManifest = cleanupAndUploadManifest;
+window.planAssetDeduplication = planAssetDeduplication;
+window.deduplicateRepository = deduplicateRepository;
+window.planOrphanedAssetCleanup = planOrphanedAssetCleanup;
+window.deleteOrphanedAssets = deleteOrphanedAssets;
 
 console.log("🧹 Manifest cleanup utilities loaded");
 console.log("💡 Run 'cleanupAndUploadManifest()' to fix broken manifest URLs");
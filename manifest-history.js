@@ -0,0 +1,199 @@
+/**
+ * Manifest History Service
+ * Browse manifest.json commits, diff versions and roll back to an old one
+ */
+
+class ManifestHistoryService {
+  constructor() {
+    this.manifestPath = "manifest.json";
+    // Manifest content per commit SHA never changes, so it is safe to cache
+    this.manifestCache = new Map();
+  }
+
+  get github() {
+    return window.GitHubUploadService;
+  }
+
+  /**
+   * List commits that touched manifest.json, newest first
+   *
+   * options.since / options.until (ISO dates) limit the time range,
+   * options.page selects a page of `limit` commits.
+   */
+  async listVersions(limit = 30, options = {}) {
+    if (!this.github?.isAuthenticated) {
+      throw new Error("GitHub service not authenticated");
+    }
+
+    const { branch } = this.github.config.repository;
+    const query = new URLSearchParams({
+      path: this.manifestPath,
+      sha: branch,
+      per_page: limit,
+    });
+    if (options.since) query.set("since", options.since);
+    if (options.until) query.set("until", options.until);
+    if (options.page) query.set("page", options.page);
+
+    const response = await this.github.makeApiRequest(
+      `${this.github.getRepoApiUrl()}/commits?${query}`
+    );
+    const commits = await response.json();
+
+    console.log(`[ManifestHistory] Loaded ${commits.length} manifest commits`);
+
+    return commits.map((item) => ({
+      sha: item.sha,
+      parentSha: item.parents?.[0]?.sha || null,
+      message: item.commit.message.split("\n")[0],
+      author: item.author?.login || item.commit.author?.name || "Unknown",
+      date: item.commit.author?.date || item.commit.committer?.date,
+    }));
+  }
+
+  /**
+   * Every manifest commit since a date, plus the one that was live then
+   */
+  async listVersionsSince(since) {
+    const pageSize = 100;
+    const versions = [];
+
+    for (let page = 1; ; page++) {
+      const batch = await this.listVersions(pageSize, { since, page });
+      versions.push(...batch);
+      if (batch.length < pageSize) break;
+    }
+
+    const [liveAtStart] = await this.listVersions(1, { until: since });
+    if (liveAtStart) versions.push(liveAtStart);
+
+    return versions;
+  }
+
+  /**
+   * Get manifest content as of a commit (null when the file did not exist)
+   */
+  async getManifestAt(commitSha) {
+    if (!commitSha) return null;
+    if (this.manifestCache.has(commitSha)) {
+      return this.manifestCache.get(commitSha);
+    }
+
+    const fileInfo = await this.github.getFileInfo(this.manifestPath, commitSha);
+    const manifest = fileInfo
+      ? JSON.parse(this.github.decodeBase64Content(fileInfo.content))
+      : null;
+
+    this.manifestCache.set(commitSha, manifest);
+    return manifest;
+  }
+
+  /**
+   * Describe what changed between two manifests
+   */
+  diffManifests(before, after) {
+    const beforeLogos = new Map(
+      (before?.logos || []).map((logo) => [logo.id, logo])
+    );
+    const afterLogos = new Map(
+      (after?.logos || []).map((logo) => [logo.id, logo])
+    );
+    const isSame = window.ManifestMerge.isSameValue;
+
+    const diff = {
+      added: [],
+      removed: [],
+      toggled: [],
+      modified: [],
+      settings: [],
+    };
+
+    afterLogos.forEach((logo, id) => {
+      const previous = beforeLogos.get(id);
+      if (!previous) {
+        diff.added.push(logo);
+      } else if (previous.active !== logo.active) {
+        diff.toggled.push(logo);
+      } else if (!isSame(previous, logo)) {
+        diff.modified.push(logo);
+      }
+    });
+
+    beforeLogos.forEach((logo, id) => {
+      if (!afterLogos.has(id)) diff.removed.push(logo);
+    });
+
+    const beforeSettings = before?.settings || {};
+    const afterSettings = after?.settings || {};
+    new Set([
+      ...Object.keys(beforeSettings),
+      ...Object.keys(afterSettings),
+    ]).forEach((key) => {
+      if (!isSame(beforeSettings[key], afterSettings[key])) {
+        diff.settings.push({
+          key,
+          from: beforeSettings[key],
+          to: afterSettings[key],
+        });
+      }
+    });
+
+    return diff;
+  }
+
+  /**
+   * Diff a history entry against the manifest of its parent commit
+   */
+  async getVersionDiff(version) {
+    const [before, after] = await Promise.all([
+      this.getManifestAt(version.parentSha),
+      this.getManifestAt(version.sha),
+    ]);
+    return this.diffManifests(before, after);
+  }
+
+  /**
+   * Re-publish an old manifest as a new commit and tell billboards to reload
+   */
+  async restoreVersion(commitSha) {
+    const oldManifest = await this.getManifestAt(commitSha);
+    if (!oldManifest) {
+      throw new Error(`No manifest found at commit ${commitSha.slice(0, 7)}`);
+    }
+
+    // Read the current manifest so the restore replaces it rather than
+    // merging with it
+    await this.github.getCurrentManifest();
+
+    const restored = this.github.validateAndFixManifest(
+      JSON.parse(JSON.stringify(oldManifest))
+    );
+    restored.version = `1.0.${Date.now()}`;
+    restored.lastUpdated = new Date().toISOString();
+    restored.metadata = {
+      ...restored.metadata,
+      lastModifiedBy: "Admin Web Interface",
+      restoredFrom: commitSha,
+    };
+
+    const result = await this.github.uploadManifest(restored, {
+      message: `Restore manifest from ${commitSha.slice(0, 7)}`,
+    });
+
+    console.log(
+      `[ManifestHistory] Restored ${commitSha.slice(0, 7)} as ${result.commitSha}`
+    );
+
+    const refreshSent = await window.MqttClient?.publishManifestRefresh({
+      action: "manifest-restored",
+      manifest: result.manifest,
+      timestamp: Date.now(),
+      source: "admin-web",
+    });
+
+    return { ...result, refreshSent: Boolean(refreshSent) };
+  }
+}
+
+// Create global instance
+window.ManifestHistory = new ManifestHistoryService();
@@ -0,0 +1,156 @@
+/**
+ * Manifest Merge Utility
+ * Three-way merge of manifest.json edits made concurrently by several admins
+ */
+
+// Serialize with sorted keys so property order never counts as a change
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function isSameValue(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+// Merge one value; a conflict only exists when both sides changed it differently
+function mergeValue(base, local, remote) {
+  if (isSameValue(local, remote)) return { value: local };
+  if (isSameValue(local, base)) return { value: remote };
+  if (isSameValue(remote, base)) return { value: local };
+  return { value: local, conflict: true };
+}
+
+function indexLogosById(manifest) {
+  const map = new Map();
+  (manifest?.logos || []).forEach((logo) => map.set(logo.id, logo));
+  return map;
+}
+
+/**
+ * Merge local and remote manifests that both started from base
+ *
+ * Logos are matched by id, settings by key. Returns the merged manifest
+ * (local side wins provisionally on conflicts) and the list of conflicts.
+ */
+function threeWayMergeManifest(base, local, remote) {
+  const baseLogos = indexLogosById(base);
+  const localLogos = indexLogosById(local);
+  const remoteLogos = indexLogosById(remote);
+
+  // Remote order first, then logos that only exist locally
+  const ids = [...remoteLogos.keys()];
+  localLogos.forEach((_, id) => {
+    if (!remoteLogos.has(id)) ids.push(id);
+  });
+
+  const conflicts = [];
+  const logos = [];
+
+  ids.forEach((id) => {
+    const result = mergeValue(
+      baseLogos.get(id),
+      localLogos.get(id),
+      remoteLogos.get(id)
+    );
+
+    if (result.conflict) {
+      conflicts.push({
+        type: "logo",
+        id,
+        base: baseLogos.get(id) || null,
+        local: localLogos.get(id) || null,
+        remote: remoteLogos.get(id) || null,
+      });
+    }
+
+    if (result.value) logos.push(result.value);
+  });
+
+  logos.sort((a, b) => (a.priority || 0) - (b.priority || 0));
+
+  const baseSettings = base?.settings || {};
+  const localSettings = local?.settings || {};
+  const remoteSettings = remote?.settings || {};
+  const settings = {};
+
+  new Set([
+    ...Object.keys(remoteSettings),
+    ...Object.keys(localSettings),
+  ]).forEach((key) => {
+    const result = mergeValue(
+      baseSettings[key],
+      localSettings[key],
+      remoteSettings[key]
+    );
+
+    if (result.conflict) {
+      conflicts.push({
+        type: "setting",
+        id: key,
+        base: baseSettings[key],
+        local: localSettings[key],
+        remote: remoteSettings[key],
+      });
+    }
+
+    if (result.value !== undefined) settings[key] = result.value;
+  });
+
+  return {
+    manifest: { ...remote, ...local, logos, settings },
+    conflicts,
+  };
+}
+
+/**
+ * Apply conflict choices ({ "logo:<id>" | "setting:<key>": "local"|"remote" })
+ */
+function applyMergeResolutions(mergeResult, resolutions = {}) {
+  const manifest = {
+    ...mergeResult.manifest,
+    logos: [...mergeResult.manifest.logos],
+    settings: { ...mergeResult.manifest.settings },
+  };
+
+  mergeResult.conflicts.forEach((conflict) => {
+    const choice = resolutions[`${conflict.type}:${conflict.id}`] || "local";
+    const chosen = choice === "remote" ? conflict.remote : conflict.local;
+
+    if (conflict.type === "setting") {
+      if (chosen === undefined) {
+        delete manifest.settings[conflict.id];
+      } else {
+        manifest.settings[conflict.id] = chosen;
+      }
+      return;
+    }
+
+    const index = manifest.logos.findIndex((logo) => logo.id === conflict.id);
+    if (!chosen && index > -1) {
+      manifest.logos.splice(index, 1);
+    } else if (chosen && index > -1) {
+      manifest.logos[index] = chosen;
+    } else if (chosen) {
+      manifest.logos.push(chosen);
+    }
+  });
+
+  manifest.logos.sort((a, b) => (a.priority || 0) - (b.priority || 0));
+  return manifest;
+}
+
+// Export functions for global use
+window.ManifestMerge = {
+  threeWayMerge: threeWayMergeManifest,
+  applyResolutions: applyMergeResolutions,
+  isSameValue,
+};
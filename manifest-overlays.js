@@ -0,0 +1,122 @@
+/**
+ * Manifest Overlays
+ * Per-group and per-device manifests on top of manifest.json: a billboard
+ * plays the base playlist plus the banners of its groups' overlays and of
+ * its own device overlay. manifest.overlays indexes them so a billboard
+ * can find the files that apply to it.
+ */
+
+// Filename-safe version of a group or device id
+function overlayFileId(id) {
+  return String(id).replace(/[^\w.-]/g, "_");
+}
+
+/**
+ * Repository path of the overlay for a { type: "group" | "device", id } target
+ */
+function overlayPathFor(target) {
+  const directory =
+    window.BannerConfig?.manifest?.overlayDirectory || "overlays/";
+  return `${directory}${target.type}s/${overlayFileId(target.id)}.json`;
+}
+
+function overlayUrl(ref) {
+  const cdnEndpoint = window.BannerConfig?.github?.cdnEndpoint;
+  return cdnEndpoint ? `${cdnEndpoint}/${ref.path}` : ref.path;
+}
+
+function findOverlayRef(manifest, target) {
+  return (
+    (manifest?.overlays || []).find(
+      (ref) => ref.type === target.type && ref.id === target.id
+    ) || null
+  );
+}
+
+/**
+ * Manifest with the index entry for ref added or replaced
+ */
+function withOverlayRef(manifest, ref) {
+  const others = (manifest.overlays || []).filter(
+    (item) => item.type !== ref.type || item.id !== ref.id
+  );
+  return { ...manifest, overlays: [...others, ref] };
+}
+
+function withoutOverlayRef(manifest, target) {
+  const overlays = (manifest.overlays || []).filter(
+    (item) => item.type !== target.type || item.id !== target.id
+  );
+  const result = { ...manifest, overlays };
+  if (overlays.length === 0) delete result.overlays;
+  return result;
+}
+
+/**
+ * Index entries that apply to a device: its groups in index order, then
+ * its own overlay, which therefore wins
+ */
+function overlaysForDevice(manifest, deviceId) {
+  const refs = manifest?.overlays || [];
+  return [
+    ...refs.filter(
+      (ref) => ref.type === "group" && (ref.deviceIds || []).includes(deviceId)
+    ),
+    ...refs.filter((ref) => ref.type === "device" && ref.id === deviceId),
+  ];
+}
+
+function overlayUrlsForDevice(manifest, deviceId) {
+  return overlaysForDevice(manifest, deviceId).map(overlayUrl);
+}
+
+function createOverlay(target) {
+  return {
+    version: `1.0.${Date.now()}`,
+    lastUpdated: new Date().toISOString(),
+    target: { type: target.type, id: target.id },
+    inheritBase: true,
+    logos: [],
+    metadata: {
+      author: "Admin Web Interface",
+      description: `Overlay for ${target.type} ${target.id}`,
+      apiVersion: window.ManifestSchema.API_VERSION,
+    },
+  };
+}
+
+/**
+ * Manifest a billboard ends up playing with the given overlays applied in
+ * order
+ *
+ * Overlay banners follow the base banners; one with the id of an earlier
+ * banner replaces it in place. Overlay settings override base settings,
+ * and an overlay with inheritBase false drops the base banners.
+ */
+function resolveOverlays(base, overlays) {
+  const logos = new Map();
+  if (overlays.every((overlay) => overlay.inheritBase !== false)) {
+    (base.logos || []).forEach((logo) => logos.set(logo.id, logo));
+  }
+
+  let settings = { ...(base.settings || {}) };
+  overlays.forEach((overlay) => {
+    (overlay.logos || []).forEach((logo) => logos.set(logo.id, logo));
+    settings = { ...settings, ...overlay.settings };
+  });
+
+  return { ...base, logos: [...logos.values()], settings };
+}
+
+// Export for global use
+window.ManifestOverlays = {
+  pathFor: overlayPathFor,
+  urlFor: overlayUrl,
+  findRef: findOverlayRef,
+  withRef: withOverlayRef,
+  withoutRef: withoutOverlayRef,
+  forDevice: overlaysForDevice,
+  urlsForDevice: overlayUrlsForDevice,
+  create: createOverlay,
+  resolve: resolveOverlays,
+};
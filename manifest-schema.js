@@ -0,0 +1,510 @@
+/**
+ * Manifest Schema
+ * Versioned JSON Schema for manifest.json plus referential checks
+ */
+
+const MANIFEST_API_VERSION = "v2";
+
+// Shared by v1 and v2: the fields every billboard client reads
+const MANIFEST_LOGO_SCHEMA = {
+  type: "object",
+  required: ["id", "name", "url"],
+  properties: {
+    id: { type: "string", minLength: 1 },
+    name: { type: "string", minLength: 1 },
+    url: { type: "string", pattern: "^https?://" },
+    filename: { type: "string" },
+    size: { type: "integer", minimum: 0 },
+    type: { type: "string" },
+    priority: { type: "integer", minimum: 0 },
+    active: { type: "boolean" },
+    // Loop mode: seconds per showing (default logoLoopDuration) and
+    // showings per rotation cycle (default 1)
+    durationSeconds: { type: "integer", minimum: 1, maximum: 3600 },
+    weight: { type: "integer", minimum: 1, maximum: 100 },
+    githubPath: { type: "string" },
+    thumbnailUrl: { type: "string", pattern: "^https?://" },
+    thumbnailPath: { type: "string" },
+    contentHash: { type: "string", pattern: "^[0-9a-f]{64}$" },
+  },
+};
+
+// ISO 8601 date and time, as written by Date.toISOString()
+const MANIFEST_DATETIME_PATTERN = "^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}";
+
+const MANIFEST_CAMPAIGN_SCHEMA = {
+  type: "object",
+  required: ["id", "name", "startAt", "endAt", "logoIds"],
+  properties: {
+    id: { type: "string", minLength: 1 },
+    name: { type: "string", minLength: 1 },
+    client: { type: "string" },
+    startAt: { type: "string", pattern: MANIFEST_DATETIME_PATTERN },
+    endAt: { type: "string", pattern: MANIFEST_DATETIME_PATTERN },
+    // Percent of airtime booked while the campaign runs
+    targetShare: { type: "number", minimum: 0, maximum: 100 },
+    logoIds: { type: "array", items: { type: "string", minLength: 1 } },
+    expiredAt: { type: "string", pattern: MANIFEST_DATETIME_PATTERN },
+  },
+};
+
+// Entries of manifest.overlays: where a group or device overlay lives and,
+// for groups, which billboards belong to the group
+const MANIFEST_OVERLAY_REF_SCHEMA = {
+  type: "object",
+  required: ["type", "id", "path"],
+  properties: {
+    type: { type: "string", enum: ["group", "device"] },
+    id: { type: "string", minLength: 1 },
+    name: { type: "string" },
+    deviceIds: { type: "array", items: { type: "string", minLength: 1 } },
+    path: { type: "string", pattern: "\\.json$" },
+  },
+};
+
+const MANIFEST_SCHEMAS = {
+  v1: {
+    $id: "billboard-manifest/v1",
+    type: "object",
+    required: ["version", "logos", "lastUpdated", "metadata"],
+    properties: {
+      version: { type: "string", minLength: 1 },
+      lastUpdated: { type: "string" },
+      logos: { type: "array", items: MANIFEST_LOGO_SCHEMA },
+      settings: { type: "object" },
+      metadata: { type: "object" },
+    },
+  },
+
+  v2: {
+    $id: "billboard-manifest/v2",
+    type: "object",
+    required: ["version", "logos", "lastUpdated", "settings", "metadata"],
+    properties: {
+      version: { type: "string", minLength: 1 },
+      lastUpdated: { type: "string" },
+      logos: { type: "array", items: MANIFEST_LOGO_SCHEMA },
+      campaigns: { type: "array", items: MANIFEST_CAMPAIGN_SCHEMA },
+      overlays: { type: "array", items: MANIFEST_OVERLAY_REF_SCHEMA },
+      settings: {
+        type: "object",
+        required: ["logoMode", "logoLoopDuration"],
+        properties: {
+          logoMode: { type: "string", enum: ["loop", "fixed", "scheduled"] },
+          logoLoopDuration: { type: "integer", minimum: 1, maximum: 3600 },
+          defaultLogo: { type: ["string", "null"] },
+          scheduling: {
+            type: "object",
+            properties: {
+              intervals: {
+                type: "array",
+                items: {
+                  type: "object",
+                  required: ["logoId", "startTime", "endTime"],
+                  properties: {
+                    id: { type: "string", minLength: 1 },
+                    logoId: { type: "string", minLength: 1 },
+                    startTime: {
+                      type: "string",
+                      pattern: "^([01]\\d|2[0-3]):[0-5]\\d$",
+                    },
+                    endTime: {
+                      type: "string",
+                      pattern: "^([01]\\d|2[0-3]):[0-5]\\d$",
+                    },
+                    // Date.getDay() values; missing means every day
+                    days: {
+                      type: "array",
+                      items: { type: "integer", minimum: 0, maximum: 6 },
+                    },
+                    startDate: {
+                      type: "string",
+                      pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+                    },
+                    endDate: {
+                      type: "string",
+                      pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      metadata: {
+        type: "object",
+        required: ["apiVersion"],
+        properties: {
+          apiVersion: { type: "string", enum: ["v2"] },
+        },
+      },
+    },
+  },
+};
+
+// Overlay manifest: banners (and optionally display settings) added on top
+// of manifest.json for one group or device
+const OVERLAY_SCHEMA = {
+  $id: "billboard-overlay/v2",
+  type: "object",
+  required: ["version", "lastUpdated", "target", "logos", "metadata"],
+  properties: {
+    version: { type: "string", minLength: 1 },
+    lastUpdated: { type: "string" },
+    target: {
+      type: "object",
+      required: ["type", "id"],
+      properties: {
+        type: { type: "string", enum: ["group", "device"] },
+        id: { type: "string", minLength: 1 },
+      },
+    },
+    // false: the base playlist is not shown on these billboards
+    inheritBase: { type: "boolean" },
+    logos: { type: "array", items: MANIFEST_LOGO_SCHEMA },
+    settings: {
+      type: "object",
+      properties: {
+        logoMode: { type: "string", enum: ["loop", "fixed", "scheduled"] },
+        logoLoopDuration: { type: "integer", minimum: 1, maximum: 3600 },
+      },
+    },
+    metadata: { type: "object" },
+  },
+};
+
+// Settings used for new manifests and to fill in missing ones
+const DEFAULT_MANIFEST_SETTINGS = {
+  logoMode: "loop",
+  logoLoopDuration: 10,
+  defaultLogo: null,
+  scheduling: { intervals: [] },
+};
+
+/**
+ * Custom error carrying every validation message
+ */
+class ManifestValidationError extends Error {
+  constructor(errors, apiVersion) {
+    super(
+      `Manifest is not valid (${apiVersion}):\n- ${errors.join("\n- ")}`
+    );
+    this.name = "ManifestValidationError";
+    this.errors = errors;
+    this.apiVersion = apiVersion;
+  }
+}
+
+function describeSchemaValue(value) {
+  if (value === undefined) return "nothing";
+  const text = JSON.stringify(value);
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+function matchesSchemaType(value, type) {
+  switch (type) {
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+// Check value against the supported JSON Schema subset, collecting messages
+function checkSchemaNode(value, schema, path, errors) {
+  const label = path || "manifest";
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesSchemaType(value, type))) {
+      errors.push(
+        `${label}: must be ${types.join(" or ")} (got ${describeSchemaValue(
+          value
+        )})`
+      );
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(
+      `${label}: must be one of ${schema.enum.join(", ")} (got ${describeSchemaValue(
+        value
+      )})`
+    );
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength && value.length < schema.minLength) {
+      errors.push(`${label}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(
+        `${label}: ${describeSchemaValue(value)} has the wrong format`
+      );
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${label}: must be at least ${schema.minimum} (got ${value})`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${label}: must be at most ${schema.maximum} (got ${value})`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) =>
+      checkSchemaNode(item, schema.items, `${label}[${index}]`, errors)
+    );
+  }
+
+  if (matchesSchemaType(value, "object")) {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push(`${path ? `${path}.` : ""}${key}: is required`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, childSchema]) => {
+      if (value[key] !== undefined) {
+        checkSchemaNode(
+          value[key],
+          childSchema,
+          path ? `${path}.${key}` : key,
+          errors
+        );
+      }
+    });
+  }
+}
+
+// Logo ids must be unique, everything pointing at a logo must exist and
+// schedule and campaign date ranges must not end before they start
+function checkManifestReferences(manifest, errors) {
+  const logos = Array.isArray(manifest?.logos) ? manifest.logos : [];
+  const ids = new Set();
+
+  logos.forEach((logo, index) => {
+    if (!logo?.id) return;
+    if (ids.has(logo.id)) {
+      errors.push(`logos[${index}].id: "${logo.id}" is used by another logo`);
+    }
+    ids.add(logo.id);
+  });
+
+  const settings = manifest?.settings || {};
+  if (settings.defaultLogo && !ids.has(settings.defaultLogo)) {
+    errors.push(
+      `settings.defaultLogo: "${settings.defaultLogo}" does not match any logo`
+    );
+  }
+
+  const intervals = settings.scheduling?.intervals;
+  if (Array.isArray(intervals)) {
+    intervals.forEach((interval, index) => {
+      if (interval?.logoId && !ids.has(interval.logoId)) {
+        errors.push(
+          `settings.scheduling.intervals[${index}].logoId: "${interval.logoId}" does not match any logo`
+        );
+      }
+      if (
+        interval?.startDate &&
+        interval?.endDate &&
+        interval.startDate > interval.endDate
+      ) {
+        errors.push(
+          `settings.scheduling.intervals[${index}].endDate: ${interval.endDate} is before startDate ${interval.startDate}`
+        );
+      }
+    });
+  }
+
+  const campaigns = Array.isArray(manifest?.campaigns) ? manifest.campaigns : [];
+  const campaignIds = new Set();
+  campaigns.forEach((campaign, index) => {
+    if (campaign?.id && campaignIds.has(campaign.id)) {
+      errors.push(
+        `campaigns[${index}].id: "${campaign.id}" is used by another campaign`
+      );
+    }
+    campaignIds.add(campaign?.id);
+
+    if (Date.parse(campaign?.endAt) <= Date.parse(campaign?.startAt)) {
+      errors.push(
+        `campaigns[${index}].endAt: ${campaign.endAt} is not after startAt ${campaign.startAt}`
+      );
+    }
+
+    (Array.isArray(campaign?.logoIds) ? campaign.logoIds : []).forEach(
+      (logoId, logoIndex) => {
+        if (!ids.has(logoId)) {
+          errors.push(
+            `campaigns[${index}].logoIds[${logoIndex}]: "${logoId}" does not match any logo`
+          );
+        }
+      }
+    );
+  });
+
+  const overlays = Array.isArray(manifest?.overlays) ? manifest.overlays : [];
+  const overlayKeys = new Set();
+  overlays.forEach((overlay, index) => {
+    const key = `${overlay?.type}:${overlay?.id}`;
+    if (overlayKeys.has(key)) {
+      errors.push(
+        `overlays[${index}]: ${overlay.type} "${overlay.id}" has another overlay`
+      );
+    }
+    overlayKeys.add(key);
+  });
+}
+
+/**
+ * Validate manifest against the schema of its apiVersion
+ * (or options.apiVersion). Returns { valid, apiVersion, errors, warnings };
+ * warnings come from the schedule analyzer and do not make it invalid.
+ */
+function validateManifest(manifest, options = {}) {
+  const apiVersion =
+    options.apiVersion || manifest?.metadata?.apiVersion || "v1";
+  const schema = MANIFEST_SCHEMAS[apiVersion];
+
+  if (!schema) {
+    return {
+      valid: false,
+      apiVersion,
+      errors: [`metadata.apiVersion: unknown version "${apiVersion}"`],
+      warnings: [],
+    };
+  }
+
+  const errors = [];
+  const warnings = [];
+  checkSchemaNode(manifest, schema, "", errors);
+
+  // v1 manifests were written without these guarantees
+  if (apiVersion !== "v1") {
+    checkManifestReferences(manifest, errors);
+
+    // Missing logos are already errors above
+    const { issues } = window.ScheduleAnalyzer.analyze(manifest);
+    issues
+      .filter((issue) => issue.severity === "warning")
+      .forEach((issue) => warnings.push(`settings.scheduling: ${issue.message}`));
+  }
+
+  return { valid: errors.length === 0, apiVersion, errors, warnings };
+}
+
+/**
+ * Throw ManifestValidationError unless manifest is valid
+ */
+function assertValidManifest(manifest, options = {}) {
+  const result = validateManifest(manifest, options);
+  if (!result.valid) {
+    throw new ManifestValidationError(result.errors, result.apiVersion);
+  }
+  if (result.warnings.length > 0) {
+    console.warn("[ManifestSchema] Schedule warnings:", result.warnings);
+  }
+  return manifest;
+}
+
+/**
+ * Validate an overlay manifest. Returns { valid, errors }.
+ */
+function validateOverlay(overlay) {
+  const errors = [];
+  checkSchemaNode(overlay, OVERLAY_SCHEMA, "", errors);
+
+  const ids = new Set();
+  (Array.isArray(overlay?.logos) ? overlay.logos : []).forEach((logo, index) => {
+    if (!logo?.id) return;
+    if (ids.has(logo.id)) {
+      errors.push(`logos[${index}].id: "${logo.id}" is used by another logo`);
+    }
+    ids.add(logo.id);
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Throw ManifestValidationError unless overlay is valid
+ */
+function assertValidOverlay(overlay) {
+  const result = validateOverlay(overlay);
+  if (!result.valid) {
+    throw new ManifestValidationError(result.errors, "overlay");
+  }
+  return overlay;
+}
+
+/**
+ * Drop defaultLogo, schedule entries and campaign banners pointing at logos
+ * no longer present
+ *
+ * Used after logos are removed on purpose (delete, replace, cleanup).
+ */
+function dropDanglingReferences(manifest) {
+  const ids = new Set((manifest.logos || []).map((logo) => logo.id));
+  const settings = { ...(manifest.settings || {}) };
+  const dropped = [];
+
+  if (settings.defaultLogo && !ids.has(settings.defaultLogo)) {
+    dropped.push(`defaultLogo ${settings.defaultLogo}`);
+    settings.defaultLogo = null;
+  }
+
+  if (Array.isArray(settings.scheduling?.intervals)) {
+    const intervals = settings.scheduling.intervals.filter((interval) => {
+      if (ids.has(interval.logoId)) return true;
+      dropped.push(
+        `interval ${interval.startTime}-${interval.endTime} (${interval.logoId})`
+      );
+      return false;
+    });
+    settings.scheduling = { ...settings.scheduling, intervals };
+  }
+
+  const result = { ...manifest, settings };
+  if (Array.isArray(manifest.campaigns)) {
+    result.campaigns = manifest.campaigns.map((campaign) => {
+      const logoIds = campaign.logoIds.filter((logoId) => ids.has(logoId));
+      if (logoIds.length === campaign.logoIds.length) return campaign;
+
+      dropped.push(
+        `${campaign.logoIds.length - logoIds.length} banner(s) of campaign ${campaign.name}`
+      );
+      return { ...campaign, logoIds };
+    });
+  }
+
+  if (dropped.length > 0) {
+    console.log("[ManifestSchema] Dropped references to removed logos:", dropped);
+  }
+
+  return result;
+}
+
+// Export for global use
+window.ManifestSchema = {
+  API_VERSION: MANIFEST_API_VERSION,
+  schemas: MANIFEST_SCHEMAS,
+  defaultSettings: DEFAULT_MANIFEST_SETTINGS,
+  ValidationError: ManifestValidationError,
+  validate: validateManifest,
+  assertValid: assertValidManifest,
+  validateOverlay,
+  assertValidOverlay,
+  dropDanglingReferences,
+};
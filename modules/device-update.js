@@ -9,7 +9,6 @@ export class DeviceUpdateService {
   constructor() {
     this.lastDetectedVersion = null;
     this.updateInProgress = false;
-    this.progressInterval = null;
     this.progressTimeout = null;
 
     console.log("[DeviceUpdateService] Initialized");
@@ -142,9 +141,7 @@ export class DeviceUpdateService {
       if (updateProgress) updateProgress.style.display = "block";
       if (statusText)
         statusText.textContent = "Waiting for download to start...";
-
-      // Simulate progress
-      this.startProgressSimulation();
+      this.setProgress(0);
 
       // Timeout after 120 seconds
       this.progressTimeout = setTimeout(() => {
@@ -169,35 +166,20 @@ export class DeviceUpdateService {
   }
 
   /**
-   * Start progress simulation
+   * Show download progress reported by the billboard
    */
-  startProgressSimulation() {
-    let progress = 0;
-
-    this.progressInterval = setInterval(() => {
-      if (progress < 90) {
-        progress += Math.random() * 15;
-        if (progress > 90) progress = 90;
-
-        const progressFill = document.getElementById("updateProgressFill");
-        const progressText = document.getElementById("updateProgressText");
-
-        if (progressFill) progressFill.style.width = progress + "%";
-        if (progressText) progressText.textContent = Math.round(progress) + "%";
-      }
-    }, 1000);
+  setProgress(percent) {
+    const progressFill = document.getElementById("updateProgressFill");
+    const progressText = document.getElementById("updateProgressText");
 
-    console.log("[DeviceUpdateService] Progress simulation started");
+    if (progressFill) progressFill.style.width = Math.min(percent, 100) + "%";
+    if (progressText) progressText.textContent = Math.round(percent) + "%";
   }
 
   /**
    * Clear progress timers and displays
    */
   clearProgress() {
-    if (this.progressInterval) {
-      clearInterval(this.progressInterval);
-      this.progressInterval = null;
-    }
     if (this.progressTimeout) {
       clearTimeout(this.progressTimeout);
       this.progressTimeout = null;
@@ -270,14 +252,12 @@ export class DeviceUpdateService {
    */
   handleUpdateStatus(status) {
     const statusText = document.getElementById("updateStatusText");
-    const progressText = document.getElementById("updateProgressText");
 
     console.log("[DeviceUpdateService] Status received:", status);
 
-    if (status.progress !== undefined) {
-      if (progressText) {
-        progressText.textContent = status.progress + "%";
-      }
+    const percent = status.percent ?? status.progress;
+    if (percent !== undefined) {
+      this.setProgress(percent);
     }
 
     if (status.message) {
@@ -11,8 +11,9 @@ const DEFAULT_SETTINGS = {
   displayMode: "loop",
   loopDuration: 10,
   fixedBannerIndex: 0,
-  scheduledStart: "08:00",
-  scheduledEnd: "22:00",
+  // Same shape as manifest settings.scheduling / settings.defaultLogo
+  scheduling: { intervals: [] },
+  defaultLogo: null,
 };
 
 export class DisplaySettingsService {
@@ -33,9 +34,11 @@ export class DisplaySettingsService {
       const saved = localStorage.getItem(STORAGE_KEY);
 
       if (saved) {
+        // scheduledStart/scheduledEnd predate multi-window schedules
+        const { scheduledStart, scheduledEnd, ...settings } = JSON.parse(saved);
         this.currentSettings = {
           ...DEFAULT_SETTINGS,
-          ...JSON.parse(saved),
+          ...settings,
         };
       }
 
@@ -56,18 +59,12 @@ export class DisplaySettingsService {
     const displayModeEl = document.getElementById("displayMode");
     const loopDurationEl = document.getElementById("loopDuration");
     const fixedBannerEl = document.getElementById("fixedBannerIndex");
-    const scheduledStartEl = document.getElementById("scheduledStart");
-    const scheduledEndEl = document.getElementById("scheduledEnd");
 
     if (displayModeEl) displayModeEl.value = this.currentSettings.displayMode;
     if (loopDurationEl)
       loopDurationEl.value = this.currentSettings.loopDuration;
     if (fixedBannerEl)
       fixedBannerEl.value = this.currentSettings.fixedBannerIndex;
-    if (scheduledStartEl)
-      scheduledStartEl.value = this.currentSettings.scheduledStart;
-    if (scheduledEndEl)
-      scheduledEndEl.value = this.currentSettings.scheduledEnd;
 
     console.log("[DisplaySettings] UI updated");
   }
@@ -83,15 +80,19 @@ export class DisplaySettingsService {
       const displayModeEl = document.getElementById("displayMode");
       const loopDurationEl = document.getElementById("loopDuration");
       const fixedBannerEl = document.getElementById("fixedBannerIndex");
-      const scheduledStartEl = document.getElementById("scheduledStart");
-      const scheduledEndEl = document.getElementById("scheduledEnd");
+
+      // The schedule editor holds the rules being edited, if it is loaded
+      const schedule = window.ScheduleEditor?.getSchedule() || {
+        intervals: this.currentSettings.scheduling.intervals,
+        defaultLogo: this.currentSettings.defaultLogo,
+      };
 
       this.currentSettings = {
         displayMode: displayModeEl?.value || "loop",
         loopDuration: parseInt(loopDurationEl?.value || 10),
         fixedBannerIndex: parseInt(fixedBannerEl?.value || 0),
-        scheduledStart: scheduledStartEl?.value || "08:00",
-        scheduledEnd: scheduledEndEl?.value || "22:00",
+        scheduling: { intervals: schedule.intervals },
+        defaultLogo: schedule.defaultLogo,
         lastUpdated: new Date().toISOString(),
       };
 
@@ -248,24 +249,24 @@ export class DisplaySettingsService {
   }
 
   /**
-   * Get scheduled time range
+   * Get schedule (time windows and fallback banner)
    */
-  getScheduledTimeRange() {
+  getSchedule() {
     return {
-      start: this.currentSettings.scheduledStart,
-      end: this.currentSettings.scheduledEnd,
+      intervals: [...this.currentSettings.scheduling.intervals],
+      defaultLogo: this.currentSettings.defaultLogo,
     };
   }
 
   /**
-   * Set scheduled time range
+   * Set schedule (time windows and fallback banner)
    */
-  setScheduledTimeRange(start, end) {
-    this.currentSettings.scheduledStart = start;
-    this.currentSettings.scheduledEnd = end;
-    console.log("[DisplaySettings] Scheduled time range changed:", {
-      start,
-      end,
+  setSchedule(intervals, defaultLogo = null) {
+    this.currentSettings.scheduling = { intervals: [...intervals] };
+    this.currentSettings.defaultLogo = defaultLogo;
+    console.log("[DisplaySettings] Schedule changed:", {
+      windows: intervals.length,
+      defaultLogo,
     });
   }
 
@@ -4,13 +4,21 @@
  */
 
 import * as uiCore from "./ui-core.js";
+import { validateManifest } from "../services/manifest-schema.js";
 
 export class LogoManager {
-  constructor(manifestUrl) {
+  constructor(manifestUrl, githubService = null) {
     this.manifestUrl =
       manifestUrl ||
       "https://mquan-eoh.github.io/billboard-logos-cdn/manifest.json";
     this.currentManifest = null;
+    this.github = githubService;
+
+    // Grid actions waiting to be committed together
+    this.pendingChanges = [];
+    this.flushTimer = null;
+    this.isSaving = false;
+    this.flushDelay = 1500;
 
     this.initialize();
   }
@@ -49,6 +57,18 @@ export class LogoManager {
         this.currentManifest = await response.json();
         console.log("[LogoManager] Manifest fetched successfully");
 
+        const validation = validateManifest(this.currentManifest);
+        if (!validation.valid) {
+          console.warn(
+            "[LogoManager] Published manifest has schema errors:",
+            validation.errors
+          );
+          uiCore.showToast(
+            `Manifest trên CDN có ${validation.errors.length} lỗi schema (${validation.apiVersion}), cần sửa trước lần lưu tiếp theo`,
+            "warning"
+          );
+        }
+
         this.updateManifestDisplay();
         this.displayLogos();
         this.updateManifestStatus("online");
@@ -134,7 +154,9 @@ export class LogoManager {
     const logosGrid = document.getElementById("logosGrid");
     if (!logosGrid || !this.currentManifest?.logos) return;
 
+    uiCore.setElementVisible("manifestEditor", true);
     logosGrid.innerHTML = "";
+    const lastIndex = this.currentManifest.logos.length - 1;
 
     this.currentManifest.logos.forEach((logo, index) => {
       const logoCard = document.createElement("div");
@@ -144,7 +166,9 @@ export class LogoManager {
         "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMTAwIiBoZWlnaHQ9IjYwIiB2aWV3Qm94PSIwIDAgMTAwIDYwIiBmaWxsPSJub25lIiB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciPjxyZWN0IHdpZHRoPSIxMDAiIGhlaWdodD0iNjAiIGZpbGw9IiNmM2Y0ZjYiLz48dGV4dCB4PSI1MCIgeT0iMzAiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxMiIgZmlsbD0iIzZiNzI4MCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPk5vIEltYWdlPC90ZXh0Pjwvc3ZnPg==";
 
       logoCard.innerHTML = `
-        <img src="${logo.url}" alt="${logo.name}" class="logo-preview" 
+        <img src="${logo.thumbnailUrl || logo.url}" alt="${
+          logo.name
+        }" class="logo-preview" loading="lazy"
              onerror="this.src='${placeholderSvg}'">
         <div class="logo-info">
           <h4>${logo.name}</h4>
@@ -161,6 +185,16 @@ export class LogoManager {
           </button>
           <button class="btn btn-small btn-danger" onclick="window.logoManager.deleteLogo(${index})">Delete</button>
         </div>
+        <div class="logo-actions">
+          <button class="btn btn-small btn-secondary" title="Move earlier"
+                  onclick="window.logoManager.moveLogo(${index}, -1)" ${
+                    index === 0 ? "disabled" : ""
+                  }>◀</button>
+          <button class="btn btn-small btn-secondary" title="Move later"
+                  onclick="window.logoManager.moveLogo(${index}, 1)" ${
+                    index === lastIndex ? "disabled" : ""
+                  }>▶</button>
+        </div>
       `;
 
       logosGrid.appendChild(logoCard);
@@ -205,42 +239,153 @@ export class LogoManager {
     }
   }
 
+  /**
+   * Check that grid actions can be committed to GitHub
+   */
+  canPersistChanges() {
+    if (this.github?.isAuthenticated) return true;
+
+    uiCore.showToast("Cần xác thực GitHub để lưu thay đổi banner", "warning");
+    return false;
+  }
+
   /**
    * Toggle logo active status
    */
   toggleLogoStatus(index) {
-    if (!this.currentManifest?.logos?.[index]) return;
+    const logo = this.currentManifest?.logos?.[index];
+    if (!logo || !this.canPersistChanges()) return;
 
-    this.currentManifest.logos[index].active =
-      !this.currentManifest.logos[index].active;
+    logo.active = !logo.active;
 
     this.updateManifestDisplay();
     this.displayLogos();
 
-    const status = this.currentManifest.logos[index].active
-      ? "enabled"
-      : "disabled";
-    uiCore.showToast(`Logo ${status} successfully`, "success");
-
-    console.log("[LogoManager] Logo status toggled:", index, "→", status);
+    this.queueChange({ type: "toggle", logoId: logo.id, active: logo.active });
+    console.log("[LogoManager] Logo status toggled:", logo.id, "→", logo.active);
   }
 
   /**
    * Delete logo from manifest
    */
   deleteLogo(index) {
-    if (!this.currentManifest?.logos?.[index]) return;
+    const logo = this.currentManifest?.logos?.[index];
+    if (!logo || !this.canPersistChanges()) return;
 
-    const logoName = this.currentManifest.logos[index].name;
-
-    if (confirm(`Bạn có chắc muốn xóa logo "${logoName}"?`)) {
+    if (confirm(`Bạn có chắc muốn xóa logo "${logo.name}"?`)) {
       this.currentManifest.logos.splice(index, 1);
       this.updateManifestDisplay();
       this.displayLogos();
-      uiCore.showToast(`Logo "${logoName}" đã được xóa`, "success");
 
-      console.log("[LogoManager] Logo deleted:", logoName);
+      this.queueChange({ type: "delete", logoId: logo.id });
+      console.log("[LogoManager] Logo deleted:", logo.name);
+    }
+  }
+
+  /**
+   * Move logo one position earlier or later in the rotation
+   */
+  moveLogo(index, offset) {
+    const logos = this.currentManifest?.logos;
+    const target = index + offset;
+    if (!logos?.[index] || !logos[target] || !this.canPersistChanges()) return;
+
+    [logos[index], logos[target]] = [logos[target], logos[index]];
+    logos.forEach((logo, position) => {
+      logo.priority = position + 1;
+    });
+    this.displayLogos();
+
+    this.queueChange({ type: "reorder", order: logos.map((logo) => logo.id) });
+  }
+
+  /**
+   * Collect grid actions and commit them together after a short pause
+   */
+  queueChange(change) {
+    if (change.type === "reorder") {
+      this.pendingChanges = this.pendingChanges.filter(
+        (pending) => pending.type !== "reorder"
+      );
     }
+    this.pendingChanges.push(change);
+    this.updateSaveStatus("pending");
+
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => this.flushChanges(), this.flushDelay);
+  }
+
+  /**
+   * Commit queued grid actions, then notify billboards
+   */
+  async flushChanges() {
+    if (this.pendingChanges.length === 0) return;
+
+    if (this.isSaving) {
+      this.flushTimer = setTimeout(() => this.flushChanges(), this.flushDelay);
+      return;
+    }
+
+    const changes = this.pendingChanges;
+    this.pendingChanges = [];
+    this.isSaving = true;
+    this.updateSaveStatus("saving");
+
+    try {
+      const result = await this.github.commitLogoChanges(changes);
+
+      this.currentManifest = result.manifest;
+      this.updateManifestDisplay();
+      this.displayLogos();
+      this.updateSaveStatus("saved");
+      uiCore.showToast(
+        `Đã lưu ${changes.length} thay đổi banner lên CDN`,
+        "success"
+      );
+      console.log("[LogoManager] Changes committed:", result.commitSha);
+
+      // Billboards are only told after the commit exists
+      const sent = await window.MqttClient?.publishManifestRefresh({
+        action: "banners-updated",
+        manifest: this.currentManifest,
+        timestamp: Date.now(),
+        source: "admin-web",
+      });
+      if (!sent) {
+        uiCore.showToast(
+          "Đã lưu manifest nhưng không gửi được tín hiệu MQTT tới billboard",
+          "warning"
+        );
+      }
+    } catch (error) {
+      console.error("[LogoManager] Failed to save changes:", error);
+      this.updateSaveStatus("error");
+      uiCore.showToast(
+        "Không thể lưu thay đổi banner: " + error.message,
+        "error"
+      );
+
+      // Drop the optimistic edits and show what is really published
+      await this.fetchCurrentManifest();
+    } finally {
+      this.isSaving = false;
+    }
+  }
+
+  /**
+   * Update save status next to the banner grid heading
+   */
+  updateSaveStatus(state) {
+    const labels = {
+      pending: "✏️ Chưa lưu",
+      saving: "⏳ Đang lưu...",
+      saved: "✅ Đã lưu",
+      error: "❌ Lưu thất bại",
+    };
+
+    const saveStatus = document.getElementById("manifestSaveStatus");
+    if (saveStatus) saveStatus.className = `save-status ${state}`;
+    uiCore.setElementText("manifestSaveStatus", labels[state] || "");
   }
 
   /**
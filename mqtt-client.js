@@ -11,6 +11,13 @@ class MqttClient {
     this.isReconnecting = false;
     // ✅ NEW: Acknowledgment tracking
     this.pendingAcknowledgments = new Map(); // messageId -> {resolve, reject, timeout}
+    // App version last reported by the billboard, picks the manifest apiVersion
+    this.billboardAppVersion = null;
+  }
+
+  // Remember billboard app version for manifest refresh payloads
+  setBillboardAppVersion(version) {
+    this.billboardAppVersion = version || null;
   }
 
   // Initialize and connect to MQTT broker
@@ -39,6 +46,7 @@ class MqttClient {
             clientId: config.options?.clientId || `client_${Date.now()}`,
             status: "offline",
             timestamp: Date.now(),
+            type: "admin_web",
           }),
           qos: 1,
           retain: false,
@@ -232,8 +240,51 @@ class MqttClient {
     }
   }
 
+  // Topics for a device target: the shared topic for the whole fleet, or
+  // the per-device topic of each billboard in a group / the single device
+  getTargetTopics(topic, target = null) {
+    const deviceIds = window.DeviceRegistry
+      ? window.DeviceRegistry.resolveTarget(target)
+      : null;
+    if (!deviceIds) {
+      return [{ topic, deviceTarget: "all" }];
+    }
+
+    const devicePrefix =
+      window.BannerConfig?.mqtt?.topic?.device ||
+      "its/billboard/devices/{deviceId}";
+
+    return deviceIds.map((deviceId) => ({
+      topic: topic.replace(
+        /^its\/billboard\//,
+        `${devicePrefix.replace("{deviceId}", deviceId)}/`
+      ),
+      deviceTarget: deviceId,
+    }));
+  }
+
+  // Publish a message to every topic of a device target; message may be a
+  // function of the deviceTarget for per-device payloads
+  async publishToTarget(topic, message, target = null, options = {}) {
+    const destinations = this.getTargetTopics(topic, target);
+
+    for (const destination of destinations) {
+      const payload =
+        typeof message === "function"
+          ? message(destination.deviceTarget)
+          : message;
+      await this.publish(
+        destination.topic,
+        { ...payload, deviceTarget: destination.deviceTarget },
+        options
+      );
+    }
+
+    return destinations.map((destination) => destination.deviceTarget);
+  }
+
   // Publish settings sync notification
-  async publishSettingsSync(settings) {
+  async publishSettingsSync(settings, target = null) {
     if (!this.connected || !this.client) {
       throw new Error("MQTT not connected");
     }
@@ -246,7 +297,11 @@ class MqttClient {
         source: "admin_web",
       };
 
-      await this.publish(window.BannerConfig.mqtt.topic.bannerSync, message);
+      await this.publishToTarget(
+        window.BannerConfig.mqtt.topic.bannerSync,
+        message,
+        target
+      );
       console.log("Settings sync published via MQTT:", message);
       return true;
     } catch (error) {
@@ -256,7 +311,7 @@ class MqttClient {
   }
 
   // Publish app reset command
-  async publishAppReset() {
+  async publishAppReset(target = null) {
     if (!this.connected || !this.client) {
       throw new Error("MQTT not connected");
     }
@@ -269,7 +324,7 @@ class MqttClient {
         reason: "Manual reset from admin interface",
       };
 
-      await this.publish("its/billboard/commands", message);
+      await this.publishToTarget("its/billboard/commands", message, target);
       console.log("App reset command published via MQTT:", message);
       return true;
     } catch (error) {
@@ -279,7 +334,7 @@ class MqttClient {
   }
 
   // Publish manifest refresh signal with auto-reconnect
-  async publishManifestRefresh(manifestData) {
+  async publishManifestRefresh(manifestData, target = null) {
     // Try to ensure connection before publishing
     if (!this.connected || !this.client) {
       console.warn("MQTT not connected, attempting to reconnect...");
@@ -297,19 +352,53 @@ class MqttClient {
     try {
       console.log("Publishing manifest refresh signal:", manifestData);
 
-      const message = {
-        type: "manifest_refresh",
-        action: manifestData.action,
-        manifest: manifestData.manifest,
-        source: manifestData.source,
-        timestamp: manifestData.timestamp,
+      const cdnEndpoint = window.BannerConfig?.github?.cdnEndpoint;
+
+      // Billboards on an older app version get the downgraded manifest;
+      // a targeted device gets the one for its own reported version
+      const buildMessage = (deviceTarget) => {
+        const appVersion =
+          (deviceTarget !== "all" &&
+            window.DeviceRegistry?.get(deviceTarget)?.appVersion) ||
+          this.billboardAppVersion;
+        const downgraded = window.ManifestMigrations.forAppVersion(
+          manifestData.manifest,
+          appVersion
+        );
+
+        return {
+          type: "manifest_refresh",
+          action: manifestData.action,
+          manifest: downgraded.manifest,
+          apiVersion: downgraded.apiVersion,
+          manifestUrl: cdnEndpoint
+            ? `${cdnEndpoint}/${downgraded.path}`
+            : undefined,
+          // Group and device overlays to load on top of manifestUrl;
+          // billboards reached by the broadcast look them up in
+          // manifest.overlays
+          overlayUrls:
+            deviceTarget !== "all" && window.ManifestOverlays
+              ? window.ManifestOverlays.urlsForDevice(
+                  manifestData.manifest,
+                  deviceTarget
+                )
+              : undefined,
+          source: manifestData.source,
+          timestamp: manifestData.timestamp,
+        };
       };
 
       // Use dedicated topic for manifest refresh
       const manifestTopic = "its/billboard/manifest/refresh";
-      await this.publish(manifestTopic, message, 1); // QoS 1 for reliable delivery
+      const sentTo = await this.publishToTarget(
+        manifestTopic,
+        buildMessage,
+        target,
+        { qos: 1 } // QoS 1 for reliable delivery
+      );
 
-      console.log("Manifest refresh signal published via MQTT:", message);
+      console.log("Manifest refresh signal published via MQTT:", sentTo);
       return true;
     } catch (error) {
       console.error("Error publishing manifest refresh:", error);
@@ -383,6 +472,45 @@ class MqttClient {
         console.log("Subscribed to reset status topic");
       }
     });
+
+    // Subscribe to update acknowledgments
+    this.client.subscribe("its/billboard/update/ack", { qos: 1 }, (err) => {
+      if (err) {
+        console.error("Failed to subscribe to update ack:", err.message);
+      } else {
+        console.log("Subscribed to update ack topic");
+      }
+    });
+
+    // Subscribe to billboard online/offline status (Last Will included)
+    const statusTopic = window.BannerConfig.mqtt.topic.status;
+    this.client.subscribe(statusTopic, { qos: 1 }, (err) => {
+      if (err) {
+        console.error("Failed to subscribe to device status:", err.message);
+      } else {
+        console.log("Subscribed to device status topic");
+      }
+    });
+
+    // Subscribe to what each billboard is showing right now
+    const nowPlayingTopic = window.BannerConfig.mqtt.topic.nowPlaying;
+    this.client.subscribe(nowPlayingTopic, { qos: 0 }, (err) => {
+      if (err) {
+        console.error("Failed to subscribe to now playing:", err.message);
+      } else {
+        console.log("Subscribed to now playing topic");
+      }
+    });
+
+    // Subscribe to screenshot replies
+    const screenshotTopic = window.BannerConfig.mqtt.topic.screenshot;
+    this.client.subscribe(screenshotTopic, { qos: 1 }, (err) => {
+      if (err) {
+        console.error("Failed to subscribe to screenshots:", err.message);
+      } else {
+        console.log("Subscribed to screenshot topic");
+      }
+    });
   }
 
   // Subscribe to topic
@@ -0,0 +1,215 @@
+/**
+ * OTA State Machine
+ * Per-device update progress: idle → acked → downloading → downloaded →
+ * installing → restarted → verified, or failed from any of them. Only
+ * messages from the billboard move a device forward, and it is verified
+ * once it reports the target version after restarting.
+ */
+
+const OTA_STATE_LABELS = {
+  idle: "Chờ phản hồi",
+  acked: "Đã nhận lệnh",
+  downloading: "Đang tải",
+  downloaded: "Đã tải xong",
+  installing: "Đang cài đặt",
+  restarted: "Đã khởi động lại",
+  verified: "Đã xác minh",
+  failed: "Lỗi",
+};
+
+const OTA_FINAL_STATES = ["verified", "failed"];
+
+// Seconds a device may stay silent in each state
+const OTA_DEFAULT_TIMEOUTS = {
+  idle: 60,
+  acked: 180,
+  downloading: 300,
+  downloaded: 300,
+  installing: 600,
+  restarted: 180,
+};
+
+// "<kind>:<status>" of a device message → states it may arrive in and the
+// state it leads to
+const OTA_TRANSITIONS = {
+  ack: { from: ["idle"], to: "acked" },
+  "update:checking": { from: ["idle"], to: "acked" },
+  // Reinstall and downgrade are accepted, not done yet
+  "update:no_updates_but_force_requested": { from: ["idle", "acked"], to: "acked" },
+  "update:downgrade_requested": { from: ["idle", "acked"], to: "acked" },
+  "update:downloading": {
+    from: ["idle", "acked", "downloading"],
+    to: "downloading",
+  },
+  "update:download_complete": {
+    from: ["idle", "acked", "downloading"],
+    to: "downloaded",
+  },
+  "update:update_success": {
+    from: ["idle", "acked", "downloading", "downloaded"],
+    to: "downloaded",
+  },
+  "update:installing": { from: ["downloaded"], to: "installing" },
+  "reset:reset_started": {
+    from: ["acked", "downloading", "downloaded", "installing"],
+    to: "installing",
+  },
+  "reset:reset_success": {
+    from: ["acked", "downloading", "downloaded", "installing"],
+    to: "restarted",
+  },
+};
+
+function normaliseOtaVersion(version) {
+  return String(version).trim().replace(/^v/, "");
+}
+
+function isOtaFinal(state) {
+  return OTA_FINAL_STATES.includes(state);
+}
+
+function otaStateLabel(state) {
+  return OTA_STATE_LABELS[state] || state;
+}
+
+/**
+ * Tracking entry for a device that was sent force_update
+ */
+function createOtaEntry(deviceId, version, now = Date.now()) {
+  return {
+    deviceId,
+    version: normaliseOtaVersion(version),
+    state: "idle",
+    percent: 0,
+    message: null,
+    reportedVersion: null,
+    updatedAt: now,
+    history: [{ state: "idle", at: now }],
+  };
+}
+
+/**
+ * Event for applyOtaEvent from an MQTT message; kind is "ack", "update",
+ * "reset" or "heartbeat" (status message carrying the app version)
+ */
+function otaEventFrom(kind, message = {}) {
+  const reported =
+    kind === "update"
+      ? message.status === "up_to_date"
+        ? message.currentVersion
+        : null
+      : message.currentVersion || message.appVersion || message.version;
+
+  return {
+    kind,
+    status: message.status || null,
+    percent: message.percent ?? message.progress ?? null,
+    version: reported || null,
+    error: message.error || null,
+  };
+}
+
+function moveOta(entry, state, now, message = null) {
+  if (entry.state !== state) {
+    entry.history.push({ state, at: now });
+  }
+  entry.state = state;
+  entry.message = message;
+  entry.updatedAt = now;
+}
+
+function failOta(entry, message, now) {
+  moveOta(entry, "failed", now, message);
+  return true;
+}
+
+// Restarted devices are verified against the version they report
+function verifyOta(entry, version, now) {
+  if (!version) return false;
+
+  entry.reportedVersion = version;
+  if (
+    window.ManifestMigrations.compareAppVersions(
+      normaliseOtaVersion(version),
+      entry.version
+    ) !== 0
+  ) {
+    return failOta(entry, `Đang chạy v${version} thay vì v${entry.version}`, now);
+  }
+  moveOta(entry, "verified", now);
+  return true;
+}
+
+/**
+ * Apply a device event to its entry; returns true when the entry changed
+ *
+ * Messages that do not fit the current state are ignored, so a late or
+ * duplicated message never moves a device backwards.
+ */
+function applyOtaEvent(entry, event, now = Date.now()) {
+  if (isOtaFinal(entry.state)) return false;
+
+  if (event.status === "error") {
+    return failOta(entry, event.error || "Lỗi trong quá trình cập nhật", now);
+  }
+  if (event.kind === "update" && event.status === "no_updates") {
+    return failOta(entry, `Phiên bản v${entry.version} không sẵn có`, now);
+  }
+
+  // Already on the target version, nothing to install
+  if (event.kind === "update" && event.status === "up_to_date") {
+    return verifyOta(entry, event.version, now);
+  }
+
+  if (event.kind === "heartbeat") {
+    return entry.state === "restarted" && verifyOta(entry, event.version, now);
+  }
+
+  const key = event.kind === "ack" ? "ack" : `${event.kind}:${event.status}`;
+  const transition = OTA_TRANSITIONS[key];
+  if (!transition || !transition.from.includes(entry.state)) return false;
+
+  moveOta(entry, transition.to, now);
+  if (transition.to === "downloading" && event.percent != null) {
+    entry.percent = Math.round(event.percent);
+  }
+  if (["downloaded", "installing", "restarted"].includes(transition.to)) {
+    entry.percent = 100;
+  }
+  if (transition.to === "restarted") {
+    verifyOta(entry, event.version, now);
+  }
+  return true;
+}
+
+/**
+ * Fail an entry that stayed silent in its state for too long; returns true
+ * when it timed out
+ */
+function checkOtaTimeout(entry, now = Date.now(), timeouts = {}) {
+  if (isOtaFinal(entry.state)) return false;
+
+  const seconds = {
+    ...OTA_DEFAULT_TIMEOUTS,
+    ...window.BannerConfig?.ota?.stateTimeoutSeconds,
+    ...timeouts,
+  }[entry.state];
+  if (!seconds || now - entry.updatedAt <= seconds * 1000) return false;
+
+  return failOta(
+    entry,
+    `Không có phản hồi sau ${seconds} giây (${otaStateLabel(entry.state)})`,
+    now
+  );
+}
+
+// Export for global use
+window.OtaStateMachine = {
+  createEntry: createOtaEntry,
+  eventFrom: otaEventFrom,
+  apply: applyOtaEvent,
+  checkTimeout: checkOtaTimeout,
+  isFinal: isOtaFinal,
+  getLabel: otaStateLabel,
+  normaliseVersion: normaliseOtaVersion,
+};
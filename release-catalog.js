@@ -0,0 +1,217 @@
+/**
+ * Release Catalog
+ * Desktop app versions billboards can be updated to, from GitHub Releases
+ * of the desktop repository and/or releases.json in the CDN repository,
+ * with release notes, installer size and checksum
+ */
+
+// Tags and releases.json entries end up in markup and MQTT commands, so
+// only plain versions and hex checksums are taken from them
+const RELEASE_VERSION_PATTERN = /^[0-9A-Za-z][0-9A-Za-z.+-]*$/;
+const RELEASE_CHECKSUM_PATTERN = /^([a-z0-9]+:)?[0-9a-fA-F]+$/;
+
+class ReleaseCatalog {
+  constructor() {
+    this.releases = [];
+    this.loadedAt = null;
+  }
+
+  get config() {
+    return window.BannerConfig?.releases || {};
+  }
+
+  /**
+   * Releases newest first; cached for cacheMinutes unless forced
+   */
+  async load(force = false) {
+    const maxAge = (this.config.cacheMinutes || 10) * 60 * 1000;
+    if (!force && this.loadedAt && Date.now() - this.loadedAt < maxAge) {
+      return this.releases;
+    }
+
+    const sources = this.config.sources || ["github", "catalog"];
+    const results = await Promise.allSettled(
+      sources.map((source) =>
+        source === "github" ? this.fetchGitHubReleases() : this.fetchCatalogFile()
+      )
+    );
+
+    const failed = results.filter((result) => result.status === "rejected");
+    failed.forEach((result) =>
+      console.warn("[ReleaseCatalog] Source failed:", result.reason)
+    );
+    if (failed.length === results.length) {
+      throw failed[0].reason;
+    }
+
+    // releases.json may fill in what a GitHub release lacks, e.g. checksums
+    const byVersion = new Map();
+    results
+      .filter((result) => result.status === "fulfilled")
+      .flatMap((result) => result.value)
+      .forEach((release) => {
+        const known = byVersion.get(release.version) || {};
+        byVersion.set(release.version, {
+          ...release,
+          ...Object.fromEntries(
+            Object.entries(known).filter(([, value]) => value != null)
+          ),
+        });
+      });
+
+    this.releases = [...byVersion.values()]
+      .filter((release) => {
+        if (RELEASE_VERSION_PATTERN.test(release.version)) return true;
+        console.warn(`[ReleaseCatalog] Ignoring release "${release.version}"`);
+        return false;
+      })
+      .map((release) =>
+        release.checksum && !RELEASE_CHECKSUM_PATTERN.test(release.checksum)
+          ? { ...release, checksum: null }
+          : release
+      )
+      .sort((a, b) =>
+        window.ManifestMigrations.compareAppVersions(b.version, a.version)
+      );
+    this.loadedAt = Date.now();
+
+    console.log(`[ReleaseCatalog] Loaded ${this.releases.length} release(s)`);
+    return this.releases;
+  }
+
+  async fetchGitHubReleases() {
+    const { owner, repo } = this.config.repository || {};
+    if (!owner || !repo) return [];
+
+    const token = window.GitHubUploadService?.token;
+    const response = await fetch(
+      `https://api.github.com/repos/${owner}/${repo}/releases?per_page=50`,
+      {
+        headers: {
+          Accept: "application/vnd.github.v3+json",
+          ...(token ? { Authorization: `token ${token}` } : {}),
+        },
+      }
+    );
+    if (!response.ok) {
+      throw new Error(`GitHub Releases: HTTP ${response.status}`);
+    }
+
+    const releases = await response.json();
+    return releases
+      .filter((release) => !release.draft)
+      .map((release) => {
+        const installer = this.pickInstaller(release.assets || []);
+        return {
+          version: window.OtaStateMachine.normaliseVersion(release.tag_name),
+          name: release.name || release.tag_name,
+          notes: release.body || "",
+          publishedAt: release.published_at,
+          prerelease: release.prerelease,
+          size: installer?.size ?? null,
+          // "sha256:<hex>", present on assets uploaded since 2025
+          checksum: installer?.digest || null,
+          downloadUrl: installer?.browser_download_url || null,
+          source: "github",
+        };
+      });
+  }
+
+  // The installer is the largest .exe/.AppImage/.dmg asset
+  pickInstaller(assets) {
+    return (
+      assets
+        .filter((asset) => /\.(exe|appimage|dmg|deb|zip)$/i.test(asset.name))
+        .sort((a, b) => b.size - a.size)[0] || null
+    );
+  }
+
+  /**
+   * releases.json: { releases: [{ version, name?, notes?, publishedAt?,
+   * size?, checksum?, downloadUrl?, prerelease? }] }
+   */
+  async fetchCatalogFile() {
+    const cdnEndpoint = window.BannerConfig?.github?.cdnEndpoint;
+    const response = await fetch(
+      `${cdnEndpoint}/${this.config.catalogFile || "releases.json"}?t=${Date.now()}`
+    );
+    if (!response.ok) {
+      throw new Error(`releases.json: HTTP ${response.status}`);
+    }
+
+    const catalog = await response.json();
+    return (Array.isArray(catalog) ? catalog : catalog.releases || []).map(
+      (release) => ({
+        name: release.name || `v${release.version}`,
+        notes: release.notes || "",
+        publishedAt: release.publishedAt || null,
+        prerelease: Boolean(release.prerelease),
+        size: release.size ?? null,
+        checksum: release.checksum || null,
+        downloadUrl: release.downloadUrl || release.url || null,
+        ...release,
+        version: window.OtaStateMachine.normaliseVersion(release.version),
+        source: "catalog",
+      })
+    );
+  }
+
+  get(version) {
+    const wanted = window.OtaStateMachine.normaliseVersion(version);
+    return this.releases.find((release) => release.version === wanted) || null;
+  }
+
+  getLatest(includePrerelease = false) {
+    return (
+      this.releases.find((release) => includePrerelease || !release.prerelease) ||
+      null
+    );
+  }
+
+  /**
+   * Device ids per app version running in the fleet
+   */
+  devicesByVersion() {
+    const map = {};
+    window.DeviceRegistry.list().forEach((device) => {
+      if (!device.appVersion) return;
+      const version = window.OtaStateMachine.normaliseVersion(device.appVersion);
+      (map[version] = map[version] || []).push(device.deviceId);
+    });
+    return map;
+  }
+
+  /**
+   * Devices of a target that would go back to an older version
+   */
+  findDowngrades(version, deviceIds) {
+    const wanted = window.OtaStateMachine.normaliseVersion(version);
+    return deviceIds
+      .map((deviceId) => window.DeviceRegistry.get(deviceId))
+      .filter(
+        (device) =>
+          device?.appVersion &&
+          window.ManifestMigrations.compareAppVersions(
+            window.OtaStateMachine.normaliseVersion(device.appVersion),
+            wanted
+          ) > 0
+      );
+  }
+
+  /**
+   * Extra force_update fields so billboards can fetch and check the exact
+   * installer
+   */
+  commandFields(version, { allowDowngrade = false } = {}) {
+    const release = this.get(version);
+    return {
+      allowDowngrade,
+      ...(release?.downloadUrl ? { downloadUrl: release.downloadUrl } : {}),
+      ...(release?.checksum ? { checksum: release.checksum } : {}),
+      ...(release?.size ? { size: release.size } : {}),
+    };
+  }
+}
+
+// Create global instance
+window.ReleaseCatalog = new ReleaseCatalog();
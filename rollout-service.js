@@ -0,0 +1,492 @@
+/**
+ * Rollout Service
+ * Staged OTA rollout: force_update goes to a canary device or group first,
+ * then to percentage waves of the rest of the fleet. A wave starts once
+ * every device of the previous one is verified on the target version
+ * (OtaStateMachine); a failure or a missed deadline halts the rollout.
+ * Devices offline when their wave starts are skipped, and a rollout that
+ * skipped any ends as "completed_with_skipped" rather than "completed".
+ */
+
+const ROLLOUT_STORAGE_KEY = "billboard-rollout";
+
+// Device states besides those of OtaStateMachine
+const ROLLOUT_DEVICE_LABELS = {
+  pending: "Chờ",
+  skipped: "Bỏ qua (offline)",
+};
+
+class RolloutService {
+  constructor() {
+    this.rollout = null;
+    this.listeners = {};
+    this.timer = null;
+    this.load();
+  }
+
+  get config() {
+    return window.BannerConfig?.rollout || {};
+  }
+
+  /**
+   * Register event listener ("change" with the rollout, "halted" with
+   * { rollout, reason }, "completed" with the rollout, whose status tells
+   * whether devices were skipped)
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  _emit(event, data) {
+    (this.listeners[event] || []).forEach((callback) => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`[RolloutService] Error in ${event} listener:`, error);
+      }
+    });
+  }
+
+  load() {
+    try {
+      this.rollout = JSON.parse(
+        localStorage.getItem(ROLLOUT_STORAGE_KEY) || "null"
+      );
+    } catch (error) {
+      console.warn("[RolloutService] Could not load rollout:", error);
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(ROLLOUT_STORAGE_KEY, JSON.stringify(this.rollout));
+    } catch (error) {
+      console.warn("[RolloutService] Could not save rollout:", error);
+    }
+  }
+
+  /**
+   * Follow device messages and check deadlines; picks up a rollout left
+   * running before a reload
+   */
+  start() {
+    if (this.timer) return;
+
+    window.DeviceRegistry.on("versionReport", ({ deviceId, version }) =>
+      this.applyDeviceEvent(deviceId, { kind: "heartbeat", version })
+    );
+
+    const interval = (this.config.checkIntervalSeconds || 10) * 1000;
+    this.timer = setInterval(() => this.checkDeadlines(), interval);
+    this.checkDeadlines();
+  }
+
+  getDeviceLabel(status) {
+    return (
+      ROLLOUT_DEVICE_LABELS[status] || window.OtaStateMachine.getLabel(status)
+    );
+  }
+
+  isRunning() {
+    return this.rollout?.status === "running";
+  }
+
+  /**
+   * Parse wave percentages, e.g. "10, 50, 100"; the last wave always
+   * covers the whole fleet
+   */
+  parseWaves(value) {
+    const waves = String(value)
+      .split(/[,\s]+/)
+      .filter(Boolean)
+      .map((part) => parseInt(part, 10));
+
+    if (waves.some((percent) => !(percent > 0 && percent <= 100))) {
+      throw new Error("Tỷ lệ mỗi đợt phải từ 1 đến 100%");
+    }
+    if (waves.some((percent, index) => index > 0 && percent <= waves[index - 1])) {
+      throw new Error("Tỷ lệ các đợt phải tăng dần");
+    }
+    if (waves[waves.length - 1] !== 100) waves.push(100);
+    return waves;
+  }
+
+  /**
+   * Split the fleet into waves: canary devices first, then the others by
+   * cumulative percentage
+   *
+   * Returns [{ label, deviceIds }].
+   */
+  planWaves(canary, percentages) {
+    const canaryIds = window.DeviceRegistry.resolveTarget(canary);
+    if (!canaryIds) {
+      throw new Error("Chọn một thiết bị hoặc nhóm làm canary");
+    }
+
+    const others = window.DeviceRegistry.list()
+      .map((device) => device.deviceId)
+      .filter((deviceId) => !canaryIds.includes(deviceId));
+
+    const waves = [{ label: "Canary", deviceIds: [...canaryIds] }];
+    let assigned = 0;
+    percentages.forEach((percent) => {
+      const upTo = Math.ceil((others.length * percent) / 100);
+      if (upTo > assigned) {
+        waves.push({
+          label: `${percent}%`,
+          deviceIds: others.slice(assigned, upTo),
+        });
+        assigned = upTo;
+      }
+    });
+    return waves;
+  }
+
+  /**
+   * Start a rollout of a version: { version, canary, waves, deadlineMinutes,
+   * allowDowngrade }; allowDowngrade is set once the admin confirmed that
+   * devices go back to an older release
+   */
+  async begin({ version, canary, waves, deadlineMinutes, allowDowngrade = false }) {
+    if (this.rollout && ["running", "halted"].includes(this.rollout.status)) {
+      throw new Error("Đang có một đợt triển khai chưa kết thúc");
+    }
+    if (!version || !version.trim()) {
+      throw new Error("Vui lòng nhập phiên bản muốn cập nhật");
+    }
+    if (!window.MqttClient?.connected) {
+      throw new Error("MQTT not connected");
+    }
+
+    const plan = this.planWaves(canary, waves);
+    this.rollout = {
+      id: `rollout-${Date.now()}`,
+      version: version.trim().replace(/^v/, ""),
+      canary,
+      deadlineMinutes:
+        deadlineMinutes || this.config.deadlineMinutes || 20,
+      allowDowngrade: Boolean(allowDowngrade),
+      status: "running",
+      triggeredBy: window.UpdateHistory?.getOperator() || null,
+      haltReason: null,
+      currentWave: -1,
+      startedAt: Date.now(),
+      finishedAt: null,
+      waves: plan.map((wave) => ({
+        ...wave,
+        startedAt: null,
+        completedAt: null,
+      })),
+      devices: Object.fromEntries(
+        plan.flatMap((wave, index) =>
+          wave.deviceIds.map((deviceId) => [
+            deviceId,
+            {
+              wave: index,
+              state: "pending",
+              percent: 0,
+              message: null,
+              fromVersion: window.DeviceRegistry.get(deviceId)?.appVersion || null,
+            },
+          ])
+        )
+      ),
+    };
+
+    console.log(
+      `[RolloutService] Rolling out v${this.rollout.version} in ${plan.length} wave(s)`
+    );
+    await this.startWave(0);
+    return this.rollout;
+  }
+
+  async startWave(index) {
+    const rollout = this.rollout;
+    const wave = rollout.waves[index];
+    rollout.currentWave = index;
+    wave.startedAt = Date.now();
+
+    // The canary wave is the test of the release, so it waits for every
+    // canary instead of going on without them
+    if (index === 0) {
+      const offline = wave.deviceIds.filter(
+        (deviceId) => !window.DeviceRegistry.get(deviceId)?.online
+      );
+      if (offline.length > 0) {
+        offline.forEach((deviceId) =>
+          Object.assign(rollout.devices[deviceId], {
+            state: "failed",
+            message: "Canary offline",
+          })
+        );
+        this.halt(`Canary offline: ${offline.join(", ")}`);
+        return;
+      }
+    }
+
+    for (const deviceId of wave.deviceIds) {
+      if (!this.isRunning()) break;
+
+      const device = window.DeviceRegistry.get(deviceId);
+      // Offline billboards would only miss the deadline and halt everyone
+      if (device && device.online === false) {
+        this.rollout.devices[deviceId].state = "skipped";
+        continue;
+      }
+      await this.sendUpdate(deviceId);
+    }
+
+    console.log(
+      `[RolloutService] Wave ${wave.label} started (${wave.deviceIds.length} device(s))`
+    );
+    this.save();
+    this._emit("change", rollout);
+    this.advance();
+  }
+
+  async sendUpdate(deviceId) {
+    const version = this.rollout.version;
+    try {
+      await window.MqttClient.publishToTarget(
+        "its/billboard/commands",
+        {
+          action: "force_update",
+          version,
+          targetVersion: version,
+          ...window.ReleaseCatalog.commandFields(version, {
+            allowDowngrade: this.rollout.allowDowngrade,
+          }),
+          messageId: `update_${Date.now()}_${Math.random()
+            .toString(36)
+            .substr(2, 9)}`,
+          rolloutId: this.rollout.id,
+          timestamp: Date.now(),
+          source: "admin_web",
+        },
+        { type: "device", id: deviceId }
+      );
+      const { wave, fromVersion } = this.rollout.devices[deviceId];
+      this.rollout.devices[deviceId] = {
+        wave,
+        fromVersion,
+        sentAt: Date.now(),
+        ...window.OtaStateMachine.createEntry(deviceId, version),
+      };
+    } catch (error) {
+      Object.assign(this.rollout.devices[deviceId], {
+        state: "failed",
+        message: error.message,
+      });
+      this.halt(`Không gửi được lệnh tới ${deviceId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Device in the running wave that is still updating, or null when a
+   * message is not ours
+   */
+  getActiveEntry(deviceId) {
+    if (!this.isRunning() || !deviceId) return null;
+    const entry = this.rollout.devices[deviceId];
+    if (!entry || entry.wave !== this.rollout.currentWave || !entry.sentAt) {
+      return null;
+    }
+    return window.OtaStateMachine.isFinal(entry.state) ? null : entry;
+  }
+
+  applyDeviceEvent(deviceId, event) {
+    const entry = this.getActiveEntry(deviceId);
+    if (!entry || !window.OtaStateMachine.apply(entry, event)) return;
+
+    if (entry.state === "failed") {
+      this.halt(`${deviceId}: ${entry.message}`);
+      return;
+    }
+
+    this.save();
+    this._emit("change", this.rollout);
+    this.advance();
+  }
+
+  handleAcknowledgment(ack) {
+    this.applyDeviceEvent(ack.deviceId, window.OtaStateMachine.eventFrom("ack", ack));
+  }
+
+  /**
+   * Message on its/billboard/update/status
+   */
+  handleUpdateStatus(status) {
+    this.applyDeviceEvent(
+      status.deviceId,
+      window.OtaStateMachine.eventFrom("update", status)
+    );
+  }
+
+  /**
+   * Message on its/billboard/reset/status
+   */
+  handleResetStatus(status) {
+    this.applyDeviceEvent(
+      status.deviceId,
+      window.OtaStateMachine.eventFrom("reset", status)
+    );
+  }
+
+  /**
+   * Move to the next wave once the current one is through
+   */
+  advance() {
+    if (!this.isRunning()) return;
+
+    const rollout = this.rollout;
+    const wave = rollout.waves[rollout.currentWave];
+    const finished = wave.deviceIds.every((deviceId) =>
+      ["verified", "skipped"].includes(rollout.devices[deviceId].state)
+    );
+    const canaryVerified =
+      rollout.currentWave > 0 ||
+      wave.deviceIds.some(
+        (deviceId) => rollout.devices[deviceId].state === "verified"
+      );
+    if (!finished || !canaryVerified) return;
+
+    wave.completedAt = Date.now();
+
+    if (rollout.currentWave + 1 < rollout.waves.length) {
+      this.startWave(rollout.currentWave + 1);
+      return;
+    }
+
+    const skipped = this.getSkipped();
+    rollout.status = skipped.length > 0 ? "completed_with_skipped" : "completed";
+    rollout.finishedAt = Date.now();
+    this.save();
+    console.log(
+      `[RolloutService] Rollout of v${rollout.version} completed${
+        skipped.length > 0 ? `, skipped ${skipped.join(", ")}` : ""
+      }`
+    );
+    this._emit("change", rollout);
+    this._emit("completed", rollout);
+  }
+
+  /**
+   * Halt on devices of the running wave that missed their deadline or
+   * stayed silent too long in one update state
+   */
+  checkDeadlines(now = Date.now()) {
+    if (!this.isRunning()) return;
+
+    const deadline = this.rollout.deadlineMinutes * 60 * 1000;
+    const late = [];
+    Object.keys(this.rollout.devices).forEach((deviceId) => {
+      const entry = this.getActiveEntry(deviceId);
+      if (!entry) return;
+
+      if (now - entry.sentAt > deadline) {
+        entry.state = "failed";
+        entry.message = `Không hoàn thành sau ${this.rollout.deadlineMinutes} phút`;
+        late.push(deviceId);
+      } else if (window.OtaStateMachine.checkTimeout(entry, now)) {
+        late.push(deviceId);
+      }
+    });
+    if (late.length === 0) return;
+
+    this.halt(
+      late
+        .map((deviceId) => `${deviceId}: ${this.rollout.devices[deviceId].message}`)
+        .join("; ")
+    );
+  }
+
+  halt(reason) {
+    if (!this.isRunning()) return;
+
+    this.rollout.status = "halted";
+    this.rollout.haltReason = reason;
+    this.save();
+    console.warn(`[RolloutService] Rollout halted: ${reason}`);
+    this._emit("change", this.rollout);
+    this._emit("halted", { rollout: this.rollout, reason });
+  }
+
+  /**
+   * Continue a halted rollout, sending the update again to the devices of
+   * the current wave that failed or timed out, and to those not sent it yet
+   */
+  async resume() {
+    if (this.rollout?.status !== "halted") return;
+    if (!window.MqttClient?.connected) {
+      throw new Error("MQTT not connected");
+    }
+
+    this.rollout.status = "running";
+    this.rollout.haltReason = null;
+
+    const wave = this.rollout.waves[this.rollout.currentWave];
+    for (const deviceId of wave.deviceIds) {
+      if (["failed", "pending"].includes(this.rollout.devices[deviceId].state)) {
+        await this.sendUpdate(deviceId);
+      }
+    }
+
+    console.log(`[RolloutService] Resumed wave ${wave.label}`);
+    this.save();
+    this._emit("change", this.rollout);
+    this.advance();
+  }
+
+  /**
+   * Stop the rollout; devices already updated keep the new version
+   */
+  cancel() {
+    if (!this.rollout || !["running", "halted"].includes(this.rollout.status)) {
+      return;
+    }
+    this.rollout.status = "cancelled";
+    this.rollout.finishedAt = Date.now();
+    this.save();
+    console.log("[RolloutService] Rollout cancelled");
+    this._emit("change", this.rollout);
+  }
+
+  /**
+   * Forget a finished rollout
+   */
+  clear() {
+    if (this.rollout && ["running", "halted"].includes(this.rollout.status)) {
+      return;
+    }
+    this.rollout = null;
+    this.save();
+    this._emit("change", null);
+  }
+
+  /**
+   * Devices that were offline when their wave started and never got the
+   * update
+   */
+  getSkipped() {
+    return Object.entries(this.rollout?.devices || {})
+      .filter(([, entry]) => entry.state === "skipped")
+      .map(([deviceId]) => deviceId);
+  }
+
+  /**
+   * Counts per device status, e.g. for a progress summary
+   */
+  getSummary() {
+    const counts = {};
+    Object.values(this.rollout?.devices || {}).forEach((entry) => {
+      counts[entry.state] = (counts[entry.state] || 0) + 1;
+    });
+    return counts;
+  }
+}
+
+// Create global instance
+window.RolloutService = new RolloutService();
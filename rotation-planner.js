@@ -0,0 +1,114 @@
+/**
+ * Rotation Planner
+ * Work out the loop-mode rotation from per-banner durationSeconds and
+ * weight: one full cycle, and each banner's share of airtime
+ */
+
+class RotationPlanner {
+  /**
+   * Display duration of a logo in seconds (falls back to logoLoopDuration)
+   */
+  getDuration(logo, settings = {}) {
+    return logo.durationSeconds || settings.logoLoopDuration || 10;
+  }
+
+  /**
+   * Times a logo is shown per cycle
+   */
+  getWeight(logo) {
+    return logo.weight || 1;
+  }
+
+  /**
+   * Plan one rotation cycle of the active banners
+   *
+   * Slots are spread with smooth weighted round-robin, so a banner with
+   * weight 3 is shown three times per cycle but not three times in a row.
+   * Returns { slots: [{ logoId, start, duration }], cycleSeconds,
+   * shares: [{ logoId, name, weight, durationSeconds, showsPerCycle,
+   * airtimeSeconds, share }] } with share in percent.
+   */
+  plan(manifest, overrides = {}) {
+    const settings = manifest?.settings || {};
+    const logos = (manifest?.logos || [])
+      .filter((logo) => logo.active !== false)
+      .map((logo) => ({ ...logo, ...overrides[logo.id] }));
+
+    const entries = logos.map((logo) => ({
+      logo,
+      weight: this.getWeight(logo),
+      duration: this.getDuration(logo, settings),
+      current: 0,
+    }));
+    const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+
+    const slots = [];
+    let clock = 0;
+    for (let i = 0; i < totalWeight; i++) {
+      entries.forEach((entry) => {
+        entry.current += entry.weight;
+      });
+      const next = entries.reduce((best, entry) =>
+        entry.current > best.current ? entry : best
+      );
+      next.current -= totalWeight;
+
+      slots.push({ logoId: next.logo.id, start: clock, duration: next.duration });
+      clock += next.duration;
+    }
+
+    const shares = entries.map(({ logo, weight, duration }) => ({
+      logoId: logo.id,
+      name: logo.name,
+      weight,
+      durationSeconds: duration,
+      showsPerCycle: weight,
+      airtimeSeconds: weight * duration,
+      share: clock > 0 ? (weight * duration * 100) / clock : 0,
+    }));
+
+    return { slots, cycleSeconds: clock, shares };
+  }
+
+  /**
+   * Running campaigns whose banners get less airtime than booked
+   *
+   * Returns [{ campaign, targetShare, actualShare }].
+   */
+  checkCampaignTargets(manifest, plan, now = Date.now()) {
+    const shareByLogo = new Map(
+      plan.shares.map((entry) => [entry.logoId, entry.share])
+    );
+
+    return (manifest?.campaigns || [])
+      .filter(
+        (campaign) =>
+          campaign.targetShare &&
+          window.CampaignService.getStatus(campaign, now) === "running"
+      )
+      .map((campaign) => ({
+        campaign,
+        targetShare: campaign.targetShare,
+        actualShare: campaign.logoIds.reduce(
+          (sum, logoId) => sum + (shareByLogo.get(logoId) || 0),
+          0
+        ),
+      }))
+      .filter((result) => result.actualShare + 0.5 < result.targetShare);
+  }
+
+  /**
+   * Human-readable summary, e.g. "Banner A: 40% of the time, 12s each"
+   */
+  describe(plan) {
+    return plan.shares.map(
+      (entry) =>
+        `${entry.name}: ${entry.share.toFixed(0)}% of the time, ${
+          entry.durationSeconds
+        }s each${entry.showsPerCycle > 1 ? ` (${entry.showsPerCycle}x per cycle)` : ""}`
+    );
+  }
+}
+
+// Create global instance
+window.RotationPlanner = new RotationPlanner();
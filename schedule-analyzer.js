@@ -0,0 +1,307 @@
+/**
+ * Schedule Analyzer
+ * Check settings.scheduling.intervals for overlaps, gaps, bad logo
+ * references and windows crossing midnight, and map weekly coverage
+ */
+
+const SCHEDULE_DAY_MINUTES = 24 * 60;
+const SCHEDULE_WEEK_MINUTES = 7 * SCHEDULE_DAY_MINUTES;
+
+// Indexed by Date.getDay()
+const SCHEDULE_DAY_NAMES = ["CN", "T2", "T3", "T4", "T5", "T6", "T7"];
+
+const SCHEDULE_ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+function scheduleTimeToMinutes(time) {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function formatScheduleMinutes(minutes) {
+  const hours = Math.floor(minutes / 60) % 24;
+  return `${String(hours).padStart(2, "0")}:${String(minutes % 60).padStart(
+    2,
+    "0"
+  )}`;
+}
+
+// YYYY-MM-DD in local time, comparable as a string
+function formatScheduleDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+function crossesMidnight(interval) {
+  return (
+    scheduleTimeToMinutes(interval.endTime) <=
+    scheduleTimeToMinutes(interval.startTime)
+  );
+}
+
+/**
+ * Whether an interval starts a window on a date (weekday mask and
+ * campaign date range)
+ */
+function intervalRunsOn(interval, date) {
+  const days = Array.isArray(interval.days) ? interval.days : SCHEDULE_ALL_DAYS;
+  const dateKey = formatScheduleDate(date);
+
+  return (
+    days.includes(date.getDay()) &&
+    (!interval.startDate || dateKey >= interval.startDate) &&
+    (!interval.endDate || dateKey <= interval.endDate)
+  );
+}
+
+/**
+ * Minute ranges [start, end) each interval covers on a date, in list order
+ *
+ * A window ending at or before its start runs past midnight; the part
+ * after midnight belongs to the day the window started.
+ */
+function intervalWindowsOn(intervals, date) {
+  const previousDay = new Date(date);
+  previousDay.setDate(previousDay.getDate() - 1);
+
+  return intervals.map((interval, index) => {
+    const start = scheduleTimeToMinutes(interval.startTime);
+    const end = scheduleTimeToMinutes(interval.endTime);
+    const ranges = [];
+
+    if (!crossesMidnight(interval)) {
+      if (intervalRunsOn(interval, date)) ranges.push([start, end]);
+    } else {
+      if (intervalRunsOn(interval, previousDay) && end > 0) {
+        ranges.push([0, end]);
+      }
+      if (intervalRunsOn(interval, date)) {
+        ranges.push([start, SCHEDULE_DAY_MINUTES]);
+      }
+    }
+
+    return { interval, index, ranges };
+  });
+}
+
+// Ranges of the week (minute 0 = Sunday 00:00) the interval covers,
+// ignoring campaign dates
+function weeklyRanges(interval) {
+  const start = scheduleTimeToMinutes(interval.startTime);
+  const end = scheduleTimeToMinutes(interval.endTime);
+  const length = crossesMidnight(interval)
+    ? end + SCHEDULE_DAY_MINUTES - start
+    : end - start;
+  const days = Array.isArray(interval.days) ? interval.days : SCHEDULE_ALL_DAYS;
+
+  return days.flatMap((day) => {
+    const from = day * SCHEDULE_DAY_MINUTES + start;
+    const to = from + length;
+    return to <= SCHEDULE_WEEK_MINUTES
+      ? [[from, to]]
+      : [
+          [from, SCHEDULE_WEEK_MINUTES],
+          [0, to - SCHEDULE_WEEK_MINUTES],
+        ];
+  });
+}
+
+function dateRangesIntersect(a, b) {
+  return (
+    (!a.startDate || !b.endDate || a.startDate <= b.endDate) &&
+    (!b.startDate || !a.endDate || b.startDate <= a.endDate)
+  );
+}
+
+// First shared range of two intervals and the total minutes shared per week
+function findOverlap(a, b) {
+  let first = null;
+  let minutes = 0;
+
+  weeklyRanges(a).forEach(([fromA, toA]) => {
+    weeklyRanges(b).forEach(([fromB, toB]) => {
+      const from = Math.max(fromA, fromB);
+      const to = Math.min(toA, toB);
+      if (from >= to) return;
+
+      minutes += to - from;
+      if (!first || from < first[0]) first = [from, to];
+    });
+  });
+
+  return first ? { from: first[0], to: first[1], minutes } : null;
+}
+
+function describeWeekMinute(minute) {
+  return `${
+    SCHEDULE_DAY_NAMES[Math.floor(minute / SCHEDULE_DAY_MINUTES) % 7]
+  } ${formatScheduleMinutes(minute % SCHEDULE_DAY_MINUTES)}`;
+}
+
+/**
+ * Analyze the schedule of a manifest
+ *
+ * Returns { issues, coverage }. Each issue has severity ("error",
+ * "warning" or "info"), code, message and intervalIndex where it applies.
+ * coverage lists the seven days from options.from (default today) with
+ * per-hour covered/overlapped minutes and the gaps no window covers.
+ */
+function analyzeSchedule(manifest, options = {}) {
+  const settings = manifest?.settings || {};
+  const intervals = Array.isArray(settings.scheduling?.intervals)
+    ? settings.scheduling.intervals.filter(
+        (interval) => interval?.startTime && interval?.endTime
+      )
+    : [];
+  const logos = new Map((manifest?.logos || []).map((logo) => [logo.id, logo]));
+  const today = formatScheduleDate(options.from || new Date());
+  const issues = [];
+
+  const label = (index) =>
+    `Interval ${index + 1} (${intervals[index].startTime}-${
+      intervals[index].endTime
+    })`;
+  const hasEnded = (interval) => interval.endDate && interval.endDate < today;
+
+  intervals.forEach((interval, index) => {
+    const logo = logos.get(interval.logoId);
+
+    if (!logo) {
+      issues.push({
+        severity: "error",
+        code: "missing-logo",
+        intervalIndex: index,
+        message: `${label(index)}: logo "${interval.logoId}" does not exist`,
+      });
+    } else if (logo.active === false) {
+      issues.push({
+        severity: "warning",
+        code: "inactive-logo",
+        intervalIndex: index,
+        message: `${label(index)}: logo "${logo.name}" is inactive`,
+      });
+    }
+
+    if (crossesMidnight(interval)) {
+      issues.push({
+        severity: "info",
+        code: "crosses-midnight",
+        intervalIndex: index,
+        message: `${label(index)}: runs past midnight into the next day`,
+      });
+    }
+
+    if (hasEnded(interval)) {
+      issues.push({
+        severity: "info",
+        code: "expired",
+        intervalIndex: index,
+        message: `${label(index)}: campaign ended on ${interval.endDate}`,
+      });
+    }
+  });
+
+  // List order decides who wins, so overlaps are legal but usually a mistake
+  intervals.forEach((a, i) => {
+    intervals.slice(i + 1).forEach((b, offset) => {
+      const j = i + 1 + offset;
+      if (hasEnded(a) || hasEnded(b) || !dateRangesIntersect(a, b)) return;
+
+      const overlap = findOverlap(a, b);
+      if (!overlap) return;
+
+      issues.push({
+        severity: "warning",
+        code: "overlap",
+        intervalIndex: j,
+        message: `Interval ${i + 1} and interval ${j + 1} overlap from ${describeWeekMinute(
+          overlap.from
+        )} to ${describeWeekMinute(overlap.to)} (${
+          overlap.minutes
+        } min/week); interval ${i + 1} wins`,
+      });
+    });
+  });
+
+  const coverage = buildWeeklyCoverage(intervals, options.from || new Date());
+
+  // Gaps only matter when the billboard actually follows the schedule
+  const fallback = logos.get(settings.defaultLogo);
+  if (settings.logoMode === "scheduled" && (!fallback || fallback.active === false)) {
+    coverage.forEach((day) => {
+      day.gaps.forEach(([start, end]) => {
+        issues.push({
+          severity: "warning",
+          code: "gap",
+          intervalIndex: null,
+          message: `${day.label} ${day.date}: nothing displays ${formatScheduleMinutes(
+            start
+          )}-${formatScheduleMinutes(end)}${
+            fallback ? " (default logo is inactive)" : ""
+          }`,
+        });
+      });
+    });
+  }
+
+  return { issues, coverage };
+}
+
+/**
+ * Per-day coverage for seven consecutive days starting at from
+ */
+function buildWeeklyCoverage(intervals, from) {
+  const start = new Date(from);
+  start.setHours(0, 0, 0, 0);
+
+  return Array.from({ length: 7 }, (_, offset) => {
+    const date = new Date(start);
+    date.setDate(start.getDate() + offset);
+
+    const counts = new Array(SCHEDULE_DAY_MINUTES).fill(0);
+    intervalWindowsOn(intervals, date).forEach(({ ranges }) =>
+      ranges.forEach(([rangeStart, rangeEnd]) => {
+        for (let minute = rangeStart; minute < rangeEnd; minute++) {
+          counts[minute]++;
+        }
+      })
+    );
+
+    const hours = Array.from({ length: 24 }, (_, hour) => {
+      const slice = counts.slice(hour * 60, hour * 60 + 60);
+      return {
+        covered: slice.filter((count) => count > 0).length,
+        overlapped: slice.filter((count) => count > 1).length,
+      };
+    });
+
+    const gaps = [];
+    counts.forEach((count, minute) => {
+      if (count > 0) return;
+      const last = gaps[gaps.length - 1];
+      if (last && last[1] === minute) last[1] = minute + 1;
+      else gaps.push([minute, minute + 1]);
+    });
+
+    return {
+      date: formatScheduleDate(date),
+      day: date.getDay(),
+      label: SCHEDULE_DAY_NAMES[date.getDay()],
+      hours,
+      gaps,
+    };
+  });
+}
+
+// Export for global use
+window.ScheduleAnalyzer = {
+  dayNames: SCHEDULE_DAY_NAMES,
+  analyze: analyzeSchedule,
+  windowsOn: intervalWindowsOn,
+  runsOn: intervalRunsOn,
+  crossesMidnight,
+  toMinutes: scheduleTimeToMinutes,
+  formatMinutes: formatScheduleMinutes,
+  formatDate: formatScheduleDate,
+};
@@ -0,0 +1,517 @@
+/**
+ * Schedule Editor
+ * Dayparting rules for the "scheduled" display mode: time windows per
+ * banner, weekday masks, campaign date ranges and a fallback banner
+ */
+
+// Monday first, as on Vietnamese calendars; values match Date.getDay()
+const SCHEDULE_WEEKDAYS = [
+  { day: 1, label: "T2" },
+  { day: 2, label: "T3" },
+  { day: 3, label: "T4" },
+  { day: 4, label: "T5" },
+  { day: 5, label: "T6" },
+  { day: 6, label: "T7" },
+  { day: 0, label: "CN" },
+];
+
+const SCHEDULE_COLORS = [
+  "#4f46e5",
+  "#059669",
+  "#d97706",
+  "#dc2626",
+  "#0891b2",
+  "#7c3aed",
+  "#db2777",
+  "#65a30d",
+];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+class ScheduleEditor {
+  constructor() {
+    this.intervals = [];
+    this.defaultLogo = null;
+    this.logos = [];
+    this.previewDate = window.ScheduleAnalyzer.formatDate(new Date());
+    this.container = null;
+  }
+
+  /**
+   * Load the schedule and logo list from a manifest into the editor
+   */
+  load(manifest) {
+    const settings = manifest?.settings || {};
+    this.logos = (manifest?.logos || []).map(({ id, name, active }) => ({
+      id,
+      name,
+      active,
+    }));
+    this.defaultLogo = settings.defaultLogo || null;
+    this.intervals = JSON.parse(
+      JSON.stringify(settings.scheduling?.intervals || [])
+    ).map((interval) => ({
+      ...interval,
+      id: interval.id || this.createId(),
+      days: Array.isArray(interval.days)
+        ? interval.days
+        : SCHEDULE_WEEKDAYS.map(({ day }) => day),
+    }));
+  }
+
+  createId() {
+    return `interval-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+  }
+
+  /**
+   * Schedule as stored in manifest settings
+   */
+  getSchedule() {
+    const intervals = this.intervals.map((interval) => {
+      const entry = {
+        id: interval.id,
+        logoId: interval.logoId,
+        startTime: interval.startTime,
+        endTime: interval.endTime,
+        days: [...interval.days].sort(),
+      };
+      if (interval.startDate) entry.startDate = interval.startDate;
+      if (interval.endDate) entry.endDate = interval.endDate;
+      return entry;
+    });
+
+    return { intervals, defaultLogo: this.defaultLogo };
+  }
+
+  /**
+   * Problems that would make the schedule ambiguous or unusable
+   */
+  validate() {
+    const errors = [];
+    const logoIds = new Set(this.logos.map((logo) => logo.id));
+
+    this.intervals.forEach((interval, index) => {
+      const label = `Khung ${index + 1}`;
+      if (!logoIds.has(interval.logoId)) {
+        errors.push(`${label}: chưa chọn banner`);
+      }
+      if (interval.startTime === interval.endTime) {
+        errors.push(`${label}: giờ bắt đầu và kết thúc trùng nhau`);
+      }
+      if (interval.days.length === 0) {
+        errors.push(`${label}: chưa chọn ngày trong tuần`);
+      }
+      if (
+        interval.startDate &&
+        interval.endDate &&
+        interval.startDate > interval.endDate
+      ) {
+        errors.push(`${label}: ngày kết thúc trước ngày bắt đầu`);
+      }
+    });
+
+    if (this.defaultLogo && !logoIds.has(this.defaultLogo)) {
+      errors.push("Banner mặc định không còn tồn tại");
+    }
+
+    return errors;
+  }
+
+  /**
+   * Segments of a day with the banner shown in each
+   *
+   * When windows overlap, the one listed first wins. Minutes no window
+   * covers show the fallback banner.
+   */
+  buildTimeline(date, intervals = this.intervals, defaultLogo = this.defaultLogo) {
+    const windows = window.ScheduleAnalyzer.windowsOn(intervals, date);
+    const segments = [];
+
+    for (let minute = 0; minute < MINUTES_PER_DAY; minute++) {
+      const match = windows.find(({ ranges }) =>
+        ranges.some(([start, end]) => minute >= start && minute < end)
+      );
+      const interval = match?.interval;
+      const logoId = interval ? interval.logoId : defaultLogo;
+      const intervalId = interval?.id || null;
+      const last = segments[segments.length - 1];
+
+      if (last && last.logoId === logoId && last.intervalId === intervalId) {
+        last.end = minute + 1;
+      } else {
+        segments.push({
+          start: minute,
+          end: minute + 1,
+          logoId,
+          intervalId,
+          fallback: !interval,
+        });
+      }
+    }
+
+    return segments;
+  }
+
+  addInterval() {
+    const firstLogo = this.logos.find((logo) => logo.active !== false);
+    this.intervals.push({
+      id: this.createId(),
+      logoId: firstLogo?.id || "",
+      startTime: "08:00",
+      endTime: "17:00",
+      days: SCHEDULE_WEEKDAYS.map(({ day }) => day),
+    });
+    this.render();
+  }
+
+  removeInterval(id) {
+    this.intervals = this.intervals.filter((interval) => interval.id !== id);
+    this.render();
+  }
+
+  updateInterval(id, field, value) {
+    const interval = this.intervals.find((item) => item.id === id);
+    if (!interval) return;
+
+    if (value === "" && (field === "startDate" || field === "endDate")) {
+      delete interval[field];
+    } else {
+      interval[field] = value;
+    }
+    this.renderTimeline();
+  }
+
+  toggleDay(id, day, checked) {
+    const interval = this.intervals.find((item) => item.id === id);
+    if (!interval) return;
+
+    interval.days = checked
+      ? [...new Set([...interval.days, day])]
+      : interval.days.filter((item) => item !== day);
+    this.renderTimeline();
+  }
+
+  setDefaultLogo(logoId) {
+    this.defaultLogo = logoId || null;
+    this.renderTimeline();
+  }
+
+  setPreviewDate(value) {
+    if (!value) return;
+    this.previewDate = value;
+    this.renderTimeline();
+  }
+
+  getLogoName(logoId) {
+    return this.logos.find((logo) => logo.id === logoId)?.name || logoId;
+  }
+
+  getLogoColor(logoId) {
+    const index = this.logos.findIndex((logo) => logo.id === logoId);
+    return SCHEDULE_COLORS[Math.max(index, 0) % SCHEDULE_COLORS.length];
+  }
+
+  renderLogoOptions(selected, emptyLabel) {
+    return [
+      `<option value="">${emptyLabel}</option>`,
+      ...this.logos.map(
+        (logo) =>
+          `<option value="${logo.id}" ${logo.id === selected ? "selected" : ""}>${
+            logo.name
+          }${logo.active === false ? " (đã tắt)" : ""}</option>`
+      ),
+    ].join("");
+  }
+
+  renderInterval(interval, index) {
+    const days = SCHEDULE_WEEKDAYS.map(
+      ({ day, label }) => `
+        <label class="schedule-day">
+          <input type="checkbox" ${interval.days.includes(day) ? "checked" : ""}
+            onchange="window.ScheduleEditor.toggleDay('${interval.id}', ${day}, this.checked)" />
+          ${label}
+        </label>
+      `
+    ).join("");
+
+    return `
+      <div class="schedule-interval" style="border-left-color: ${this.getLogoColor(
+        interval.logoId
+      )}">
+        <div class="schedule-interval-row">
+          <span class="schedule-interval-index">${index + 1}</span>
+          <select class="form-input select-input"
+            onchange="window.ScheduleEditor.updateInterval('${interval.id}', 'logoId', this.value)">
+            ${this.renderLogoOptions(interval.logoId, "-- Chọn banner --")}
+          </select>
+          <input type="time" class="form-input" value="${interval.startTime}"
+            onchange="window.ScheduleEditor.updateInterval('${interval.id}', 'startTime', this.value)" />
+          <span>→</span>
+          <input type="time" class="form-input" value="${interval.endTime}"
+            onchange="window.ScheduleEditor.updateInterval('${interval.id}', 'endTime', this.value)" />
+          <button class="btn btn-sm btn-danger" title="Xóa khung giờ"
+            onclick="window.ScheduleEditor.removeInterval('${interval.id}')">✕</button>
+        </div>
+        <div class="schedule-interval-row">
+          <div class="schedule-days">${days}</div>
+        </div>
+        <div class="schedule-interval-row">
+          <span class="input-hint">Chiến dịch từ</span>
+          <input type="date" class="form-input" value="${interval.startDate || ""}"
+            onchange="window.ScheduleEditor.updateInterval('${interval.id}', 'startDate', this.value)" />
+          <span class="input-hint">đến</span>
+          <input type="date" class="form-input" value="${interval.endDate || ""}"
+            onchange="window.ScheduleEditor.updateInterval('${interval.id}', 'endDate', this.value)" />
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the editor into containerId (or the last used container)
+   */
+  render(containerId = null) {
+    if (containerId) {
+      this.container = document.getElementById(containerId);
+    }
+    if (!this.container) return;
+
+    this.container.innerHTML = `
+      <div class="schedule-intervals">
+        ${
+          this.intervals.length
+            ? this.intervals.map((item, index) => this.renderInterval(item, index)).join("")
+            : '<div class="input-hint">Chưa có khung giờ nào</div>'
+        }
+      </div>
+      <button class="btn btn-secondary btn-sm" onclick="window.ScheduleEditor.addInterval()">
+        ➕ Thêm khung giờ
+      </button>
+      <div class="input-hint">
+        Khung giờ nằm trên được ưu tiên khi trùng nhau. Giờ kết thúc nhỏ hơn giờ
+        bắt đầu nghĩa là chạy qua nửa đêm.
+      </div>
+
+      <label class="form-label">
+        <span class="label-text">Banner mặc định (ngoài các khung giờ)</span>
+      </label>
+      <select class="form-input select-input"
+        onchange="window.ScheduleEditor.setDefaultLogo(this.value)">
+        ${this.renderLogoOptions(this.defaultLogo, "-- Không hiển thị --")}
+      </select>
+
+      <div class="schedule-preview-header">
+        <span class="label-text">Xem trước 24 giờ</span>
+        <input type="date" class="form-input" value="${this.previewDate}"
+          onchange="window.ScheduleEditor.setPreviewDate(this.value)" />
+      </div>
+      <div id="scheduleTimeline"></div>
+    `;
+
+    this.renderTimeline();
+  }
+
+  /**
+   * Run the schedule analyzer on the schedule being edited
+   */
+  analyze() {
+    const { intervals, defaultLogo } = this.getSchedule();
+    return window.ScheduleAnalyzer.analyze({
+      logos: this.logos,
+      settings: { logoMode: "scheduled", defaultLogo, scheduling: { intervals } },
+    });
+  }
+
+  renderTimeline() {
+    const target = this.container?.querySelector("#scheduleTimeline");
+    if (!target) return;
+
+    const { formatMinutes } = window.ScheduleAnalyzer;
+    const [year, month, day] = this.previewDate.split("-").map(Number);
+    const segments = this.buildTimeline(new Date(year, month - 1, day));
+
+    const bars = segments
+      .map((segment) => {
+        const left = (segment.start / MINUTES_PER_DAY) * 100;
+        const width = ((segment.end - segment.start) / MINUTES_PER_DAY) * 100;
+        const label = segment.logoId
+          ? this.getLogoName(segment.logoId)
+          : "Không hiển thị";
+        const classes = [
+          "schedule-segment",
+          segment.fallback ? "fallback" : "",
+          segment.logoId ? "" : "empty",
+        ].join(" ");
+        const background = segment.logoId
+          ? `background: ${this.getLogoColor(segment.logoId)};`
+          : "";
+        const title = `${formatMinutes(segment.start)}–${formatMinutes(
+          segment.end
+        )}: ${label}${segment.fallback && segment.logoId ? " (mặc định)" : ""}`;
+
+        return `
+          <div class="${classes}"
+            style="left: ${left}%; width: ${width}%; ${background}"
+            title="${title}">
+          </div>
+        `;
+      })
+      .join("");
+
+    const ticks = [0, 3, 6, 9, 12, 15, 18, 21, 24]
+      .map(
+        (hour) =>
+          `<span style="left: ${(hour / 24) * 100}%">${String(hour).padStart(
+            2,
+            "0"
+          )}</span>`
+      )
+      .join("");
+
+    const errors = this.validate();
+    const analysis = this.analyze();
+    // Missing logos are already listed by validate()
+    const issues = analysis.issues.filter(
+      (issue) => issue.code !== "missing-logo"
+    );
+
+    target.innerHTML = `
+      <div class="schedule-timeline">${bars}</div>
+      <div class="schedule-ticks">${ticks}</div>
+      ${
+        errors.length
+          ? `<ul class="schedule-errors">${errors
+              .map((error) => `<li>⚠️ ${error}</li>`)
+              .join("")}</ul>`
+          : ""
+      }
+      ${
+        issues.length
+          ? `<ul class="schedule-issues">${issues
+              .map(
+                (issue) =>
+                  `<li class="${issue.severity}">${
+                    issue.severity === "warning" ? "⚠️" : "ℹ️"
+                  } ${issue.message}</li>`
+              )
+              .join("")}</ul>`
+          : ""
+      }
+      <div class="schedule-preview-header">
+        <span class="label-text">Độ phủ 7 ngày tới</span>
+      </div>
+      ${this.renderCoverageHeatmap(analysis.coverage)}
+    `;
+  }
+
+  /**
+   * Day x hour grid: shade shows how much of the hour a window covers,
+   * red marks overlapping windows
+   */
+  renderCoverageHeatmap(coverage) {
+    const header = Array.from(
+      { length: 24 },
+      (_, hour) => `<span>${hour % 3 === 0 ? hour : ""}</span>`
+    ).join("");
+
+    const rows = coverage
+      .map((day) => {
+        const cells = day.hours
+          .map((hour, index) => {
+            const classes = [
+              "heatmap-cell",
+              hour.covered === 0 ? "gap" : "",
+              hour.overlapped > 0 ? "overlap" : "",
+            ].join(" ");
+            const opacity = hour.covered / 60;
+            return `<span class="${classes}"
+              style="--coverage: ${opacity.toFixed(2)}"
+              title="${day.label} ${String(index).padStart(2, "0")}:00 — ${
+              hour.covered
+            }/60 phút${
+              hour.overlapped ? `, ${hour.overlapped} phút trùng` : ""
+            }"></span>`;
+          })
+          .join("");
+
+        return `
+          <div class="heatmap-row">
+            <span class="heatmap-label" title="${day.date}">${day.label}</span>
+            ${cells}
+          </div>
+        `;
+      })
+      .join("");
+
+    return `
+      <div class="schedule-heatmap">
+        <div class="heatmap-row heatmap-header">
+          <span class="heatmap-label"></span>${header}
+        </div>
+        ${rows}
+      </div>
+    `;
+  }
+
+  /**
+   * Write the schedule to manifest.json and switch it to scheduled mode
+   */
+  async save() {
+    const errors = this.validate();
+    if (errors.length > 0) {
+      throw new Error(errors.join("\n"));
+    }
+
+    const warnings = this.analyze().issues.filter(
+      (issue) => issue.severity === "warning"
+    );
+    if (
+      warnings.length > 0 &&
+      !confirm(
+        `Lịch có ${warnings.length} cảnh báo:\n\n- ${warnings
+          .map((issue) => issue.message)
+          .join("\n- ")}\n\nVẫn lưu?`
+      )
+    ) {
+      throw new Error("Đã hủy lưu lịch");
+    }
+
+    const service = window.GitHubUploadService;
+    if (!service?.isAuthenticated) {
+      throw new Error("GitHub service not authenticated");
+    }
+
+    const current = await service.getCurrentManifest();
+    const { intervals, defaultLogo } = this.getSchedule();
+
+    const manifest = {
+      ...current,
+      version: `1.0.${Date.now()}`,
+      lastUpdated: new Date().toISOString(),
+      settings: {
+        ...current.settings,
+        logoMode: "scheduled",
+        defaultLogo,
+        scheduling: { ...current.settings?.scheduling, intervals },
+      },
+    };
+
+    const result = await service.uploadManifest(manifest, {
+      message: `Update display schedule: ${intervals.length} window(s)`,
+    });
+
+    console.log(
+      `[ScheduleEditor] Schedule saved (${intervals.length} windows): ${result.commitSha}`
+    );
+
+    if (window.logoManifest) {
+      window.logoManifest.currentManifest = result.manifest;
+      window.logoManifest.updateManifestDisplay();
+    }
+
+    return result;
+  }
+}
+
+// Create global instance
+window.ScheduleEditor = new ScheduleEditor();
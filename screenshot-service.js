@@ -0,0 +1,343 @@
+/**
+ * Screenshot Service
+ * Ask billboards for a screenshot over its/billboard/commands and collect
+ * the result: either uploaded by the billboard to screenshots/<deviceId>/
+ * in the CDN repo, or sent back in base64 chunks over MQTT, which are then
+ * committed to the same place
+ */
+
+// Image types accepted from billboards and the file extension they get;
+// anything else could be served as a page from the CDN origin
+const SCREENSHOT_MIME_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+const SCREENSHOT_MAX_CHUNKS = 256;
+
+class ScreenshotService {
+  constructor() {
+    this.pending = new Map(); // messageId -> { waiting, requestedAt, timeout }
+    this.chunks = new Map(); // messageId:deviceId -> { parts, received, startedAt }
+    this.sessionShots = []; // received over MQTT but not committed
+    this.listeners = {};
+  }
+
+  get config() {
+    return window.BannerConfig?.screenshots || {};
+  }
+
+  get github() {
+    return window.GitHubUploadService;
+  }
+
+  getDirectory() {
+    return this.config.path || "screenshots/";
+  }
+
+  // deviceId comes from the broker, so only a safe subset goes in a path
+  getDeviceDirectory(deviceId) {
+    return `${this.getDirectory()}${String(deviceId).replace(/[^A-Za-z0-9_-]/g, "_")}/`;
+  }
+
+  /**
+   * Register event listener ("requested", "captured" with the screenshot,
+   * "failed" with { deviceId, messageId, error }, "timeout" with
+   * { messageId, missing })
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  _emit(event, data) {
+    (this.listeners[event] || []).forEach((callback) => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`[ScreenshotService] Error in ${event} listener:`, error);
+      }
+    });
+  }
+
+  /**
+   * Send capture_screenshot to a device target; returns the messageId
+   */
+  async capture(target = null) {
+    if (!window.MqttClient?.connected) {
+      throw new Error("MQTT not connected");
+    }
+
+    const messageId = `screenshot_${Date.now()}_${Math.random()
+      .toString(36)
+      .substr(2, 9)}`;
+
+    const sentTo = await window.MqttClient.publishToTarget(
+      "its/billboard/commands",
+      {
+        action: "capture_screenshot",
+        messageId,
+        // Billboards that can commit to the repo put the image here,
+        // the others send it in chunks on the screenshot topic
+        uploadPath: `${this.getDirectory()}{deviceId}/`,
+        replyTopic: window.BannerConfig.mqtt.topic.screenshot,
+        chunkSize: this.config.chunkSize || 64 * 1024,
+        timestamp: Date.now(),
+        source: "admin_web",
+      },
+      target
+    );
+
+    // A broadcast is answered by the billboards that are online
+    const waiting = new Set(
+      sentTo.includes("all")
+        ? window.DeviceRegistry.list()
+            .filter((device) => device.online)
+            .map((device) => device.deviceId)
+        : sentTo
+    );
+
+    const timeout = setTimeout(() => {
+      this.pending.delete(messageId);
+      this.dropChunks((key) => key.startsWith(`${messageId}:`));
+      if (waiting.size > 0) {
+        this._emit("timeout", { messageId, missing: [...waiting] });
+      }
+    }, (this.config.timeoutSeconds || 60) * 1000);
+
+    this.pending.set(messageId, { waiting, requestedAt: Date.now(), timeout });
+    console.log(`[ScreenshotService] Requested ${messageId} from ${sentTo.join(", ")}`);
+    this._emit("requested", { messageId, sentTo });
+    return messageId;
+  }
+
+  /**
+   * Message on the screenshot topic:
+   * { deviceId, messageId, status: "uploaded", path, capturedAt },
+   * { deviceId, messageId, chunkIndex, chunkCount, data, mimeType, capturedAt }
+   * or { deviceId, messageId, status: "error", error }
+   */
+  async handleMessage(data) {
+    const deviceId = data?.deviceId || data?.clientId;
+    if (!deviceId || !data.messageId) return;
+
+    // The topic is open to anyone on the broker: only devices that were
+    // asked, for a request still waiting, are heard
+    if (!this.pending.get(data.messageId)?.waiting.has(deviceId)) {
+      console.warn(
+        `[ScreenshotService] Ignoring screenshot message ${data.messageId} from ${deviceId}`
+      );
+      return;
+    }
+
+    if (data.status === "error") {
+      this.settle(data.messageId, deviceId);
+      this._emit("failed", {
+        deviceId,
+        messageId: data.messageId,
+        error: data.error || "Capture failed",
+      });
+      return;
+    }
+
+    if (data.status === "uploaded" && data.path) {
+      if (!this.isScreenshotPath(data.path, deviceId)) {
+        this.fail(deviceId, data.messageId, `Unexpected upload path ${data.path}`);
+        return;
+      }
+      this.settle(data.messageId, deviceId);
+      this._emit("captured", {
+        deviceId,
+        messageId: data.messageId,
+        path: data.path,
+        url: data.url || this.github.getRawFileUrl(data.path),
+        capturedAt: this.toTime(data.capturedAt),
+        logoId: data.logoId || null,
+      });
+      return;
+    }
+
+    if (data.chunkCount) {
+      await this.receiveChunk(deviceId, data);
+    }
+  }
+
+  isScreenshotPath(path, deviceId) {
+    const extension = path.split(".").pop().toLowerCase();
+    return (
+      path.startsWith(this.getDeviceDirectory(deviceId)) &&
+      !path.includes("..") &&
+      Object.values(SCREENSHOT_MIME_TYPES).concat("jpeg").includes(extension)
+    );
+  }
+
+  fail(deviceId, messageId, error) {
+    console.warn(`[ScreenshotService] ${deviceId}: ${error}`);
+    this.dropChunks((key) => key === `${messageId}:${deviceId}`);
+    this.settle(messageId, deviceId);
+    this._emit("failed", { deviceId, messageId, error });
+  }
+
+  dropChunks(matches) {
+    [...this.chunks.keys()]
+      .filter(matches)
+      .forEach((key) => this.chunks.delete(key));
+  }
+
+  async receiveChunk(deviceId, data) {
+    const mimeType = data.mimeType || "image/jpeg";
+    if (!SCREENSHOT_MIME_TYPES[mimeType]) {
+      this.fail(deviceId, data.messageId, `Unsupported image type ${mimeType}`);
+      return;
+    }
+
+    // Chunk sets that never complete are dropped after the request timeout
+    const maxAge = (this.config.timeoutSeconds || 60) * 1000;
+    this.dropChunks((key) => Date.now() - this.chunks.get(key).startedAt > maxAge);
+
+    const key = `${data.messageId}:${deviceId}`;
+    const entry = this.chunks.get(key) || {
+      parts: new Array(data.chunkCount),
+      received: 0,
+      startedAt: Date.now(),
+    };
+    if (
+      !Number.isInteger(data.chunkCount) ||
+      data.chunkCount > SCREENSHOT_MAX_CHUNKS ||
+      data.chunkCount !== entry.parts.length ||
+      !Number.isInteger(data.chunkIndex) ||
+      data.chunkIndex < 0 ||
+      data.chunkIndex >= data.chunkCount ||
+      typeof data.data !== "string" ||
+      !/^[A-Za-z0-9+/=\s]*$/.test(data.data)
+    ) {
+      this.fail(deviceId, data.messageId, "Malformed screenshot chunk");
+      return;
+    }
+    if (entry.parts[data.chunkIndex] === undefined) {
+      entry.parts[data.chunkIndex] = data.data;
+      entry.received++;
+    }
+    this.chunks.set(key, entry);
+
+    if (entry.received < data.chunkCount) return;
+
+    this.chunks.delete(key);
+    this.settle(data.messageId, deviceId);
+
+    const base64 = entry.parts.join("").replace(/\s/g, "");
+    const capturedAt = this.toTime(data.capturedAt);
+    const screenshot = {
+      deviceId,
+      messageId: data.messageId,
+      capturedAt,
+      logoId: data.logoId || null,
+      url: `data:${mimeType};base64,${base64}`,
+    };
+
+    // Committed screenshots survive a reload and are shared with other admins
+    if (this.github?.isAuthenticated) {
+      try {
+        const path = `${this.getDeviceDirectory(deviceId)}${capturedAt}.${
+          SCREENSHOT_MIME_TYPES[mimeType]
+        }`;
+        await this.github.commitFiles(
+          [{ path, content: base64, encoding: "base64" }],
+          `Add screenshot from ${deviceId}`
+        );
+        screenshot.path = path;
+      } catch (error) {
+        console.warn("[ScreenshotService] Could not commit screenshot:", error);
+      }
+    }
+    if (!screenshot.path) {
+      this.sessionShots.unshift(screenshot);
+    }
+
+    console.log(
+      `[ScreenshotService] Received screenshot from ${deviceId} (${data.chunkCount} chunk(s))`
+    );
+    this._emit("captured", screenshot);
+  }
+
+  settle(messageId, deviceId) {
+    const request = this.pending.get(messageId);
+    if (!request) return;
+
+    request.waiting.delete(deviceId);
+    if (request.waiting.size === 0) {
+      clearTimeout(request.timeout);
+      this.pending.delete(messageId);
+    }
+  }
+
+  toTime(value) {
+    const time = value ? new Date(value).getTime() : NaN;
+    return Number.isFinite(time) ? time : Date.now();
+  }
+
+  /**
+   * Screenshots per device, newest first: files below the screenshots
+   * directory of the repo plus those only held in this session
+   *
+   * Returns { [deviceId]: [{ deviceId, capturedAt, url, path? }] }.
+   */
+  async listGallery() {
+    const shots = [...this.sessionShots];
+    const directory = this.getDirectory();
+
+    if (this.github?.isAuthenticated) {
+      const tree = await this.github.getRepoTree();
+      tree
+        .filter((entry) => entry.path.startsWith(directory))
+        .forEach((entry) => {
+          // screenshots/<deviceId>/<capturedAt>.<ext>
+          const [deviceId, filename] = entry.path
+            .slice(directory.length)
+            .split("/");
+          if (!deviceId || !filename) return;
+
+          const capturedAt = parseInt(filename, 10);
+          shots.push({
+            deviceId,
+            capturedAt: Number.isNaN(capturedAt) ? null : capturedAt,
+            path: entry.path,
+            size: entry.size,
+            url: this.github.getRawFileUrl(entry.path),
+          });
+        });
+    }
+
+    const gallery = {};
+    shots
+      .sort((a, b) => (b.capturedAt || 0) - (a.capturedAt || 0))
+      .forEach((shot) => {
+        if (!gallery[shot.deviceId]) gallery[shot.deviceId] = [];
+        gallery[shot.deviceId].push(shot);
+      });
+    return gallery;
+  }
+
+  /**
+   * Delete committed screenshots in one commit
+   */
+  async deleteScreenshots(paths) {
+    if (!this.github?.isAuthenticated) {
+      throw new Error("GitHub service not authenticated");
+    }
+    const directory = this.getDirectory();
+    const deletable = paths.filter((path) => path.startsWith(directory));
+    if (deletable.length === 0) return null;
+
+    return await this.github.commitFiles(
+      deletable.map((path) => ({ path, sha: null })),
+      `Remove ${deletable.length} screenshot(s)`
+    );
+  }
+}
+
+// Create global instance
+window.ScreenshotService = new ScreenshotService();
@@ -0,0 +1,93 @@
+/**
+ * Campaigns
+ * Status and automatic expiry of advertiser campaigns in the manifest
+ */
+
+/**
+ * "upcoming", "running" or "expired" at a point in time
+ */
+export function getCampaignStatus(campaign, now = Date.now()) {
+  if (Date.parse(campaign.endAt) <= now) return "expired";
+  if (Date.parse(campaign.startAt) > now) return "upcoming";
+  return "running";
+}
+
+/**
+ * Campaigns grouped by status; upcoming and running sorted by start,
+ * expired newest first
+ */
+export function groupCampaignsByStatus(manifest, now = Date.now()) {
+  const groups = { upcoming: [], running: [], expired: [] };
+
+  (manifest?.campaigns || []).forEach((campaign) => {
+    groups[getCampaignStatus(campaign, now)].push(campaign);
+  });
+
+  const byStart = (a, b) => Date.parse(a.startAt) - Date.parse(b.startAt);
+  groups.upcoming.sort(byStart);
+  groups.running.sort(byStart);
+  groups.expired.sort((a, b) => Date.parse(b.endAt) - Date.parse(a.endAt));
+
+  return groups;
+}
+
+/**
+ * Deactivate the banners of campaigns that have ended
+ *
+ * Each campaign expires once (recorded in expiredAt), so a banner
+ * switched back on by hand afterwards stays on. Banners that also belong
+ * to a campaign that has not ended are left alone.
+ * Returns { manifest, expired: [campaign ids], deactivated: [logo ids] }.
+ */
+export function expireCampaigns(manifest, now = Date.now()) {
+  const campaigns = manifest?.campaigns || [];
+  const ending = campaigns.filter(
+    (campaign) =>
+      !campaign.expiredAt && getCampaignStatus(campaign, now) === "expired"
+  );
+
+  if (ending.length === 0) {
+    return { manifest, expired: [], deactivated: [] };
+  }
+
+  const stillBooked = new Set(
+    campaigns
+      .filter((campaign) => getCampaignStatus(campaign, now) !== "expired")
+      .flatMap((campaign) => campaign.logoIds)
+  );
+  const endingLogoIds = new Set(ending.flatMap((campaign) => campaign.logoIds));
+  const expiredAt = new Date(now).toISOString();
+  const deactivated = [];
+
+  const logos = manifest.logos.map((logo) => {
+    if (
+      !endingLogoIds.has(logo.id) ||
+      stillBooked.has(logo.id) ||
+      logo.active === false
+    ) {
+      return logo;
+    }
+    deactivated.push(logo.id);
+    return { ...logo, active: false };
+  });
+
+  const endingIds = new Set(ending.map((campaign) => campaign.id));
+
+  console.log(
+    `[Campaigns] Expired ${ending
+      .map((campaign) => campaign.name)
+      .join(", ")}; deactivated ${deactivated.length} banner(s)`
+  );
+
+  return {
+    manifest: {
+      ...manifest,
+      logos,
+      campaigns: campaigns.map((campaign) =>
+        endingIds.has(campaign.id) ? { ...campaign, expiredAt } : campaign
+      ),
+    },
+    expired: [...endingIds],
+    deactivated,
+  };
+}
@@ -3,7 +3,7 @@
  * Handles update and reset commands for billboard device
  */
 
-import { MQTT_TOPICS } from "../config/mqtt.js";
+import { MQTT_TOPICS, deviceTopic } from "../config/mqtt.js";
 
 export class DeviceControlService {
   constructor(mqttBroker) {
@@ -13,10 +13,30 @@ export class DeviceControlService {
     this.updateStartTime = null;
   }
 
+  /**
+   * Publish a command to every billboard, or only to deviceIds
+   */
+  async publishCommand(message, deviceIds = null) {
+    if (!deviceIds) {
+      await this.mqtt.publish(MQTT_TOPICS.commands, {
+        ...message,
+        deviceTarget: "all",
+      });
+      return;
+    }
+
+    for (const deviceId of deviceIds) {
+      await this.mqtt.publish(deviceTopic(deviceId, MQTT_TOPICS.commands), {
+        ...message,
+        deviceTarget: deviceId,
+      });
+    }
+  }
+
   /**
    * Trigger device update
    */
-  async triggerUpdate(version) {
+  async triggerUpdate(version, deviceIds = null) {
     if (!this.mqtt || !this.mqtt.connected) {
       throw new Error("MQTT not connected");
     }
@@ -39,7 +59,7 @@ export class DeviceControlService {
         source: "admin_web",
       };
 
-      await this.mqtt.publish(MQTT_TOPICS.commands, message);
+      await this.publishCommand(message, deviceIds);
       console.log(`[DeviceControl] Update command sent`);
 
       return true;
@@ -53,7 +73,7 @@ export class DeviceControlService {
   /**
    * Trigger device reset
    */
-  async triggerReset(reason = "manual") {
+  async triggerReset(reason = "manual", deviceIds = null) {
     if (!this.mqtt || !this.mqtt.connected) {
       throw new Error("MQTT not connected");
     }
@@ -68,7 +88,7 @@ export class DeviceControlService {
         source: "admin_web",
       };
 
-      await this.mqtt.publish(MQTT_TOPICS.commands, message);
+      await this.publishCommand(message, deviceIds);
       console.log("[DeviceControl] Reset command sent");
 
       return true;
@@ -45,6 +45,10 @@ export class GitHubConfigManager {
         maxSize: 10 * 1024 * 1024, // 10MB
         allowedTypes: ["image/png", "image/jpeg", "image/jpg", "image/gif"],
         compressionQuality: 0.8,
+        // Uploads are re-encoded to this format (JPEG if unsupported)
+        outputFormat: "image/webp",
+        // Grid previews, stored below uploadPath
+        thumbnail: { width: 320, height: 320, quality: 0.7, path: "thumbs/" },
       },
 
       // Upload settings
@@ -264,6 +268,7 @@ export class GitHubConfigManager {
         endpoint: this.config.api.endpoint,
         cdnEndpoint: this.getCdnUrl(),
       },
+      files: this.config.files,
 
       // For services/github.js compatibility
       owner: this.config.active.owner,
@@ -5,6 +5,18 @@
  */
 
 import { GITHUB_CONFIG } from "../config/github.js";
+import {
+  MANIFEST_API_VERSION,
+  DEFAULT_MANIFEST_SETTINGS,
+  assertValidManifest,
+  dropDanglingReferences,
+  validateManifest,
+} from "./manifest-schema.js";
+import {
+  buildLegacyManifestChanges,
+  migrateManifest,
+} from "./manifest-migrations.js";
+import { expireCampaigns } from "./campaigns.js";
 
 export class GitHubService {
   constructor(configOverride = {}) {
@@ -358,6 +370,162 @@ export class GitHubService {
     return { results, errors };
   }
 
+  /**
+   * Send request to repository API and parse JSON response
+   */
+  async repoRequest(path, options = {}) {
+    const response = await fetch(
+      `${this.config.apiEndpoint}/repos/${this.config.owner}/${this.config.repo}${path}`,
+      {
+        ...options,
+        headers: {
+          Authorization: `token ${this.token}`,
+          Accept: "application/vnd.github.v3+json",
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(
+        `GitHub request failed (${response.status}): ${
+          errorData.message || response.statusText
+        }`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Get head commit and tree SHA of the configured branch
+   */
+  async getBranchHead() {
+    const ref = await this.repoRequest(`/git/ref/heads/${this.config.branch}`);
+    const commit = await this.repoRequest(`/git/commits/${ref.object.sha}`);
+    return { commitSha: ref.object.sha, treeSha: commit.tree.sha };
+  }
+
+  /**
+   * Create git blob (not yet referenced by any commit)
+   */
+  async createBlob(content, encoding = "base64") {
+    const blob = await this.repoRequest("/git/blobs", {
+      method: "POST",
+      body: JSON.stringify({ content, encoding }),
+    });
+    return blob.sha;
+  }
+
+  /**
+   * Commit several file changes as one commit via the Git Data API
+   *
+   * Each change is { path, content, encoding } for new content,
+   * { path, sha } to reuse an existing blob, or { path, sha: null } to delete.
+   */
+  async commitFiles(changes, message) {
+    const head = await this.getBranchHead();
+
+    const tree = [];
+    const blobShas = {};
+    for (const change of changes) {
+      let sha = change.sha;
+      if (sha === undefined) {
+        sha = await this.createBlob(change.content, change.encoding);
+      }
+      blobShas[change.path] = sha;
+      tree.push({ path: change.path, mode: "100644", type: "blob", sha });
+    }
+
+    const newTree = await this.repoRequest("/git/trees", {
+      method: "POST",
+      body: JSON.stringify({ base_tree: head.treeSha, tree }),
+    });
+
+    const commit = await this.repoRequest("/git/commits", {
+      method: "POST",
+      body: JSON.stringify({
+        message,
+        tree: newTree.sha,
+        parents: [head.commitSha],
+      }),
+    });
+
+    await this.repoRequest(`/git/refs/heads/${this.config.branch}`, {
+      method: "PATCH",
+      body: JSON.stringify({ sha: commit.sha, force: false }),
+    });
+
+    console.log(`[GitHub] Committed ${changes.length} file(s): ${commit.sha}`);
+
+    return { commitSha: commit.sha, treeSha: newTree.sha, blobShas };
+  }
+
+  /**
+   * Prepare logo for a batch commit: create its blob and build metadata
+   */
+  async prepareLogo(file, metadata = {}) {
+    const base64Content = await this.fileToBase64(file);
+    const filename =
+      metadata.filename || this.generateUniqueFilename(file.name);
+    const filePath = this.config.uploadPath + filename;
+
+    const blobSha = await this.createBlob(base64Content);
+
+    const logoMetadata = {
+      id: this.generateLogoId(filename),
+      name: metadata.name || file.name.replace(/\.[^/.]+$/, ""),
+      url: `https://raw.githubusercontent.com/${this.config.owner}/${this.config.repo}/${this.config.branch}/${filePath}`,
+      filename: filename,
+      size: file.size,
+      type: file.type,
+      priority: metadata.priority || 1,
+      active: metadata.active !== false,
+      uploadedAt: new Date().toISOString(),
+      githubPath: filePath,
+      githubSha: blobSha,
+    };
+
+    return { logoMetadata, change: { path: filePath, sha: blobSha } };
+  }
+
+  /**
+   * Prepare logo batch - every file must succeed before anything is committed
+   */
+  async prepareLogoBatch(files, onProgress = null) {
+    const prepared = [];
+    const errors = [];
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+
+      try {
+        if (onProgress) {
+          onProgress(i, files.length, `Preparing ${file.name}...`);
+        }
+
+        prepared.push(await this.prepareLogo(file));
+      } catch (error) {
+        console.error(`[GitHub] Preparing ${file.name} failed:`, error);
+        errors.push({ file: file.name, error: error.message });
+      }
+    }
+
+    if (errors.length > 0) {
+      const failedNames = errors.map((e) => e.file).join(", ");
+      const batchError = new Error(
+        `Upload aborted, nothing was committed. Failed files: ${failedNames}`
+      );
+      batchError.errors = errors;
+      throw batchError;
+    }
+
+    return prepared;
+  }
+
   /**
    * Get current manifest from repository
    */
@@ -368,8 +536,36 @@ export class GitHubService {
 
       if (fileInfo) {
         const content = atob(fileInfo.content);
-        const manifest = JSON.parse(content);
-        return this.validateAndFixManifest(manifest);
+        const migration = migrateManifest(JSON.parse(content));
+        const manifest = this.validateAndFixManifest(migration.manifest);
+
+        const validation = validateManifest(manifest);
+        if (!validation.valid) {
+          console.warn(
+            `[GitHub] Manifest does not match schema ${validation.apiVersion}:`,
+            validation.errors
+          );
+        }
+
+        // Write the upgrade back so the repository holds the current version
+        if (migration.applied.length > 0 && this.isAuthenticated) {
+          try {
+            const result = await this.uploadManifest(
+              manifest,
+              `Migrate manifest ${migration.from} → ${
+                migration.to
+              }: ${migration.applied.join(", ")}`
+            );
+            return result.manifest;
+          } catch (error) {
+            console.warn(
+              "[GitHub] Could not write back migrated manifest:",
+              error
+            );
+          }
+        }
+
+        return manifest;
       } else {
         return this.createDefaultManifest();
       }
@@ -397,13 +593,10 @@ export class GitHubService {
       fixedManifest.logos = [];
     }
 
-    if (!fixedManifest.settings) {
-      fixedManifest.settings = {
-        logoMode: "loop",
-        logoLoopDuration: 30,
-        schedules: [],
-      };
-    }
+    fixedManifest.settings = {
+      ...JSON.parse(JSON.stringify(DEFAULT_MANIFEST_SETTINGS)),
+      ...fixedManifest.settings,
+    };
 
     if (!fixedManifest.metadata) {
       fixedManifest.metadata = {
@@ -424,19 +617,41 @@ export class GitHubService {
       version: `1.0.${Date.now()}`,
       lastUpdated: new Date().toISOString(),
       logos: [],
-      settings: {
-        logoMode: "loop",
-        logoLoopDuration: 30,
-        schedules: [],
-      },
+      settings: JSON.parse(JSON.stringify(DEFAULT_MANIFEST_SETTINGS)),
       metadata: {
         author: "Admin Web Interface",
         description: "Billboard logo manifest",
-        apiVersion: "v1",
+        apiVersion: MANIFEST_API_VERSION,
       },
     };
   }
 
+  /**
+   * Expire ended campaigns, upgrade manifest to the current schema
+   * version and validate it
+   *
+   * Throws ManifestValidationError; called before every manifest write.
+   */
+  prepareManifestForWrite(manifest) {
+    const { manifest: current } = expireCampaigns(manifest);
+    return assertValidManifest(migrateManifest(current).manifest);
+  }
+
+  /**
+   * File changes writing manifest.json plus downgraded copies for
+   * billboards on older app versions
+   */
+  buildManifestChanges(manifest) {
+    return [
+      {
+        path: "manifest.json",
+        content: JSON.stringify(manifest, null, 2),
+        encoding: "utf-8",
+      },
+      ...buildLegacyManifestChanges(manifest),
+    ];
+  }
+
   /**
    * Add logo to manifest
    */
@@ -461,7 +676,7 @@ export class GitHubService {
       updatedManifest.metadata = {
         author: "Admin Web Interface",
         description: "Billboard logo manifest",
-        apiVersion: "v1",
+        apiVersion: MANIFEST_API_VERSION,
       };
     }
     updatedManifest.metadata.lastModifiedBy = "Admin Web Interface";
@@ -470,44 +685,116 @@ export class GitHubService {
   }
 
   /**
-   * Upload manifest file
+   * Upload manifest file and its downgraded copies in one commit
    */
-  async uploadManifest(manifest) {
-    const manifestPath = "manifest.json";
-    const content = JSON.stringify(manifest, null, 2);
-    const base64Content = btoa(content);
+  async uploadManifest(manifest, message = null) {
+    manifest = this.prepareManifestForWrite(manifest);
 
-    const existingFile = await this.getFileInfo(manifestPath);
+    const commit = await this.commitFiles(
+      this.buildManifestChanges(manifest),
+      message || `Update manifest: ${manifest.version}`
+    );
 
-    const commitData = {
-      message: `Update manifest: ${manifest.version}`,
-      content: base64Content,
-      branch: this.config.branch,
-    };
+    return { ...commit, manifest };
+  }
 
-    if (existingFile) {
-      commitData.sha = existingFile.sha;
+  /**
+   * Apply banner grid actions (toggle/delete/reorder/rotation by logo id)
+   * in one commit
+   *
+   * Image files of deleted logos are removed from the repository as well.
+   */
+  async commitLogoChanges(changes) {
+    if (!this.isAuthenticated) {
+      throw new Error("GitHub service not authenticated");
     }
 
-    const response = await fetch(
-      `${this.config.apiEndpoint}/repos/${this.config.owner}/${this.config.repo}/contents/${manifestPath}`,
-      {
-        method: "PUT",
-        headers: {
-          Authorization: `token ${this.token}`,
-          Accept: "application/vnd.github.v3+json",
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(commitData),
-      }
+    const fileInfo = await this.getFileInfo("manifest.json");
+    if (!fileInfo) {
+      throw new Error("Could not load manifest from repository");
+    }
+    let manifest = this.validateAndFixManifest(
+      JSON.parse(atob(fileInfo.content))
     );
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`Manifest upload failed: ${errorData.message}`);
+    const removedLogos = [];
+    const summary = [];
+
+    for (const change of changes) {
+      const logo = manifest.logos.find((item) => item.id === change.logoId);
+
+      switch (change.type) {
+        case "toggle":
+          if (!logo) break;
+          logo.active = change.active;
+          summary.push(`${change.active ? "enable" : "disable"} ${logo.name}`);
+          break;
+
+        case "delete":
+          if (!logo) break;
+          manifest.logos = manifest.logos.filter((item) => item !== logo);
+          removedLogos.push(logo);
+          summary.push(`delete ${logo.name}`);
+          break;
+
+        case "reorder": {
+          const position = (id) => {
+            const index = change.order.indexOf(id);
+            return index === -1 ? change.order.length : index;
+          };
+          manifest.logos.sort((a, b) => position(a.id) - position(b.id));
+          manifest.logos.forEach((item, index) => {
+            item.priority = index + 1;
+          });
+          summary.push("reorder");
+          break;
+        }
+
+        case "rotation":
+          if (!logo) break;
+          // null clears the field so the default applies again
+          ["durationSeconds", "weight"].forEach((field) => {
+            if (change[field] === undefined) return;
+            if (change[field] === null) delete logo[field];
+            else logo[field] = change[field];
+          });
+          summary.push(`rotation ${logo.name}`);
+          break;
+
+        default:
+          console.warn("[GitHub] Unknown logo change:", change);
+      }
     }
 
-    return await response.json();
+    if (removedLogos.length > 0) {
+      manifest = dropDanglingReferences(manifest);
+    }
+
+    const referencedPaths = new Set(
+      manifest.logos.map((logo) => logo.githubPath)
+    );
+    const files = [];
+    for (const logo of removedLogos) {
+      const path = logo.githubPath || this.config.uploadPath + logo.filename;
+      if (referencedPaths.has(path) || files.some((f) => f.path === path)) {
+        continue;
+      }
+      if (await this.getFileInfo(path)) {
+        files.push({ path, sha: null });
+      }
+    }
+
+    manifest.version = `1.0.${Date.now()}`;
+    manifest.lastUpdated = new Date().toISOString();
+    manifest.metadata.lastModifiedBy = "Admin Web Interface";
+    manifest = this.prepareManifestForWrite(manifest);
+
+    const commit = await this.commitFiles(
+      [...files, ...this.buildManifestChanges(manifest)],
+      `Update banners: ${[...new Set(summary)].join(", ")}`
+    );
+
+    return { ...commit, manifest };
   }
 
   /**
@@ -624,6 +911,36 @@ export class GitHubService {
     }
   }
 
+  /**
+   * Prepare manifest playlist for an upload
+   *
+   * "append" (default) keeps every published logo, "replace" drops them all,
+   * "replace_selected" drops only the logos listed in replaceIds.
+   */
+  applyUploadMode(manifest, mode = "append", replaceIds = []) {
+    const updatedManifest = { ...manifest, logos: [...(manifest.logos || [])] };
+
+    if (mode === "replace") {
+      updatedManifest.logos = [];
+    } else if (mode === "replace_selected") {
+      updatedManifest.logos = updatedManifest.logos.filter(
+        (logo) => !replaceIds.includes(logo.id)
+      );
+    } else if (mode !== "append") {
+      throw new Error(`Unknown upload mode: ${mode}`);
+    }
+
+    console.log(
+      `[GitHub] Upload mode "${mode}": keeping ${updatedManifest.logos.length} of ${
+        (manifest.logos || []).length
+      } logos`
+    );
+
+    return mode === "append"
+      ? updatedManifest
+      : dropDanglingReferences(updatedManifest);
+  }
+
   /**
    * Complete upload workflow
    */
@@ -633,25 +950,17 @@ export class GitHubService {
         `[GitHub] Starting complete upload workflow for ${files.length} files...`
       );
 
-      const { results, errors } = await this.uploadLogoBatch(
-        files,
-        options.onProgress
-      );
+      const prepared = await this.prepareLogoBatch(files, options.onProgress);
 
-      if (results.length === 0) {
+      if (prepared.length === 0) {
         throw new Error("No files uploaded successfully");
       }
 
-      let currentManifest = await this.getCurrentManifest();
-      currentManifest.logos = [];
-
-      if (!currentManifest.settings) {
-        currentManifest.settings = {
-          logoMode: "loop",
-          logoLoopDuration: 30,
-          schedules: [],
-        };
-      }
+      let currentManifest = this.applyUploadMode(
+        await this.getCurrentManifest(),
+        options.mode,
+        options.replaceIds
+      );
 
       if (settings.logoMode) {
         currentManifest.settings.logoMode = settings.logoMode;
@@ -660,21 +969,30 @@ export class GitHubService {
         currentManifest.settings.logoLoopDuration = settings.logoLoopDuration;
       }
 
-      for (const logoMetadata of results) {
+      for (const { logoMetadata } of prepared) {
         currentManifest = this.addLogoToManifest(currentManifest, logoMetadata);
       }
-
-      await this.uploadManifest(currentManifest);
-      await this.triggerWorkflow();
+      currentManifest = this.prepareManifestForWrite(currentManifest);
+
+      // One commit for all images plus the manifest; its push also triggers
+      // the Pages deployment, so no separate workflow dispatch is needed
+      const commit = await this.commitFiles(
+        [
+          ...prepared.map(({ change }) => change),
+          ...this.buildManifestChanges(currentManifest),
+        ],
+        `Upload ${prepared.length} banner(s), update manifest: ${currentManifest.version}`
+      );
 
       console.log("[GitHub] Complete upload workflow finished");
 
       return {
         success: true,
-        uploaded: results.length,
-        failed: errors.length,
-        errors: errors,
+        uploaded: prepared.length,
+        failed: 0,
+        errors: [],
         manifest: currentManifest,
+        commitSha: commit.commitSha,
       };
     } catch (error) {
       console.error("[GitHub] Complete upload workflow failed:", error);
@@ -4,6 +4,11 @@
  * Validates and fixes broken logo URLs in manifest
  */
 
+import {
+  dropDanglingReferences,
+  validateManifest as validateManifestSchema,
+} from "./manifest-schema.js";
+
 export class LogoSyncService {
   constructor(githubService) {
     this.github = githubService;
@@ -63,7 +68,7 @@ export class LogoSyncService {
         }
       }
 
-      const cleanedManifest = {
+      const cleanedManifest = dropDanglingReferences({
         ...manifest,
         logos: validLogos,
         version: `1.0.${Date.now()}`,
@@ -74,7 +79,7 @@ export class LogoSyncService {
           cleanupDate: new Date().toISOString(),
           removedLogos: brokenLogos.map((logo) => logo.id),
         },
-      };
+      });
 
       console.log("[LogoSync] Cleanup completed");
       console.log(`[LogoSync] Valid logos: ${validLogos.length}`);
@@ -132,34 +137,24 @@ export class LogoSyncService {
   }
 
   /**
-   * Validate manifest structure
+   * Validate manifest against the schema of its apiVersion
+   * Returns { valid, apiVersion, errors } with readable error messages
    */
   validateManifest(manifest) {
-    try {
-      console.log("[LogoSync] Validating manifest structure...");
-
-      const required = ["version", "logos", "lastUpdated", "metadata"];
-
-      for (const field of required) {
-        if (!manifest.hasOwnProperty(field)) {
-          console.warn(`[LogoSync] Missing field: ${field}`);
-        }
-      }
+    console.log("[LogoSync] Validating manifest structure...");
 
-      if (Array.isArray(manifest.logos)) {
-        for (const logo of manifest.logos) {
-          if (!logo.id || !logo.url || !logo.name) {
-            console.warn("[LogoSync] Logo missing required fields:", logo);
-          }
-        }
-      }
+    const result = validateManifestSchema(manifest);
 
+    if (result.valid) {
       console.log("[LogoSync] Manifest validation completed");
-      return true;
-    } catch (error) {
-      console.error("[LogoSync] Manifest validation failed:", error);
-      return false;
+    } else {
+      console.warn(
+        `[LogoSync] Manifest does not match schema ${result.apiVersion}:`,
+        result.errors
+      );
     }
+
+    return result;
   }
 
   /**
@@ -0,0 +1,262 @@
+/**
+ * Manifest Migrations
+ * Upgrade older manifests to the current apiVersion and produce downgraded
+ * copies for billboards running an older app version
+ */
+
+import { MANIFEST_SETTINGS } from "../config/settings.js";
+import { MANIFEST_API_VERSION } from "./manifest-schema.js";
+
+export const MANIFEST_API_VERSIONS = ["v1", "v2"];
+
+const LEGACY_LOGO_MODES = ["loop", "fixed", "scheduled"];
+
+/**
+ * Registered migrations, one per adjacent apiVersion pair
+ *
+ * up() must be lossless: every field it replaces is kept under
+ * metadata.legacy[from] so nothing from the old manifest is thrown away.
+ * down() rebuilds the old fields from the current values.
+ */
+export const MANIFEST_MIGRATIONS = [
+  {
+    id: "v1-to-v2-scheduling-logo-mode",
+    from: "v1",
+    to: "v2",
+    description:
+      "settings.schedules → settings.scheduling.intervals, displayMode → logoMode, loopDuration → logoLoopDuration",
+
+    up(manifest) {
+      const settings = { ...(manifest.settings || {}) };
+      const legacy = {};
+
+      if ("schedules" in settings) {
+        legacy.schedules = settings.schedules;
+        const intervals = [...(settings.scheduling?.intervals || [])];
+
+        (Array.isArray(settings.schedules) ? settings.schedules : []).forEach(
+          (entry) => {
+            const interval = {
+              ...entry,
+              logoId: entry.logoId ?? entry.bannerId ?? entry.id,
+              startTime: entry.startTime ?? entry.start,
+              endTime: entry.endTime ?? entry.end,
+            };
+            const exists = intervals.some(
+              (item) =>
+                item.logoId === interval.logoId &&
+                item.startTime === interval.startTime &&
+                item.endTime === interval.endTime
+            );
+            if (!exists) intervals.push(interval);
+          }
+        );
+
+        settings.scheduling = { ...settings.scheduling, intervals };
+        delete settings.schedules;
+      }
+
+      if ("displayMode" in settings) {
+        legacy.displayMode = settings.displayMode;
+        if (!settings.logoMode) {
+          settings.logoMode = LEGACY_LOGO_MODES.includes(settings.displayMode)
+            ? settings.displayMode
+            : "loop";
+        }
+        delete settings.displayMode;
+      }
+
+      if ("loopDuration" in settings) {
+        legacy.loopDuration = settings.loopDuration;
+        if (settings.logoLoopDuration === undefined) {
+          settings.logoLoopDuration = settings.loopDuration;
+        }
+        delete settings.loopDuration;
+      }
+
+      if (typeof settings.logoLoopDuration === "string") {
+        legacy.logoLoopDuration = settings.logoLoopDuration;
+        settings.logoLoopDuration = parseInt(settings.logoLoopDuration, 10);
+      }
+
+      // v1 did not check references, so defaultLogo and intervals may
+      // still point at logos that were deleted long ago; v2 rejects them
+      const logoIds = new Set((manifest.logos || []).map((logo) => logo.id));
+      if (settings.defaultLogo && !logoIds.has(settings.defaultLogo)) {
+        legacy.defaultLogo = settings.defaultLogo;
+        settings.defaultLogo = null;
+      }
+      if (Array.isArray(settings.scheduling?.intervals)) {
+        const dangling = settings.scheduling.intervals.filter(
+          (interval) => interval?.logoId && !logoIds.has(interval.logoId)
+        );
+        if (dangling.length > 0) {
+          legacy.danglingIntervals = dangling;
+          settings.scheduling = {
+            ...settings.scheduling,
+            intervals: settings.scheduling.intervals.filter(
+              (interval) => !dangling.includes(interval)
+            ),
+          };
+        }
+      }
+
+      const metadata = { ...(manifest.metadata || {}), apiVersion: "v2" };
+      if (Object.keys(legacy).length > 0) {
+        metadata.legacy = { ...metadata.legacy, v1: legacy };
+      }
+
+      return { ...manifest, settings, metadata };
+    },
+
+    down(manifest) {
+      const settings = { ...(manifest.settings || {}) };
+      const intervals = settings.scheduling?.intervals || [];
+
+      // Keep the v2 fields too: v1 readers ignore them, and some already
+      // read scheduling.intervals and logoMode
+      settings.schedules = intervals.map((interval) => ({ ...interval }));
+      settings.displayMode = settings.logoMode;
+      settings.loopDuration = settings.logoLoopDuration;
+
+      return {
+        ...manifest,
+        settings,
+        metadata: { ...(manifest.metadata || {}), apiVersion: "v1" },
+      };
+    },
+  },
+];
+
+export function getManifestApiVersion(manifest) {
+  return manifest?.metadata?.apiVersion || "v1";
+}
+
+/**
+ * Migrate manifest up or down to targetVersion (default: current)
+ * Returns { manifest, applied: [migration ids], from, to }
+ */
+export function migrateManifest(
+  manifest,
+  targetVersion = MANIFEST_API_VERSION
+) {
+  const from = getManifestApiVersion(manifest);
+  let fromIndex = MANIFEST_API_VERSIONS.indexOf(from);
+  const toIndex = MANIFEST_API_VERSIONS.indexOf(targetVersion);
+
+  if (fromIndex === -1) {
+    throw new Error(`Unknown manifest apiVersion "${from}"`);
+  }
+  if (toIndex === -1) {
+    throw new Error(`Unknown target apiVersion "${targetVersion}"`);
+  }
+
+  let migrated = JSON.parse(JSON.stringify(manifest));
+  const applied = [];
+
+  while (fromIndex !== toIndex) {
+    const upward = fromIndex < toIndex;
+    const nextIndex = upward ? fromIndex + 1 : fromIndex - 1;
+    const current = MANIFEST_API_VERSIONS[fromIndex];
+    const next = MANIFEST_API_VERSIONS[nextIndex];
+
+    const migration = MANIFEST_MIGRATIONS.find((item) =>
+      upward
+        ? item.from === current && item.to === next
+        : item.from === next && item.to === current
+    );
+    if (!migration) {
+      throw new Error(`No manifest migration between ${current} and ${next}`);
+    }
+
+    migrated = upward ? migration.up(migrated) : migration.down(migrated);
+    applied.push(upward ? migration.id : `${migration.id} (down)`);
+    fromIndex = nextIndex;
+  }
+
+  if (applied.length > 0) {
+    console.log(
+      `[ManifestMigrations] ${from} → ${targetVersion}: ${applied.join(", ")}`
+    );
+  }
+
+  return { manifest: migrated, applied, from, to: targetVersion };
+}
+
+// Compare dotted version strings ("1.10.2" > "1.9.0"); suffixes are ignored
+export function compareAppVersions(a, b) {
+  const partsA = String(a).split("-")[0].split(".").map(Number);
+  const partsB = String(b).split("-")[0].split(".").map(Number);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Newest manifest apiVersion a billboard app version can read
+ * (current version when the app version is unknown)
+ */
+export function apiVersionForAppVersion(appVersion) {
+  const current = MANIFEST_API_VERSION;
+  const minAppVersions = MANIFEST_SETTINGS.minAppVersion;
+  if (!appVersion) return current;
+
+  const supported = MANIFEST_API_VERSIONS.slice(
+    0,
+    MANIFEST_API_VERSIONS.indexOf(current) + 1
+  ).filter(
+    (apiVersion) =>
+      !minAppVersions[apiVersion] ||
+      compareAppVersions(appVersion, minAppVersions[apiVersion]) >= 0
+  );
+
+  return supported[supported.length - 1] || MANIFEST_API_VERSIONS[0];
+}
+
+/**
+ * Repository path of the manifest for an apiVersion
+ */
+export function manifestPathForApiVersion(apiVersion) {
+  if (apiVersion === MANIFEST_API_VERSION) {
+    return "manifest.json";
+  }
+  const directory = MANIFEST_SETTINGS.legacyDirectory;
+  return `${directory}manifest-${apiVersion}.json`;
+}
+
+/**
+ * Downgraded copies of manifest for every older apiVersion, as
+ * commitFiles changes to write next to manifest.json
+ */
+export function buildLegacyManifestChanges(manifest) {
+  const current = MANIFEST_API_VERSION;
+
+  return MANIFEST_API_VERSIONS.slice(0, MANIFEST_API_VERSIONS.indexOf(current))
+    .map((apiVersion) => ({
+      path: manifestPathForApiVersion(apiVersion),
+      content: JSON.stringify(
+        migrateManifest(manifest, apiVersion).manifest,
+        null,
+        2
+      ),
+      encoding: "utf-8",
+    }));
+}
+
+/**
+ * Manifest as a billboard with the given app version should receive it
+ */
+export function manifestForAppVersion(manifest, appVersion) {
+  const apiVersion = apiVersionForAppVersion(appVersion);
+  return {
+    apiVersion,
+    path: manifestPathForApiVersion(apiVersion),
+    manifest:
+      !manifest || getManifestApiVersion(manifest) === apiVersion
+        ? manifest
+        : migrateManifest(manifest, apiVersion).manifest,
+  };
+}
@@ -0,0 +1,389 @@
+/**
+ * Update History
+ * Audit log of OTA update attempts and staged rollouts: who started them,
+ * which devices, from/to versions, the time of every state each device
+ * went through, duration and error. Kept in IndexedDB; finished attempts
+ * can also be appended to a monthly JSONL file in the CDN repository.
+ */
+
+const UPDATE_HISTORY_DB = "billboard-admin";
+const UPDATE_HISTORY_STORE = "updateAttempts";
+
+const UPDATE_HISTORY_CSV_COLUMNS = [
+  "attemptId",
+  "kind",
+  "triggeredBy",
+  "triggeredAt",
+  "deviceId",
+  "fromVersion",
+  "toVersion",
+  "result",
+  "finalState",
+  "stateTimes",
+  "durationSeconds",
+  "error",
+];
+
+class UpdateHistory {
+  constructor() {
+    this.dbPromise = null;
+    this.current = null; // attempt of the running UpdateService update
+    // "<rolloutId>:<status>" being appended to the JSONL log right now
+    this.logging = new Set();
+    this.listeners = {};
+  }
+
+  get config() {
+    return window.BannerConfig?.updateHistory || {};
+  }
+
+  /**
+   * Register event listener ("change" with the stored attempt,
+   * "commitFailed" with { attempt, error })
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  _emit(event, data) {
+    (this.listeners[event] || []).forEach((callback) => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`[UpdateHistory] Error in ${event} listener:`, error);
+      }
+    });
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(UPDATE_HISTORY_DB, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(UPDATE_HISTORY_STORE, {
+            keyPath: "id",
+          });
+          store.createIndex("deviceIds", "deviceIds", { multiEntry: true });
+          store.createIndex("triggeredAt", "triggeredAt");
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async put(attempt) {
+    const db = await this.open();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(UPDATE_HISTORY_STORE, "readwrite");
+      transaction.objectStore(UPDATE_HISTORY_STORE).put(attempt);
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+    this._emit("change", attempt);
+  }
+
+  async get(id) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = db
+        .transaction(UPDATE_HISTORY_STORE)
+        .objectStore(UPDATE_HISTORY_STORE)
+        .get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Attempts newest first, optionally only those that included a device
+   */
+  async list({ deviceId = null, limit = 200 } = {}) {
+    const db = await this.open();
+    const attempts = await new Promise((resolve, reject) => {
+      const store = db
+        .transaction(UPDATE_HISTORY_STORE)
+        .objectStore(UPDATE_HISTORY_STORE);
+      const request = deviceId
+        ? store.index("deviceIds").getAll(deviceId)
+        : store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return attempts
+      .sort((a, b) => b.triggeredAt - a.triggeredAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * Follow UpdateService and RolloutService
+   */
+  start() {
+    window.UpdateService.on("started", (update) =>
+      this.recordUpdateStart(update).catch((error) =>
+        console.warn("[UpdateHistory] Could not record update:", error)
+      )
+    );
+    ["success", "error", "cancelled"].forEach((event) =>
+      window.UpdateService.on(event, (result) =>
+        this.recordUpdateEnd(event, result).catch((error) =>
+          console.warn("[UpdateHistory] Could not record update:", error)
+        )
+      )
+    );
+    window.RolloutService.on("change", (rollout) => {
+      if (!rollout) return;
+      this.recordRollout(rollout).catch((error) =>
+        console.warn("[UpdateHistory] Could not record rollout:", error)
+      );
+    });
+  }
+
+  getOperator() {
+    const login = window.GitHubUploadService?.authenticatedUser?.login;
+    return login || `admin_web (${window.BannerConfig?.mqtt?.options?.clientId})`;
+  }
+
+  async recordUpdateStart({ version, target, deviceIds }) {
+    this.current = {
+      id: `update-${Date.now()}`,
+      kind: "update",
+      triggeredBy: this.getOperator(),
+      triggeredAt: Date.now(),
+      target: window.DeviceRegistry.describeTarget(target),
+      toVersion: window.OtaStateMachine.normaliseVersion(version),
+      deviceIds,
+      devices: Object.fromEntries(
+        deviceIds.map((deviceId) => [
+          deviceId,
+          {
+            fromVersion: window.DeviceRegistry.get(deviceId)?.appVersion || null,
+            states: [],
+          },
+        ])
+      ),
+      result: "running",
+      finishedAt: null,
+      durationSeconds: null,
+      error: null,
+    };
+    await this.put(this.current);
+  }
+
+  async recordUpdateEnd(event, result) {
+    const attempt = this.current;
+    // Validation errors are raised before anything was sent
+    if (!attempt || attempt.result !== "running" || !result.devices) return;
+
+    (result.devices || []).forEach((entry) => {
+      const device = attempt.devices[entry.deviceId] || {
+        fromVersion: null,
+      };
+      attempt.devices[entry.deviceId] = {
+        ...device,
+        finalState: entry.state,
+        states: entry.history,
+        reportedVersion: entry.reportedVersion,
+        error: entry.state === "failed" ? entry.message : null,
+      };
+    });
+    attempt.deviceIds = Object.keys(attempt.devices);
+    attempt.result = { success: "success", error: "failed" }[event] || event;
+    attempt.error = event === "error" ? result.message : null;
+    attempt.finishedAt = Date.now();
+    attempt.durationSeconds = Math.round(
+      (attempt.finishedAt - attempt.triggeredAt) / 1000
+    );
+    this.current = null;
+
+    await this.put(attempt);
+    await this.commitToRepo(attempt);
+  }
+
+  async recordRollout(rollout) {
+    // A halted rollout is logged too, and again once it is resumed and
+    // completed or cancelled; loggedStatus is kept with the stored attempt
+    // so a reload does not append the same status twice
+    const stored = await this.get(rollout.id);
+    const loggingKey = `${rollout.id}:${rollout.status}`;
+    const finished =
+      ["halted", "completed", "completed_with_skipped", "cancelled"].includes(
+        rollout.status
+      ) &&
+      stored?.loggedStatus !== rollout.status &&
+      !this.logging.has(loggingKey);
+    const attempt = {
+      id: rollout.id,
+      kind: "rollout",
+      triggeredBy: rollout.triggeredBy || this.getOperator(),
+      triggeredAt: rollout.startedAt,
+      target: `${rollout.waves.length} đợt, canary ${window.DeviceRegistry.describeTarget(
+        rollout.canary
+      )}`,
+      toVersion: rollout.version,
+      deviceIds: Object.keys(rollout.devices),
+      devices: Object.fromEntries(
+        Object.entries(rollout.devices).map(([deviceId, entry]) => [
+          deviceId,
+          {
+            fromVersion: entry.fromVersion || null,
+            wave: entry.wave,
+            finalState: entry.state,
+            states: entry.history || [],
+            reportedVersion: entry.reportedVersion || null,
+            error: entry.state === "failed" ? entry.message : null,
+          },
+        ])
+      ),
+      result: {
+        running: "running",
+        halted: "halted",
+        completed: "success",
+        completed_with_skipped: "partial",
+        cancelled: "cancelled",
+      }[rollout.status],
+      loggedStatus: stored?.loggedStatus || null,
+      finishedAt: rollout.finishedAt,
+      durationSeconds: rollout.finishedAt
+        ? Math.round((rollout.finishedAt - rollout.startedAt) / 1000)
+        : null,
+      error:
+        rollout.haltReason ||
+        (rollout.status === "completed_with_skipped"
+          ? `Bỏ qua (offline): ${Object.keys(rollout.devices)
+              .filter((deviceId) => rollout.devices[deviceId].state === "skipped")
+              .join(", ")}`
+          : null),
+    };
+
+    await this.put(attempt);
+    if (!finished) return;
+
+    this.logging.add(loggingKey);
+    try {
+      if (await this.commitToRepo(attempt)) {
+        await this.put({ ...attempt, loggedStatus: rollout.status });
+      }
+    } finally {
+      this.logging.delete(loggingKey);
+    }
+  }
+
+  /**
+   * Append a finished attempt to <directory><YYYY-MM>.jsonl in the CDN
+   * repository, when enabled and signed in to GitHub; returns true once
+   * it is committed
+   */
+  async commitToRepo(attempt) {
+    const github = window.GitHubUploadService;
+    if (!this.config.commitToRepo || !github?.isAuthenticated) return false;
+
+    const month = new Date(attempt.triggeredAt).toISOString().slice(0, 7);
+    const path = `${this.config.directory || "ota-history/"}${month}.jsonl`;
+    const maxAttempts = 3;
+
+    for (let tryCount = 1; tryCount <= maxAttempts; tryCount++) {
+      try {
+        // The log is read at the head the commit builds on, through the
+        // tree and blob APIs: the contents API has no content for files
+        // over 1 MB, and a failed read must abort rather than start the
+        // month's log over
+        const head = await github.getBranchHead();
+        const entry = (await github.getRepoTree(head.treeSha)).find(
+          (file) => file.path === path
+        );
+        const existing = entry ? await github.getBlobText(entry.sha) : "";
+        await github.commitFiles(
+          [
+            {
+              path,
+              content: existing + this.toJsonl([attempt]),
+              encoding: "utf-8",
+            },
+          ],
+          `OTA ${attempt.kind} v${attempt.toVersion}: ${attempt.result}`,
+          head
+        );
+        console.log(`[UpdateHistory] Appended ${attempt.id} to ${path}`);
+        return true;
+      } catch (error) {
+        // Branch moved between reading the head and updating the ref
+        if (error.status === 422 && tryCount < maxAttempts) {
+          console.log("[UpdateHistory] Branch moved during commit, retrying...");
+          continue;
+        }
+        console.warn("[UpdateHistory] Could not commit history:", error);
+        this._emit("commitFailed", { attempt, error });
+        return false;
+      }
+    }
+    return false;
+  }
+
+  toJsonl(attempts) {
+    return attempts.map((attempt) => JSON.stringify(attempt) + "\n").join("");
+  }
+
+  /**
+   * One row per device per attempt, optionally for a single device
+   */
+  toCsv(attempts, deviceId = null) {
+    const iso = (time) => (time ? new Date(time).toISOString() : "");
+    const quote = (value) => {
+      const text = value == null ? "" : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = attempts.flatMap((attempt) =>
+      Object.entries(attempt.devices)
+        .filter(([id]) => !deviceId || id === deviceId)
+        .map(([id, device]) => ({
+          attemptId: attempt.id,
+          kind: attempt.kind,
+          triggeredBy: attempt.triggeredBy,
+          triggeredAt: iso(attempt.triggeredAt),
+          deviceId: id,
+          fromVersion: device.fromVersion,
+          toVersion: attempt.toVersion,
+          result: attempt.result,
+          finalState: device.finalState,
+          stateTimes: (device.states || [])
+            .map((step) => `${step.state}@${iso(step.at)}`)
+            .join(" "),
+          durationSeconds: attempt.durationSeconds,
+          error: device.error || attempt.error,
+        }))
+    );
+
+    return [
+      UPDATE_HISTORY_CSV_COLUMNS.join(","),
+      ...rows.map((row) =>
+        UPDATE_HISTORY_CSV_COLUMNS.map((column) => quote(row[column])).join(",")
+      ),
+    ].join("\n");
+  }
+
+  /**
+   * Download the history (of one device) as CSV
+   */
+  async exportCsv(deviceId = null) {
+    const attempts = await this.list({ deviceId, limit: Infinity });
+    const blob = new Blob(["\uFEFF" + this.toCsv(attempts, deviceId)], {
+      type: "text/csv;charset=utf-8",
+    });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `ota-history${deviceId ? `-${deviceId}` : ""}-${new Date()
+      .toISOString()
+      .slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+}
+
+// Create global instance
+window.UpdateHistory = new UpdateHistory();
@@ -5,24 +5,41 @@
  * Handles ONLY:
  * - Version validation
  * - MQTT communication
- * - Status tracking
+ * - Per-device status tracking (OtaStateMachine)
  * - Event emission
  *
  * UI handling moved to UpdateUIController
  */
 
+// States in the order a device goes through them
+const OTA_PROGRESS_ORDER = [
+  "idle",
+  "acked",
+  "downloading",
+  "downloaded",
+  "installing",
+  "restarted",
+];
+
 class UpdateService {
   constructor() {
     this.currentUpdateVersion = null;
     this.updateInProgress = false;
     this.updateStartTime = null;
+    // Device ids the running update was sent to, null for the whole fleet
+    this.currentTargetDevices = null;
+    // deviceId -> OtaStateMachine entry of the running update
+    this.devices = {};
+    this.timer = null;
     this.listeners = {};
 
     console.log("[UpdateService] Initialized (Core Service)");
   }
 
   /**
-   * Register event listener
+   * Register event listener ("started" with { version, target, deviceIds },
+   * "statusChange", "progressChange", "deviceStateChange" with an
+   * OtaStateMachine entry, "success", "error", "cancelled")
    */
   on(event, callback) {
     if (!this.listeners[event]) {
@@ -47,9 +64,11 @@ class UpdateService {
   }
 
   /**
-   * Start update with version
+   * Start update with version on a device target (default: every
+   * billboard); fields are added to the command, e.g.
+   * ReleaseCatalog.commandFields()
    */
-  async triggerUpdate(version) {
+  async triggerUpdate(version, target = null, fields = {}) {
     // Validation
     if (!version || version.trim() === "") {
       this._emit("error", {
@@ -71,6 +90,27 @@ class UpdateService {
       this.updateInProgress = true;
       this.currentUpdateVersion = version;
       this.updateStartTime = Date.now();
+      this.currentTargetDevices = window.DeviceRegistry
+        ? window.DeviceRegistry.resolveTarget(target)
+        : null;
+
+      // A fleet-wide update waits for the billboards online now; others
+      // are added when they report
+      const deviceIds =
+        this.currentTargetDevices ||
+        (window.DeviceRegistry?.list() || [])
+          .filter((device) => device.online)
+          .map((device) => device.deviceId);
+      // Nothing would ever report back and finish the update
+      if (deviceIds.length === 0) {
+        throw new Error("Không có billboard nào online để cập nhật");
+      }
+      this.devices = Object.fromEntries(
+        deviceIds.map((deviceId) => [
+          deviceId,
+          window.OtaStateMachine.createEntry(deviceId, version),
+        ])
+      );
 
       console.log(`[UpdateService] Initiating update to v${version}`);
 
@@ -92,23 +132,37 @@ class UpdateService {
         .substr(2, 9)}`;
 
       // Send force_update command via MQTT
-      await window.MqttClient.publish("its/billboard/commands", {
-        action: "force_update",
-        version: version,
-        targetVersion: version,
-        messageId: messageId,
-        timestamp: Date.now(),
-        source: "admin_web",
-        deviceTarget: "all",
+      const sentTo = await window.MqttClient.publishToTarget(
+        "its/billboard/commands",
+        {
+          action: "force_update",
+          version: version,
+          targetVersion: version,
+          ...fields,
+          messageId: messageId,
+          timestamp: Date.now(),
+          source: "admin_web",
+        },
+        target
+      );
+
+      console.log(
+        `[UpdateService] force_update command sent for v${version} to ${sentTo.join(", ")}`
+      );
+
+      this.stopTimer();
+      this.timer = setInterval(() => this.checkTimeouts(), 5000);
+
+      this._emit("started", {
+        version,
+        target,
+        deviceIds: Object.keys(this.devices),
       });
 
-      console.log(`[UpdateService] force_update command sent for v${version}`);
-
-      // Emit downloading event
       this._emit("statusChange", {
-        status: "downloading",
+        status: "idle",
         version: version,
-        message: "Đang tải bản cập nhật...",
+        message: "Đã gửi lệnh, đang chờ billboard phản hồi...",
       });
 
       return true;
@@ -118,190 +172,202 @@ class UpdateService {
         message: error.message || "Không thể bắt đầu cập nhật",
         code: "TRIGGER_FAILED",
       });
+      this.stopTimer();
       this.updateInProgress = false;
+      this.currentUpdateVersion = null;
+      this.currentTargetDevices = null;
+      this.devices = {};
       return false;
     }
   }
 
   /**
-   * Handle update status from device
+   * Entry of the device a message is from; messages without a deviceId are
+   * only attributed when a single billboard is being updated
    */
-  handleUpdateStatus(status) {
-    console.log("[UpdateService] Received update status:", status);
+  getEntry(deviceId) {
+    if (!this.updateInProgress) return null;
 
-    if (!this.updateInProgress) {
-      return; // Ignore if not in update mode
+    if (!deviceId) {
+      const entries = Object.values(this.devices);
+      return entries.length === 1 ? entries[0] : null;
     }
 
-    switch (status.status) {
-      case "downloading":
-        this._emit("progressChange", {
-          percent: Math.round(status.percent || 0),
-          bytesPerSecond: status.bytesPerSecond,
-          transferred: status.transferred,
-          total: status.total,
-        });
-
-        this._emit("statusChange", {
-          status: "downloading",
-          version: this.currentUpdateVersion,
-          message: `Đang tải: ${Math.round(status.percent || 0)}%`,
-        });
-        break;
-
-      case "update_success":
-        this._emit("statusChange", {
-          status: "verifying",
-          version: this.currentUpdateVersion,
-          message: "Cập nhật thành công, đang khởi động lại...",
-        });
-
-        this._emit("progressChange", {
-          percent: 100,
-        });
-
-        console.log("[UpdateService] Update download successful");
-        break;
-
-      case "error":
-        this._emit("error", {
-          message: status.error || "Lỗi trong quá trình cập nhật",
-          code: "UPDATE_ERROR",
-        });
-        this.updateInProgress = false;
-        break;
-
-      case "no_updates":
-        this._emit("error", {
-          message: "Phiên bản này hiện không sẵn có",
-          code: "NO_UPDATE",
-        });
-        this.updateInProgress = false;
-        break;
-
-      case "no_updates_but_force_requested":
-        this._emit("statusChange", {
-          status: "force_reinstall",
-          version: status.requestedVersion || this.currentUpdateVersion,
-          message: `Cài đặt lại cùng phiên bản v${status.requestedVersion}...`,
-        });
-
-        // Simulate completion for force reinstall
-        setTimeout(() => {
-          this._emit("success", {
-            version: status.requestedVersion || this.currentUpdateVersion,
-            duration: "2.0",
-            type: "force_reinstall",
-          });
-          this.updateInProgress = false;
-        }, 2000);
-        break;
-
-      case "downgrade_requested":
-        this._emit("statusChange", {
-          status: "downgrade",
-          version: status.requestedVersion || this.currentUpdateVersion,
-          message: `Đang cài đặt phiên bản cũ hơn v${status.requestedVersion}...`,
-        });
-
-        setTimeout(() => {
-          this._emit("success", {
-            version: status.requestedVersion || this.currentUpdateVersion,
-            duration: "3.0",
-            type: "downgrade_complete",
-          });
-          this.updateInProgress = false;
-        }, 3000);
-        break;
-
-      case "download_complete":
-        this._emit("statusChange", {
-          status: "installing",
-          version: status.requestedVersion || this.currentUpdateVersion,
-          message: "Đang cài đặt bản cập nhật...",
-        });
-
-        this._emit("progressChange", {
-          percent: 100,
-        });
-
-        // Auto complete for download_complete
-        setTimeout(() => {
-          this._emit("success", {
-            version: status.requestedVersion || this.currentUpdateVersion,
-            duration: "3.0",
-            type: "update_complete",
-          });
-          this.updateInProgress = false;
-        }, 3000);
-        break;
-
-      case "checking":
-        this._emit("statusChange", {
-          status: "checking",
-          version: this.currentUpdateVersion,
-          message: "Đang kiểm tra bản cập nhật...",
-        });
-        break;
-
-      case "up_to_date":
-        if (this.updateInProgress) {
-          // If we're in update mode but system says up to date, treat as force reinstall
-          this._emit("statusChange", {
-            status: "force_reinstall",
-            version: this.currentUpdateVersion,
-            message: `Phiên bản hiện tại đã mới nhất, đang cài đặt lại...`,
-          });
-
-          setTimeout(() => {
-            this._emit("success", {
-              version: this.currentUpdateVersion,
-              duration: "2.5",
-              type: "force_reinstall",
-            });
-            this.updateInProgress = false;
-          }, 2500);
-        }
-        break;
-
-      default:
-        console.warn("[UpdateService] Unknown status:", status.status);
+    // A fleet-wide update also tracks billboards that were not known yet
+    if (!this.devices[deviceId] && !this.currentTargetDevices) {
+      this.devices[deviceId] = window.OtaStateMachine.createEntry(
+        deviceId,
+        this.currentUpdateVersion
+      );
     }
+    return this.devices[deviceId] || null;
+  }
+
+  /**
+   * Feed a device message into the state machine of its entry
+   */
+  applyDeviceEvent(deviceId, event) {
+    const entry = this.getEntry(deviceId);
+    if (!entry || !window.OtaStateMachine.apply(entry, event)) return;
+
+    console.log(
+      `[UpdateService] ${entry.deviceId}: ${entry.state}${
+        entry.message ? ` (${entry.message})` : ""
+      }`
+    );
+    this._emit("deviceStateChange", entry);
+    this.emitProgress();
+    this.checkFinished();
+  }
+
+  /**
+   * Handle acknowledgment of the force_update command
+   */
+  handleAcknowledgment(ack) {
+    this.applyDeviceEvent(ack.deviceId, window.OtaStateMachine.eventFrom("ack", ack));
   }
 
   /**
-   * Handle reset status (signifies update completed)
+   * Handle update status from device
+   */
+  handleUpdateStatus(status) {
+    console.log("[UpdateService] Received update status:", status);
+    this.applyDeviceEvent(
+      status.deviceId,
+      window.OtaStateMachine.eventFrom("update", status)
+    );
+  }
+
+  /**
+   * Handle reset status from device (the restart after installing)
    */
   handleResetStatus(status) {
     console.log("[UpdateService] Received reset status:", status);
+    this.applyDeviceEvent(
+      status.deviceId,
+      window.OtaStateMachine.eventFrom("reset", status)
+    );
+  }
+
+  /**
+   * Version a device reported in a status message (DeviceRegistry
+   * "versionReport"); verifies devices that restarted without one
+   */
+  handleVersionReport({ deviceId, version }) {
+    if (!this.devices[deviceId]) return;
+    this.applyDeviceEvent(deviceId, { kind: "heartbeat", version });
+  }
 
-    if (!this.updateInProgress) {
+  /**
+   * Fail devices that stayed silent in their state for too long
+   */
+  checkTimeouts(now = Date.now()) {
+    if (!this.updateInProgress) return;
+
+    Object.values(this.devices).forEach((entry) => {
+      if (window.OtaStateMachine.checkTimeout(entry, now)) {
+        console.warn(`[UpdateService] ${entry.deviceId}: ${entry.message}`);
+        this._emit("deviceStateChange", entry);
+      }
+    });
+    this.emitProgress();
+    this.checkFinished();
+  }
+
+  /**
+   * Overall status from the device that is furthest behind
+   */
+  emitProgress() {
+    const entries = Object.values(this.devices);
+    if (entries.length === 0) return;
+
+    const pending = entries.filter(
+      (entry) => !window.OtaStateMachine.isFinal(entry.state)
+    );
+    const verified = entries.filter((entry) => entry.state === "verified");
+    const slowest = pending.reduce(
+      (slowest, entry) =>
+        !slowest ||
+        OTA_PROGRESS_ORDER.indexOf(entry.state) <
+          OTA_PROGRESS_ORDER.indexOf(slowest.state)
+          ? entry
+          : slowest,
+      null
+    );
+
+    if (slowest) {
+      this._emit("statusChange", {
+        status: slowest.state,
+        version: this.currentUpdateVersion,
+        message: `${window.OtaStateMachine.getLabel(slowest.state)}${
+          slowest.state === "downloading" ? `: ${slowest.percent}%` : ""
+        } (${verified.length}/${entries.length} thiết bị đã xác minh)`,
+      });
+    }
+
+    const percent =
+      entries.reduce(
+        (sum, entry) =>
+          sum + (window.OtaStateMachine.isFinal(entry.state) ? 100 : entry.percent),
+        0
+      ) / entries.length;
+    this._emit("progressChange", { percent: Math.round(percent) });
+  }
+
+  /**
+   * Finish once every device is verified or failed
+   */
+  checkFinished() {
+    const entries = Object.values(this.devices);
+    if (
+      !this.updateInProgress ||
+      entries.length === 0 ||
+      !entries.every((entry) => window.OtaStateMachine.isFinal(entry.state))
+    ) {
       return;
     }
 
-    if (status.status === "reset_success") {
-      const duration = ((Date.now() - this.updateStartTime) / 1000).toFixed(1);
+    const duration = ((Date.now() - this.updateStartTime) / 1000).toFixed(1);
+    const failed = entries.filter((entry) => entry.state === "failed");
+    this.stopTimer();
+    this.updateInProgress = false;
 
+    if (failed.length === 0) {
       this._emit("statusChange", {
         status: "completed",
         version: this.currentUpdateVersion,
         message: `Cập nhật hoàn thành! (v${this.currentUpdateVersion}) - Thời gian: ${duration}s`,
       });
-
       this._emit("success", {
         version: this.currentUpdateVersion,
-        duration: duration,
+        duration,
+        devices: entries,
+      });
+    } else {
+      this._emit("error", {
+        message: failed
+          .map((entry) => `${entry.deviceId}: ${entry.message}`)
+          .join("; "),
+        code: "UPDATE_FAILED",
+        devices: entries,
       });
-
-      this.updateInProgress = false;
-      this.currentUpdateVersion = null;
     }
+    this.currentUpdateVersion = null;
+  }
+
+  stopTimer() {
+    clearInterval(this.timer);
+    this.timer = null;
   }
 
   /**
    * Cancel ongoing update
    */
   cancel() {
+    this.stopTimer();
+    if (this.updateInProgress) {
+      this._emit("cancelled", { devices: Object.values(this.devices) });
+    }
     this.updateInProgress = false;
     this.currentUpdateVersion = null;
     console.log("[UpdateService] Update cancelled");
@@ -315,6 +381,8 @@ class UpdateService {
       inProgress: this.updateInProgress,
       currentVersion: this.currentUpdateVersion,
       startTime: this.updateStartTime,
+      targetDevices: this.currentTargetDevices,
+      devices: Object.values(this.devices),
     };
   }
 }